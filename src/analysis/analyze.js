@@ -1,17 +1,32 @@
 #!/usr/bin/env node
 
 import neo4j from 'neo4j-driver';
+import { writeFile } from 'fs/promises';
 import dotenv from 'dotenv';
 import logger from '../utils/logger.js';
 import Neo4jClient from '../graph/neo4jClient.js';
-import CircularDependencyAnalyzer from './circularDependencies.js';
+import GraphBuilder from '../graph/builder.js';
+import CircularDependencyAnalyzer, { DEFAULT_CYCLE_LIMIT } from './circularDependencies.js';
 import VersionConflictAnalyzer from './versionConflicts.js';
-
-dotenv.config();
+import VersionAligner from './versionAlignment.js';
+import DependencyUsageAnalyzer from './dependencyUsage.js';
+import DependencyPathAnalyzer, { DEFAULT_PATH_LIMIT } from './dependencyPaths.js';
+import ChangeImpactAnalyzer from './changeImpact.js';
+import BuildOrderAnalyzer from './buildOrder.js';
+import PackageMetricsAnalyzer, { DEFAULT_METRICS_LIMIT } from './packageMetrics.js';
+import { loadConfig } from '../utils/config.js';
 
 // Parse command line arguments
 const args = process.argv.slice(2);
 
+// With --json, stdout carries the report alone; progress messages go to stderr
+const json = args.includes('--json');
+if (json) {
+  logger.useStderr();
+}
+
+dotenv.config({ quiet: true });
+
 function printHelp() {
   console.log(`
 Usage: node src/analysis/analyze.js [options]
@@ -20,12 +35,48 @@ Circular Dependencies:
   --circular                Find all circular dependencies
   --circular-direct         Find direct circular dependencies only (A → B → A)
   --circular-stats          Show circular dependency statistics
+  --break-cycles            Suggest the cheapest dependencies to remove so no cycle is left (dev edges first)
   --project <name>          Analyze circular dependencies for a specific project
+  --files                   Look for cycles between source files instead of packages (load with --deep)
+  --limit <n>               Cycles listed per strongly connected component (default: ${DEFAULT_CYCLE_LIMIT})
 
 Version Conflicts:
   --conflicts               Find all version conflicts
   --conflict-stats          Show version conflict statistics
   --package <name>          Check version conflicts for specific package
+  --installed <name>        List every installed version of a package and who installs it
+  --ecosystem <name>        Limit --package / --installed / --align / --why / --project / --build-order / --metrics to one ecosystem (npm, pypi, go, cargo, maven)
+
+Version Alignment:
+  --align                   Pick one range per differently constrained package; print a summary and a unified diff
+  --policy <name>           How the range is picked: highest (default) or most-common; config pins win
+  --write                   Apply the changes to package.json / requirements files in place
+  --patch <file>            Write the unified diff to a file instead of printing it
+  --config <file>           Config file with an "align" section (default: .depanalyzerrc.json)
+
+Dependency Paths:
+  --why <package>           Every path from the projects to a package, its depth and whether only dev edges reach it
+  --project <name>          Limit --why to one project
+  --limit <n>               Paths listed per project by --why (default: ${DEFAULT_PATH_LIMIT})
+  --depth [project]         Packages at each depth level and the longest chain, per project
+
+Dependency Usage (after loading with --imports):
+  --usage [project]         Unused, phantom (undeclared) and dev-only-at-runtime dependencies
+
+Change Impact:
+  --affected <base> [head]  Projects owning files changed between two git refs (head defaults to HEAD)
+                            and every project depending on them, in build order
+  --repo <dir>              Git repository to diff (default: current directory)
+  --json                    Print the report as JSON (for CI)
+
+Build Order:
+  --build-order             Internal packages in build and publish levels; names the cycles blocking the rest
+                            (exit code 1 when a cycle blocks); takes --ecosystem and --json
+
+Package Metrics:
+  --metrics                 Fan-in, fan-out, instability, PageRank and betweenness of the internal packages,
+                            most load-bearing first; stored on the Project nodes; takes --ecosystem and --json
+  --limit <n>               Packages listed by --metrics (default: ${DEFAULT_METRICS_LIMIT})
 
 General:
   --help, -h                Show this help message
@@ -36,11 +87,44 @@ Examples:
   node src/analysis/analyze.js --circular-direct
   node src/analysis/analyze.js --circular-stats
   node src/analysis/analyze.js --project authService
+  node src/analysis/analyze.js --circular --files
+  node src/analysis/analyze.js --project authService --files
+  node src/analysis/analyze.js --circular --limit 500
+  node src/analysis/analyze.js --break-cycles
   
   # Version conflicts
   node src/analysis/analyze.js --conflicts
   node src/analysis/analyze.js --conflict-stats
   node src/analysis/analyze.js --package express
+  node src/analysis/analyze.js --package requests --ecosystem pypi
+  node src/analysis/analyze.js --installed lodash
+
+  # Version alignment
+  node src/analysis/analyze.js --align
+  node src/analysis/analyze.js --align --policy most-common --patch align.diff
+  node src/analysis/analyze.js --align --write
+
+  # Dependency paths
+  node src/analysis/analyze.js --why debug
+  node src/analysis/analyze.js --why lodash --project webApp --ecosystem npm
+  node src/analysis/analyze.js --depth
+  node src/analysis/analyze.js --depth authService
+
+  # Dependency usage
+  node src/analysis/analyze.js --usage
+  node src/analysis/analyze.js --usage paymentService
+
+  # Change impact
+  node src/analysis/analyze.js --affected origin/main
+  node src/analysis/analyze.js --affected v1.2.0 HEAD --repo ../monorepo --json
+
+  # Build order
+  node src/analysis/analyze.js --build-order
+  node src/analysis/analyze.js --build-order --ecosystem npm --json
+
+  # Package metrics
+  node src/analysis/analyze.js --metrics
+  node src/analysis/analyze.js --metrics --ecosystem npm --limit 50
   `);
 }
 
@@ -58,12 +142,55 @@ async function main() {
     logger.info('Connecting to Neo4j...');
     await client.connect();
     
-    const circularAnalyzer = new CircularDependencyAnalyzer(client);
+    const limitIndex = args.indexOf('--limit');
+    const limit = limitIndex === -1 ? null : parseInt(args[limitIndex + 1], 10);
+
+    if (limit !== null && !(limit > 0)) {
+      logger.error('Please provide a positive number for --limit');
+      process.exit(1);
+    }
+
+    const circularAnalyzer = new CircularDependencyAnalyzer(client, {
+      level: args.includes('--files') ? 'file' : 'package',
+      limit: limit ?? DEFAULT_CYCLE_LIMIT
+    });
+    const unit = circularAnalyzer.graph.noun;
     const conflictAnalyzer = new VersionConflictAnalyzer(client);
 
+    // ============ DEPENDENCY PATHS ============
+    // Checked first: --why takes --project too
+
+    if (args.includes('--why')) {
+      // Explain why a package is installed
+      const packageName = args[args.indexOf('--why') + 1];
+
+      if (!packageName || packageName.startsWith('--')) {
+        logger.error('Please provide a package name');
+        process.exit(1);
+      }
+
+      const projectIndex = args.indexOf('--project');
+      const ecosystemIndex = args.indexOf('--ecosystem');
+
+      const pathAnalyzer = new DependencyPathAnalyzer(client);
+      const results = await pathAnalyzer.explain(packageName, {
+        project: projectIndex === -1 ? null : args[projectIndex + 1],
+        ecosystem: ecosystemIndex === -1 ? null : args[ecosystemIndex + 1],
+        limit: limit ?? DEFAULT_PATH_LIMIT
+      });
+      pathAnalyzer.printWhy(packageName, results);
+
+    } else if (args.includes('--depth')) {
+      // Depth levels and the longest chain of each project
+      const depthIndex = args.indexOf('--depth');
+      const projectName = args[depthIndex + 1]?.startsWith('--') ? null : args[depthIndex + 1] || null;
+
+      const pathAnalyzer = new DependencyPathAnalyzer(client);
+      pathAnalyzer.printDepthReport(await pathAnalyzer.analyzeDepth(projectName));
+
     // ============ CIRCULAR DEPENDENCY ANALYSIS ============
-    
-    if (args.includes('--circular-stats')) {
+
+    } else if (args.includes('--circular-stats')) {
       // Show circular dependency statistics
       const stats = await circularAnalyzer.getStatistics();
       
@@ -74,12 +201,17 @@ async function main() {
       if (stats.totalCycles === 0) {
         console.log('✅ No circular dependencies found!\n');
       } else {
-        console.log(`Total Cycles: ${stats.totalCycles}`);
-        console.log(`Shortest Cycle: ${stats.shortestCycle} packages`);
-        console.log(`Longest Cycle: ${stats.longestCycle} packages`);
-        console.log(`Average Cycle Length: ${stats.avgCycleLength} packages\n`);
+        console.log(`Total Cycles: ${stats.totalCycles}${stats.truncated ? '+ (limit reached)' : ''}`);
+        console.log(`Strongly Connected Components: ${stats.components} (largest: ${stats.largestComponent} ${unit})`);
+        console.log(`Shortest Cycle: ${stats.shortestCycle} ${unit}`);
+        console.log(`Longest Cycle: ${stats.longestCycle} ${unit}`);
+        console.log(`Average Cycle Length: ${stats.avgCycleLength} ${unit}\n`);
       }
 
+    } else if (args.includes('--break-cycles')) {
+      // Cheapest set of dependencies whose removal breaks every cycle
+      circularAnalyzer.printCuts(await circularAnalyzer.suggestCuts());
+
     } else if (args.includes('--circular-direct')) {
       // Find direct circular dependencies
       const cycles = await circularAnalyzer.findDirectCircularDependencies();
@@ -90,7 +222,11 @@ async function main() {
         console.log('='.repeat(60) + '\n');
         
         cycles.forEach((cycle, index) => {
-          console.log(`${index + 1}. ${cycle.package1} ⟷ ${cycle.package2}`);
+          if (circularAnalyzer.level === 'file') {
+            console.log(`${index + 1}. ${cycle.file1} ⟷ ${cycle.file2} (${cycle.project})`);
+          } else {
+            console.log(`${index + 1}. ${cycle.package1} ⟷ ${cycle.package2} (${cycle.ecosystem})`);
+          }
         });
         console.log('');
       }
@@ -105,22 +241,26 @@ async function main() {
         process.exit(1);
       }
 
-      const cycles = await circularAnalyzer.findProjectCircularDependencies(projectName);
-      circularAnalyzer.printReport(cycles);
+      const ecosystemIndex = args.indexOf('--ecosystem');
+      const ecosystem = ecosystemIndex === -1 ? null : args[ecosystemIndex + 1];
+
+      const components = await circularAnalyzer.findProjectCircularDependencies(projectName, ecosystem);
+      circularAnalyzer.printReport(components);
 
     } else if (args.includes('--circular')) {
       // Find all circular dependencies
-      const cycles = await circularAnalyzer.findCircularDependencies();
-      circularAnalyzer.printReport(cycles);
+      const components = await circularAnalyzer.findCircularDependencies();
+      circularAnalyzer.printReport(components);
 
       // Show statistics too
-      if (cycles.length > 0) {
-        const stats = await circularAnalyzer.getStatistics();
+      if (components.length > 0) {
+        const stats = await circularAnalyzer.getStatistics(components);
         console.log('📊 Statistics:');
-        console.log(`   Total Cycles: ${stats.totalCycles}`);
-        console.log(`   Shortest: ${stats.shortestCycle} packages`);
-        console.log(`   Longest: ${stats.longestCycle} packages`);
-        console.log(`   Average: ${stats.avgCycleLength} packages\n`);
+        console.log(`   Total Cycles: ${stats.totalCycles}${stats.truncated ? '+ (limit reached)' : ''}`);
+        console.log(`   Components: ${stats.components} (largest: ${stats.largestComponent} ${unit})`);
+        console.log(`   Shortest: ${stats.shortestCycle} ${unit}`);
+        console.log(`   Longest: ${stats.longestCycle} ${unit}`);
+        console.log(`   Average: ${stats.avgCycleLength} ${unit}\n`);
       }
 
     // ============ VERSION CONFLICT ANALYSIS ============
@@ -128,7 +268,8 @@ async function main() {
     } else if (args.includes('--conflicts')) {
       // Find all version conflicts
       const conflicts = await conflictAnalyzer.findVersionConflicts();
-      conflictAnalyzer.printReport(conflicts);
+      const drift = await conflictAnalyzer.findVersionDrift();
+      conflictAnalyzer.printReport(conflicts, drift);
 
       // Show statistics too
       if (conflicts.length > 0) {
@@ -170,9 +311,157 @@ async function main() {
         process.exit(1);
       }
 
-      const conflict = await conflictAnalyzer.findPackageConflict(packageName);
-      if (conflict) {
-        conflictAnalyzer.printPackageConflict(conflict);
+      const ecosystemIndex = args.indexOf('--ecosystem');
+      const ecosystem = ecosystemIndex === -1 ? null : args[ecosystemIndex + 1];
+
+      const conflicts = await conflictAnalyzer.findPackageConflict(packageName, ecosystem);
+      conflicts.forEach(conflict => conflictAnalyzer.printPackageConflict(conflict));
+
+    } else if (args.includes('--installed')) {
+      // List installed versions of a package across all projects
+      const packageIndex = args.indexOf('--installed');
+      const packageName = args[packageIndex + 1];
+
+      if (!packageName) {
+        logger.error('Please provide a package name');
+        process.exit(1);
+      }
+
+      const ecosystemIndex = args.indexOf('--ecosystem');
+      const ecosystem = ecosystemIndex === -1 ? null : args[ecosystemIndex + 1];
+
+      const builder = new GraphBuilder(client);
+      const versions = await builder.findInstalledVersions(packageName, ecosystem);
+
+      console.log('\n' + '='.repeat(60));
+      console.log(`📦 INSTALLED VERSIONS: ${packageName}`);
+      console.log('='.repeat(60) + '\n');
+
+      if (versions.length === 0) {
+        console.log('No installed versions recorded (load projects with lockfiles)\n');
+      } else {
+        versions.forEach(({ ecosystem: eco, version, projects }) => {
+          console.log(`${version} (${eco}):`);
+          projects.forEach(({ project, direct }) => {
+            console.log(`   • ${project}${direct ? '' : ' (transitive)'}`);
+          });
+        });
+        console.log('');
+      }
+
+    // ============ VERSION ALIGNMENT ============
+
+    } else if (args.includes('--align')) {
+      // Align differently constrained packages on one range
+      const configIndex = args.indexOf('--config');
+      const { config } = await loadConfig(process.cwd(), configIndex === -1 ? null : args[configIndex + 1]);
+
+      const policyIndex = args.indexOf('--policy');
+      const alignConfig = config.align || {};
+      const policy = policyIndex === -1 ? alignConfig.policy : args[policyIndex + 1];
+
+      const ecosystemIndex = args.indexOf('--ecosystem');
+      const ecosystem = ecosystemIndex === -1 ? null : args[ecosystemIndex + 1];
+
+      const write = args.includes('--write');
+      const aligner = new VersionAligner(client, { ...alignConfig, policy });
+      const plans = await aligner.planAlignment(ecosystem);
+      const result = await aligner.applyAlignment(plans, { write });
+
+      aligner.printSummary(plans, result);
+
+      const patchIndex = args.indexOf('--patch');
+      if (patchIndex !== -1) {
+        const patchFile = args[patchIndex + 1];
+        if (!patchFile) {
+          logger.error('Please provide a file for the diff');
+          process.exit(1);
+        }
+        await writeFile(patchFile, result.diff, 'utf-8');
+        logger.success(`Diff written to ${patchFile}`);
+      } else if (result.diff) {
+        console.log(result.diff);
+      }
+
+      if (write) {
+        logger.success(`Updated ${result.files.length} files`);
+      } else if (result.files.length > 0) {
+        logger.info('Dry run: no files were changed (use --write to apply)');
+      }
+
+    // ============ DEPENDENCY USAGE ============
+
+    } else if (args.includes('--usage')) {
+      // Compare declared dependencies with source imports
+      const usageIndex = args.indexOf('--usage');
+      const projectName = args[usageIndex + 1]?.startsWith('--') ? null : args[usageIndex + 1] || null;
+
+      const usageAnalyzer = new DependencyUsageAnalyzer(client);
+      const reports = await usageAnalyzer.findUsageIssues(projectName);
+      if (reports.length > 0) {
+        usageAnalyzer.printReport(reports);
+      }
+
+    // ============ CHANGE IMPACT ============
+
+    } else if (args.includes('--affected')) {
+      // Projects to rebuild and retest after the changes between two refs
+      const affectedIndex = args.indexOf('--affected');
+      const [base, head] = args.slice(affectedIndex + 1, affectedIndex + 3).map(arg => arg?.startsWith('--') ? null : arg);
+
+      if (!base) {
+        logger.error('Please provide a git ref to compare against');
+        process.exit(1);
+      }
+
+      const repoIndex = args.indexOf('--repo');
+      const impactAnalyzer = new ChangeImpactAnalyzer(client, {
+        repository: repoIndex === -1 ? null : args[repoIndex + 1]
+      });
+      const report = await impactAnalyzer.findAffected(base, head || 'HEAD');
+
+      if (json) {
+        console.log(JSON.stringify(report, null, 2));
+      } else {
+        impactAnalyzer.printReport(report);
+      }
+
+    // ============ BUILD ORDER ============
+
+    } else if (args.includes('--build-order')) {
+      // Levels of internal packages that can be built and published in parallel
+      const ecosystemIndex = args.indexOf('--ecosystem');
+      const orderAnalyzer = new BuildOrderAnalyzer(client);
+      const plan = await orderAnalyzer.planBuildOrder({
+        ecosystem: ecosystemIndex === -1 ? null : args[ecosystemIndex + 1]
+      });
+
+      if (json) {
+        console.log(JSON.stringify(plan, null, 2));
+      } else {
+        orderAnalyzer.printReport(plan);
+      }
+
+      if (plan.blocked.length > 0) {
+        logger.error(`${plan.unordered.length} projects cannot be ordered because of dependency cycles`);
+        process.exitCode = 1;
+      }
+
+    // ============ PACKAGE METRICS ============
+
+    } else if (args.includes('--metrics')) {
+      // Coupling and centrality of the internal packages, stored on the Project nodes
+      const ecosystemIndex = args.indexOf('--ecosystem');
+      const metricsAnalyzer = new PackageMetricsAnalyzer(client);
+      const metrics = await metricsAnalyzer.computeMetrics({
+        ecosystem: ecosystemIndex === -1 ? null : args[ecosystemIndex + 1]
+      });
+      await metricsAnalyzer.writeMetrics(metrics);
+
+      if (json) {
+        console.log(JSON.stringify(metrics, null, 2));
+      } else {
+        metricsAnalyzer.printReport(metrics, limit ?? DEFAULT_METRICS_LIMIT);
       }
 
     } else {
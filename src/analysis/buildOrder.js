@@ -0,0 +1,152 @@
+import logger from '../utils/logger.js';
+import { topologicalLevels, cyclicComponents } from './graphAlgorithms.js';
+import { loadInternalGraph } from './internalGraph.js';
+
+/**
+ * Build Order Analyzer
+ * Sorts the internal packages (the loaded projects) into build and publish levels: a project's
+ * level comes after the levels of every internal package it depends on, so the projects of one
+ * level can be built in parallel. Projects in or behind a dependency cycle cannot be ordered;
+ * the strongly connected components responsible are reported instead.
+ */
+export class BuildOrderAnalyzer {
+  /**
+   * @param {object} client - Neo4j client
+   */
+  constructor(client) {
+    this.client = client;
+  }
+
+  /**
+   * Plan the build order of the internal packages
+   * @param {object} options - { ecosystem: only projects of this ecosystem }
+   * @returns {Promise<object>} Build plan:
+   *   {
+   *     ecosystem,
+   *     levels,     // [{ level, projects: [{ project, ecosystem, path, dependencies }] }], level 1 first
+   *     blocked,    // [{ component, edges, dependents }] cycles that prevent ordering, and the projects waiting on them
+   *     unordered   // names of every project that could not be placed in a level
+   *   }
+   */
+  async planBuildOrder({ ecosystem = null } = {}) {
+    logger.info('Planning build order...');
+
+    try {
+      const graph = await loadInternalGraph(this.client, { ecosystem });
+      const keys = [...graph.projects.keys()];
+      const dependenciesOf = key => [...graph.dependencies.get(key)];
+      const names = keys => keys.map(key => graph.projects.get(key).name).sort();
+
+      const { levels, remaining } = topologicalLevels(keys, dependenciesOf);
+
+      const describe = key => ({
+        project: graph.projects.get(key).name,
+        ecosystem: graph.projects.get(key).ecosystem,
+        path: graph.projects.get(key).path,
+        dependencies: names(dependenciesOf(key))
+      });
+      const byName = (a, b) => a.project.localeCompare(b.project) || a.ecosystem.localeCompare(b.ecosystem);
+
+      return {
+        ecosystem,
+        levels: levels.map((level, index) => ({ level: index + 1, projects: level.map(describe).sort(byName) })),
+        blocked: this._blockingComponents(remaining, graph),
+        unordered: names(remaining)
+      };
+
+    } catch (error) {
+      logger.error('Failed to plan build order:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Print the build levels and the cycles blocking the rest
+   * @param {object} plan - Plan from planBuildOrder()
+   */
+  printReport(plan) {
+    console.log('\n' + '='.repeat(60));
+    console.log(`🏗️  BUILD ORDER${plan.ecosystem ? ` (${plan.ecosystem})` : ''}`);
+    console.log('='.repeat(60) + '\n');
+
+    if (plan.levels.length === 0 && plan.unordered.length === 0) {
+      console.log('No projects loaded\n');
+      return;
+    }
+
+    if (plan.levels.length > 0) {
+      console.log('Build and publish in this order (projects of one level can run in parallel):');
+      plan.levels.forEach(({ level, projects }) => {
+        console.log(`\n   Level ${level}:`);
+        projects.forEach(({ project, ecosystem, dependencies }) => {
+          const after = dependencies.length > 0 ? ` ← ${dependencies.join(', ')}` : '';
+          console.log(`   • ${project} (${ecosystem})${after}`);
+        });
+      });
+      console.log('');
+    }
+
+    if (plan.blocked.length > 0) {
+      console.log(`🔴 ${plan.unordered.length} projects cannot be ordered, blocked by ${plan.blocked.length} ${plan.blocked.length === 1 ? 'cycle' : 'cycles'}:\n`);
+      plan.blocked.forEach(({ component, edges, dependents }, index) => {
+        console.log(`${index + 1}. ${component.join(', ')} (${component.length} projects)`);
+        edges.forEach(edge => {
+          const where = edge.sourceFile ? ` [${edge.sourceFile}${edge.lineNumber ? `:${edge.lineNumber}` : ''}]` : '';
+          console.log(`   ${edge.from} → ${edge.to} (${edge.type})${where}`);
+        });
+        if (dependents.length > 0) {
+          console.log(`   Also waiting: ${dependents.join(', ')}`);
+        }
+        console.log('');
+      });
+    }
+
+    const ordered = plan.levels.reduce((sum, { projects }) => sum + projects.length, 0);
+    console.log(`📊 ${ordered} projects in ${plan.levels.length} levels` +
+      (plan.unordered.length > 0 ? `, ${plan.unordered.length} unordered` : '') + '\n');
+  }
+
+  /**
+   * Cycles among the unplaced projects, with the declared edges closing them and the projects
+   * outside any cycle that depend on them (a project behind several cycles is listed under each)
+   * @param {Array} remaining - Keys of the unplaced projects
+   * @param {object} graph - Graph from loadInternalGraph()
+   * @returns {Array} [{ component, edges, dependents }] with project names
+   */
+  _blockingComponents(remaining, graph) {
+    if (remaining.length === 0) return [];
+
+    const dependenciesOf = key => [...graph.dependencies.get(key)];
+    const nameOf = key => graph.projects.get(key).name;
+    const components = cyclicComponents(remaining, dependenciesOf);
+    const inCycle = new Set(components.flat());
+
+    return components
+      .map(component => {
+        const members = new Set(component);
+
+        // Walk reverse edges from the component through the unplaced projects
+        const seen = new Set(component);
+        const queue = [...component];
+        while (queue.length > 0) {
+          for (const dependent of graph.dependents.get(queue.shift())) {
+            if (seen.has(dependent)) continue;
+            seen.add(dependent);
+            queue.push(dependent);
+          }
+        }
+        const waiting = [...seen].filter(key => !inCycle.has(key));
+
+        return {
+          component: component.map(nameOf).sort(),
+          edges: graph.edges
+            .filter(edge => members.has(edge.from) && members.has(edge.to))
+            .map(edge => ({ ...edge, from: nameOf(edge.from), to: nameOf(edge.to) })),
+          dependents: waiting.map(nameOf).sort()
+        };
+      })
+      .sort((a, b) => b.component.length - a.component.length || a.component[0].localeCompare(b.component[0]));
+  }
+}
+
+export default BuildOrderAnalyzer;
@@ -0,0 +1,192 @@
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { resolve, relative, sep, isAbsolute } from 'path';
+import logger from '../utils/logger.js';
+import { topologicalLevels } from './graphAlgorithms.js';
+import { loadInternalGraph } from './internalGraph.js';
+
+const run = promisify(execFile);
+
+/**
+ * Change Impact Analyzer
+ * Finds the projects a change between two git refs affects: the projects owning the changed
+ * files, and every project that depends on one of them, directly or through other internal
+ * packages (reverse DEPENDS_ON edges, including the Package → Package links). The affected
+ * projects are returned in dependency order, grouped in levels that can be rebuilt in parallel.
+ */
+export class ChangeImpactAnalyzer {
+  /**
+   * @param {object} client - Neo4j client
+   * @param {object} options - { repository: directory inside the git repository (default: cwd) }
+   */
+  constructor(client, options = {}) {
+    this.client = client;
+    this.repository = resolve(options.repository || process.cwd());
+  }
+
+  /**
+   * Projects affected by the changes between two refs
+   * @param {string} base - Base ref (e.g. main, origin/main, a commit)
+   * @param {string} head - Head ref (default: HEAD)
+   * @returns {Promise<object>} Impact report:
+   *   {
+   *     base, head,
+   *     changedFiles,      // number of changed files
+   *     unownedFiles,      // changed files outside every loaded project (repository-relative)
+   *     changedProjects,   // names of the projects owning changed files
+   *     affected,          // [{ project, ecosystem, path, level, changed, files, via, distance }] in build order
+   *     cyclic             // affected projects in or behind a dependency cycle, which cannot be ordered
+   *   }
+   */
+  async findAffected(base, head = 'HEAD') {
+    logger.info(`Finding projects affected by ${base}..${head}...`);
+
+    try {
+      const { root, files } = await this._changedFiles(base, head);
+      const graph = await loadInternalGraph(this.client);
+      const projects = [...graph.projects.values()];
+
+      // Changed files → the projects with the deepest directory containing them
+      const owned = new Map();
+      const unownedFiles = [];
+      for (const file of files) {
+        const owners = this._ownersOf(resolve(root, file), projects);
+        if (owners.length === 0) {
+          unownedFiles.push(file);
+          continue;
+        }
+        for (const owner of owners) {
+          if (!owned.has(owner.key)) owned.set(owner.key, []);
+          owned.get(owner.key).push(file);
+        }
+      }
+
+      // Walk reverse dependency edges breadth-first, remembering how each project was reached
+      const reached = new Map([...owned.keys()].map(key => [key, { via: null, distance: 0 }]));
+      const queue = [...owned.keys()];
+      while (queue.length > 0) {
+        const key = queue.shift();
+        for (const dependent of graph.dependents.get(key)) {
+          if (reached.has(dependent)) continue;
+          reached.set(dependent, { via: key, distance: reached.get(key).distance + 1 });
+          queue.push(dependent);
+        }
+      }
+
+      // Dependencies first; dependencies outside the affected set are ignored
+      const nameOf = key => graph.projects.get(key).name;
+      const byName = (a, b) => nameOf(a).localeCompare(nameOf(b)) || a.localeCompare(b);
+      const affectedKeys = [...reached.keys()].sort(byName);
+      const { levels, remaining } = topologicalLevels(affectedKeys, key => [...graph.dependencies.get(key)]);
+
+      const describe = (key, level) => {
+        const project = graph.projects.get(key);
+        const { via, distance } = reached.get(key);
+        return {
+          project: project.name,
+          ecosystem: project.ecosystem,
+          path: project.path,
+          level,
+          changed: owned.has(key),
+          files: owned.get(key) || [],
+          via: via && nameOf(via),
+          distance
+        };
+      };
+
+      return {
+        base,
+        head,
+        changedFiles: files.length,
+        unownedFiles,
+        changedProjects: [...owned.keys()].sort(byName).map(nameOf),
+        affected: [
+          ...levels.flatMap((keys, index) => keys.sort(byName).map(key => describe(key, index + 1))),
+          ...remaining.sort(byName).map(key => describe(key, null))
+        ],
+        cyclic: remaining.map(nameOf)
+      };
+
+    } catch (error) {
+      logger.error('Failed to analyze change impact:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Print the affected projects in build order
+   * @param {object} report - Report from findAffected()
+   */
+  printReport(report) {
+    console.log('\n' + '='.repeat(60));
+    console.log(`🎯 AFFECTED PROJECTS (${report.base}..${report.head})`);
+    console.log('='.repeat(60) + '\n');
+
+    console.log(`Changed files: ${report.changedFiles}` +
+      (report.unownedFiles.length > 0 ? ` (${report.unownedFiles.length} outside every project)` : ''));
+
+    if (report.affected.length === 0) {
+      console.log('\n✅ No loaded project is affected\n');
+      return;
+    }
+
+    console.log(`Changed projects: ${report.changedProjects.join(', ')}\n`);
+    console.log('Rebuild and retest in this order (projects of one level can run in parallel):');
+
+    let level;
+    report.affected.forEach(entry => {
+      if (entry.level !== level) {
+        level = entry.level;
+        console.log(level === null ? '\n   Blocked by a dependency cycle (no order):' : `\n   Level ${level}:`);
+      }
+      const reason = entry.changed
+        ? `changed: ${entry.files.length} ${entry.files.length === 1 ? 'file' : 'files'}`
+        : `depends on ${entry.via}`;
+      console.log(`   • ${entry.project} (${reason})`);
+    });
+
+    console.log(`\n📊 ${report.affected.length} affected projects (${report.changedProjects.length} changed)\n`);
+  }
+
+  /**
+   * Files changed between two refs, relative to the repository root
+   * Renames count as a deletion and an addition, so both locations are owned.
+   * @returns {Promise<object>} { root, files }
+   */
+  async _changedFiles(base, head) {
+    const git = async args => {
+      try {
+        const { stdout } = await run('git', args, { cwd: this.repository, maxBuffer: 64 * 1024 * 1024 });
+        return stdout;
+      } catch (error) {
+        throw new Error(`git ${args[0]} failed: ${(error.stderr || error.message).trim()}`);
+      }
+    };
+
+    const root = (await git(['rev-parse', '--show-toplevel'])).trim();
+    const output = await git(['diff', '--name-only', '--no-renames', '-z', base, head, '--']);
+    return { root, files: output.split('\0').filter(Boolean) };
+  }
+
+  /**
+   * Projects whose directory is the deepest one containing a file (projects of several
+   * ecosystems can share a directory)
+   * @returns {Array} Projects
+   */
+  _ownersOf(file, projects) {
+    let owners = [];
+    for (const project of projects) {
+      if (!project.path) continue;
+      const inside = relative(project.path, file);
+      if (inside.startsWith(`..${sep}`) || inside === '..' || isAbsolute(inside)) continue;
+      if (owners.length === 0 || project.path.length > owners[0].path.length) {
+        owners = [project];
+      } else if (project.path.length === owners[0].path.length) {
+        owners.push(project);
+      }
+    }
+    return owners;
+  }
+}
+
+export default ChangeImpactAnalyzer;
@@ -1,48 +1,113 @@
 import logger from '../utils/logger.js';
+import { cyclicComponents, elementaryCycles, feedbackEdgeSet } from './graphAlgorithms.js';
+
+/**
+ * Graphs cycles are searched in
+ *   package: Package nodes and DEPENDS_ON edges; transitive lockfile edges are ignored so only
+ *            declared dependencies form cycles, and a cycle never spans ecosystems
+ *   file:    source modules (File nodes loaded with --deep) and IMPORTS edges; type-only imports
+ *            are erased at compile time and ignored, and a cycle never spans projects
+ */
+export const GRAPH_LEVELS = {
+  package: {
+    label: 'Package',
+    relationship: 'DEPENDS_ON',
+    key: 'name',
+    scope: 'ecosystem',
+    ignored: r => `coalesce(${r}.source, '') = 'lockfile'`,
+    projectStart: 'MATCH (proj:Project {name: $projectName})-[:DEPENDS_ON]->(n1:Package)',
+    // The manifest entries behind each Package → Package edge, as linkPackageDependencies derives them
+    declarations: `
+      MATCH (proj:Project)-[r:DEPENDS_ON]->(declared:Package)
+      WHERE coalesce(r.declared, true) AND declared.ecosystem = proj.ecosystem
+      MATCH (n1:Package {ecosystem: proj.ecosystem})
+      WHERE n1.name IN [proj.name, proj.packageName]
+      RETURN declared.ecosystem as scope, n1.name as source, coalesce(r.linkedProject, declared.name) as target,
+             proj.name as project, r.type as type, r.sourceFile as sourceFile, r.lineNumber as lineNumber
+    `,
+    member: 'package',
+    noun: 'packages'
+  },
+  file: {
+    label: 'File',
+    relationship: 'IMPORTS',
+    key: 'relativePath',
+    scope: 'project',
+    ignored: r => `coalesce(${r}.typeOnly, false)`,
+    projectStart: "MATCH (proj:Project {name: $projectName})-[:HAS_FILE]->(n1:File {type: 'source_module'})",
+    // The import statement behind each edge
+    declarations: `
+      MATCH (n1:File)-[r:IMPORTS]->(n2:File)
+      WHERE n1.project = n2.project AND NOT coalesce(r.typeOnly, false)
+      RETURN n1.project as scope, n1.relativePath as source, n2.relativePath as target,
+             n1.project as project, r.kind as type, n1.relativePath as sourceFile, r.line as lineNumber
+    `,
+    member: 'file',
+    noun: 'files'
+  }
+};
+
+/**
+ * Cycles listed per strongly connected component unless a limit is given
+ */
+export const DEFAULT_CYCLE_LIMIT = 100;
+
+/**
+ * Cost of cutting an edge, by dependency type: a dev dependency is easier to drop or
+ * restructure than one the package needs at runtime. Other types (and import kinds in
+ * file mode) cost as much as production; an edge costs as much as its most expensive declaration.
+ */
+export const CUT_WEIGHTS = {
+  development: 1,
+  build: 2,
+  optional: 3,
+  peer: 5,
+  production: 10
+};
+
+function cutWeight(type) {
+  return CUT_WEIGHTS[type] ?? CUT_WEIGHTS.production;
+}
 
 /**
  * Circular Dependency Analyzer
- * Detects cycles in the dependency graph using Neo4j's graph algorithms
+ * Loads the edges of the graph once and finds cycles in-process: Tarjan's strongly connected
+ * components, then Johnson's elementary cycles inside each component. Works between packages
+ * or, in file mode, between the source modules of a project.
  */
 export class CircularDependencyAnalyzer {
-  constructor(client) {
+  /**
+   * @param {object} client - Neo4j client
+   * @param {object} options - {
+   *     level: 'package' (default) or 'file',
+   *     limit: cycles listed per strongly connected component (default: DEFAULT_CYCLE_LIMIT)
+   *   }
+   */
+  constructor(client, options = {}) {
     this.client = client;
+    this.level = options.level || 'package';
+    this.graph = GRAPH_LEVELS[this.level];
+    this.limit = options.limit ?? DEFAULT_CYCLE_LIMIT;
+
+    if (!this.graph) {
+      throw new Error(`Unknown cycle level "${this.level}" (expected ${Object.keys(GRAPH_LEVELS).join(' or ')})`);
+    }
   }
 
   /**
    * Find all circular dependencies in the graph
-   * @returns {Promise<Array>} Array of circular dependency chains
+   * @returns {Promise<Array>} Strongly connected components with their cycles:
+   *   [{ ecosystem, packages, size, cycles: [{ ecosystem, packages, length }], truncated }]
+   *   (project and files in file mode); a cycle's list starts at its smallest member and
+   *   repeats it at the end, truncated is set when the component has more than `limit` cycles
    */
   async findCircularDependencies() {
     logger.info('Analyzing circular dependencies...');
 
     try {
-      // Query to find cycles of any length
-      const query = `
-        MATCH path = (p1:Package)-[:DEPENDS_ON*]->(p1)
-        WHERE length(path) > 1
-        WITH path, 
-             [node in nodes(path) | node.name] as packageNames,
-             length(path) as cycleLength
-        RETURN DISTINCT packageNames, cycleLength
-        ORDER BY cycleLength ASC
-        LIMIT 100
-      `;
-
-      const result = await this.client.executeQuery(query);
-
-      const cycles = result.map(record => ({
-        packages: record.packageNames,
-        length: record.cycleLength
-      }));
-
-      if (cycles.length === 0) {
-        logger.success('✓ No circular dependencies found!');
-        return [];
-      }
-
-      logger.warning(`⚠ Found ${cycles.length} circular dependencies`);
-      return cycles;
+      const components = await this._findComponents();
+      this._logFound(components, '');
+      return components;
 
     } catch (error) {
       logger.error('Failed to analyze circular dependencies:', error.message);
@@ -58,17 +123,24 @@ export class CircularDependencyAnalyzer {
     logger.info('Analyzing direct circular dependencies (2-node cycles)...');
 
     try {
+      const { label, relationship, key, scope, ignored } = this.graph;
+
       const query = `
-        MATCH (p1:Package)-[:DEPENDS_ON]->(p2:Package)-[:DEPENDS_ON]->(p1)
-        WHERE p1.name < p2.name
-        RETURN p1.name as package1, p2.name as package2
+        MATCH (n1:${label})-[r1:${relationship}]->(n2:${label})-[r2:${relationship}]->(n1)
+        WHERE n1.${scope} = n2.${scope}
+          AND n1.${key} < n2.${key}
+          AND NOT (${ignored('r1')})
+          AND NOT (${ignored('r2')})
+        RETURN n1.${scope} as scope, n1.${key} as first, n2.${key} as second
       `;
 
       const result = await this.client.executeQuery(query);
 
+      // { ecosystem, package1, package2 } for packages, { project, file1, file2 } for files
       const cycles = result.map(record => ({
-        package1: record.package1,
-        package2: record.package2
+        [scope]: record.scope,
+        [`${this.graph.member}1`]: record.first,
+        [`${this.graph.member}2`]: record.second
       }));
 
       if (cycles.length === 0) {
@@ -86,40 +158,27 @@ export class CircularDependencyAnalyzer {
   }
 
   /**
-   * Find circular dependencies within a specific project
+   * Find circular dependencies within a specific project: the components reachable from
+   * the packages it depends on (the project's own source modules in file mode)
    * @param {string} projectName - Name of the project to analyze
-   * @returns {Promise<Array>} Array of circular dependencies
+   * @param {string} ecosystem - Only the project of this ecosystem; every project of that name when omitted
+   * @returns {Promise<Array>} Components, as findCircularDependencies()
    */
-  async findProjectCircularDependencies(projectName) {
+  async findProjectCircularDependencies(projectName, ecosystem = null) {
     logger.info(`Analyzing circular dependencies for project: ${projectName}`);
 
     try {
-      const query = `
-        MATCH (proj:Project {name: $projectName})-[:DEPENDS_ON]->(p1:Package)
-        MATCH path = (p1)-[:DEPENDS_ON*]->(p1)
-        WHERE length(path) > 1
-        WITH path,
-             [node in nodes(path) | node.name] as packageNames,
-             length(path) as cycleLength
-        RETURN DISTINCT packageNames, cycleLength
-        ORDER BY cycleLength ASC
-        LIMIT 50
-      `;
-
-      const result = await this.client.executeQuery(query, { projectName });
-
-      const cycles = result.map(record => ({
-        packages: record.packageNames,
-        length: record.cycleLength
-      }));
+      const { key, scope, projectStart } = this.graph;
 
-      if (cycles.length === 0) {
-        logger.success(`✓ No circular dependencies found in ${projectName}`);
-      } else {
-        logger.warning(`⚠ Found ${cycles.length} circular dependencies in ${projectName}`);
-      }
+      const starts = await this.client.executeQuery(`
+        ${projectStart}
+        WHERE $ecosystem IS NULL OR proj.ecosystem = $ecosystem
+        RETURN DISTINCT n1.${scope} as scope, n1.${key} as name
+      `, { projectName, ecosystem });
 
-      return cycles;
+      const components = await this._findComponents(starts);
+      this._logFound(components, ` in ${projectName}`);
+      return components;
 
     } catch (error) {
       logger.error('Failed to analyze project circular dependencies:', error.message);
@@ -129,23 +188,32 @@ export class CircularDependencyAnalyzer {
 
   /**
    * Print circular dependencies report
-   * @param {Array} cycles - Array of circular dependency cycles
+   * @param {Array} components - Components from findCircularDependencies()
    */
-  printReport(cycles) {
-    if (cycles.length === 0) {
+  printReport(components) {
+    if (components.length === 0) {
       console.log('\n✅ No circular dependencies detected!\n');
       return;
     }
 
+    const { noun, scope } = this.graph;
+    const total = components.reduce((sum, component) => sum + component.cycles.length, 0);
+
     console.log('\n' + '='.repeat(60));
     console.log('⚠️  CIRCULAR DEPENDENCY REPORT');
     console.log('='.repeat(60) + '\n');
 
-    console.log(`Found ${cycles.length} circular dependencies:\n`);
+    console.log(`Found ${total} circular dependencies in ${components.length} strongly connected ${components.length === 1 ? 'component' : 'components'}:\n`);
 
-    cycles.forEach((cycle, index) => {
-      console.log(`${index + 1}. Cycle of length ${cycle.length}:`);
-      console.log(`   ${cycle.packages.join(' → ')}`);
+    components.forEach((component, index) => {
+      console.log(`${index + 1}. ${component.size} ${noun} (${component[scope]}), ${component.cycles.length} ${component.cycles.length === 1 ? 'cycle' : 'cycles'}:`);
+      console.log(`   ${component[noun].join(', ')}`);
+      component.cycles.forEach(cycle => {
+        console.log(`   • ${cycle[noun].join(' → ')}`);
+      });
+      if (component.truncated) {
+        console.log(`   ... stopped after ${component.cycles.length} cycles (raise --limit for more)`);
+      }
       console.log('');
     });
 
@@ -158,39 +226,148 @@ export class CircularDependencyAnalyzer {
   }
 
   /**
-   * Get statistics about circular dependencies
-   * @returns {Promise<Object>} Statistics object
+   * Suggest the dependencies to remove so that no cycle is left: an approximate minimum
+   * feedback edge set, weighted by CUT_WEIGHTS so dev dependencies are cut first
+   * @returns {Promise<object>} {
+   *     cuts,          // [{ ecosystem|project, from, to, type, weight, declarations, breaks }]
+   *                    //   declarations: [{ project, type, sourceFile, lineNumber }] manifest entries (import statements in file mode)
+   *                    //   breaks: the listed cycles going through the edge
+   *     totalWeight,
+   *     components     // as findCircularDependencies()
+   *   }
    */
-  async getStatistics() {
+  async suggestCuts() {
+    logger.info('Looking for the cheapest dependencies to cut...');
+
     try {
-      const query = `
-        MATCH path = (p:Package)-[:DEPENDS_ON*]->(p)
-        WHERE length(path) > 1
-        WITH path, length(path) as cycleLength
-        RETURN 
-          count(DISTINCT path) as totalCycles,
-          min(cycleLength) as shortestCycle,
-          max(cycleLength) as longestCycle,
-          avg(cycleLength) as avgCycleLength
-      `;
+      const { scope, noun, declarations: declarationQuery } = this.graph;
+      const graph = await this._loadGraph();
+      const components = this._components(graph, [...graph.nodes.keys()]);
 
-      const result = await this.client.executeQuery(query);
+      if (components.length === 0) {
+        logger.success('✓ No circular dependencies found!');
+        return { cuts: [], totalWeight: 0, components };
+      }
+
+      // Manifest entries per edge: from → to → declarations
+      const declarations = new Map();
+      for (const row of await this.client.executeQuery(declarationQuery)) {
+        const from = graph.id(row.scope, row.source);
+        const to = graph.id(row.scope, row.target);
+        if (!declarations.has(from)) declarations.set(from, new Map());
+        if (!declarations.get(from).has(to)) declarations.get(from).set(to, []);
+        declarations.get(from).get(to).push({
+          project: row.project,
+          type: row.type || null,
+          sourceFile: row.sourceFile || null,
+          lineNumber: Number(row.lineNumber) || 0
+        });
+      }
+      const declarationsOf = (from, to) => declarations.get(from)?.get(to) || [];
+      const strongest = entries => entries.reduce((best, entry) => (!best || cutWeight(entry.type) > cutWeight(best.type) ? entry : best), null);
+
+      const members = components.flatMap(component => component[noun].map(name => graph.id(component[scope], name)));
+      const weightOf = (from, to) => cutWeight(strongest(declarationsOf(from, to))?.type);
+      const chosen = feedbackEdgeSet(members, graph.successorsOf, weightOf, { limit: this.limit, compare: graph.byName });
+
+      const cycles = components.flatMap(component => component.cycles);
+      const cuts = chosen
+        .map(({ from, to, weight }) => {
+          const source = graph.nodes.get(from);
+          const target = graph.nodes.get(to);
+          const entries = declarationsOf(from, to);
+
+          return {
+            [scope]: source.scope,
+            from: source.name,
+            to: target.name,
+            type: strongest(entries)?.type || null,
+            weight,
+            declarations: entries,
+            breaks: cycles.filter(cycle => cycle[scope] === source.scope &&
+              cycle[noun].some((name, index) => name === source.name && cycle[noun][index + 1] === target.name))
+          };
+        })
+        .sort((a, b) => b.breaks.length - a.breaks.length || a.weight - b.weight);
+
+      const totalWeight = cuts.reduce((sum, cut) => sum + cut.weight, 0);
+      logger.warning(`⚠ ${cuts.length} dependencies to cut to break every cycle (cost ${totalWeight})`);
+
+      return { cuts, totalWeight, components };
+
+    } catch (error) {
+      logger.error('Failed to suggest cycle-breaking cuts:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Print the suggested cuts
+   * @param {object} plan - Result of suggestCuts()
+   */
+  printCuts(plan) {
+    if (plan.cuts.length === 0) {
+      console.log('\n✅ No circular dependencies detected!\n');
+      return;
+    }
+
+    const { scope } = this.graph;
+    const listed = plan.components.reduce((sum, component) => sum + component.cycles.length, 0);
+
+    console.log('\n' + '='.repeat(60));
+    console.log('✂️  CYCLE-BREAKING SUGGESTIONS');
+    console.log('='.repeat(60) + '\n');
+
+    console.log(`Removing these ${plan.cuts.length} dependencies leaves no cycle (total cost ${plan.totalWeight}):\n`);
+
+    plan.cuts.forEach((cut, index) => {
+      console.log(`${index + 1}. ${cut.from} → ${cut.to} (${cut[scope]}, ${cut.type || 'production'}, cost ${cut.weight})`);
+      cut.declarations.forEach(({ project, type, sourceFile, lineNumber }) => {
+        const where = sourceFile ? `${sourceFile}${lineNumber ? `:${lineNumber}` : ''}` : 'unknown location';
+        console.log(`   at ${where} (${project}${type ? `, ${type}` : ''})`);
+      });
+      console.log(`   breaks ${cut.breaks.length} of the ${listed} listed ${listed === 1 ? 'cycle' : 'cycles'}:`);
+      cut.breaks.forEach(cycle => {
+        console.log(`   • ${cycle[this.graph.noun].join(' → ')}`);
+      });
+      console.log('');
+    });
 
-      if (result.length === 0 || result[0].totalCycles === 0) {
+    if (plan.components.some(component => component.truncated)) {
+      console.log('Some components have more cycles than listed (raise --limit to list them); the cuts break them too.\n');
+    }
+  }
+
+  /**
+   * Get statistics about circular dependencies
+   * @param {Array} components - Components already found (default: search the whole graph)
+   * @returns {Promise<Object>} Statistics object; with truncated set the cycle counts are lower bounds
+   */
+  async getStatistics(components = null) {
+    try {
+      components = components || await this._findComponents();
+      const lengths = components.flatMap(component => component.cycles.map(cycle => cycle.length));
+
+      if (lengths.length === 0) {
         return {
           totalCycles: 0,
           shortestCycle: 0,
           longestCycle: 0,
-          avgCycleLength: 0
+          avgCycleLength: 0,
+          components: 0,
+          largestComponent: 0,
+          truncated: false
         };
       }
 
-      const record = result[0];
       return {
-        totalCycles: record.totalCycles,
-        shortestCycle: record.shortestCycle,
-        longestCycle: record.longestCycle,
-        avgCycleLength: parseFloat(record.avgCycleLength?.toFixed(2) || 0)
+        totalCycles: lengths.length,
+        shortestCycle: Math.min(...lengths),
+        longestCycle: Math.max(...lengths),
+        avgCycleLength: parseFloat((lengths.reduce((sum, length) => sum + length, 0) / lengths.length).toFixed(2)),
+        components: components.length,
+        largestComponent: Math.max(...components.map(component => component.size)),
+        truncated: components.some(component => component.truncated)
       };
 
     } catch (error) {
@@ -198,6 +375,125 @@ export class CircularDependencyAnalyzer {
       return null;
     }
   }
+
+  /**
+   * Strongly connected components of the graph and their elementary cycles
+   * @param {Array} starts - [{ scope, name }] only keep components reachable from these nodes (default: all)
+   * @returns {Promise<Array>} Components, largest first
+   */
+  async _findComponents(starts = null) {
+    const graph = await this._loadGraph();
+
+    let candidates = [...graph.nodes.keys()];
+    if (starts) {
+      const reached = new Set(starts.map(start => graph.id(start.scope, start.name)).filter(node => graph.nodes.has(node)));
+      const queue = [...reached];
+      while (queue.length > 0) {
+        for (const successor of graph.successorsOf(queue.shift())) {
+          if (reached.has(successor)) continue;
+          reached.add(successor);
+          queue.push(successor);
+        }
+      }
+      candidates = [...reached];
+    }
+
+    return this._components(graph, candidates);
+  }
+
+  /**
+   * Edges of the graph, between nodes identified by scope and key (the same package
+   * name exists in several ecosystems)
+   * @returns {Promise<object>} { nodes: Map(id → { scope, name }), id, successorsOf, nameOf, byName }
+   */
+  async _loadGraph() {
+    const { label, relationship, key, scope, ignored } = this.graph;
+
+    // Self-references are not cycles between two members
+    const edges = await this.client.executeQuery(`
+      MATCH (a:${label})-[r:${relationship}]->(b:${label})
+      WHERE a.${scope} = b.${scope}
+        AND a <> b
+        AND NOT (${ignored('r')})
+      RETURN DISTINCT a.${scope} as scope, a.${key} as source, b.${key} as target
+    `);
+
+    const id = (scopeValue, name) => JSON.stringify([scopeValue, name]);
+    const nodes = new Map();
+    const successors = new Map();
+    for (const edge of edges) {
+      const from = id(edge.scope, edge.source);
+      const to = id(edge.scope, edge.target);
+      nodes.set(from, { scope: edge.scope, name: edge.source });
+      nodes.set(to, { scope: edge.scope, name: edge.target });
+      if (!successors.has(from)) successors.set(from, []);
+      successors.get(from).push(to);
+    }
+
+    const nameOf = node => nodes.get(node).name;
+    return {
+      nodes,
+      id,
+      successorsOf: node => successors.get(node) || [],
+      nameOf,
+      byName: (a, b) => (nameOf(a) < nameOf(b) ? -1 : nameOf(a) > nameOf(b) ? 1 : 0)
+    };
+  }
+
+  /**
+   * Cyclic strongly connected components among some nodes, with their elementary cycles
+   * @returns {Array} Components, largest first
+   */
+  _components(graph, candidates) {
+    const { scope, noun } = this.graph;
+    const { nodes, successorsOf, nameOf, byName } = graph;
+
+    return cyclicComponents(candidates, successorsOf)
+      .map(component => {
+        const { cycles, truncated } = elementaryCycles(component, successorsOf, { limit: this.limit, compare: byName });
+        const scopeValue = nodes.get(component[0]).scope;
+
+        return {
+          [scope]: scopeValue,
+          [noun]: component.map(nameOf).sort(),
+          size: component.length,
+          cycles: cycles
+            .map(cycle => this._cycle({
+              scope: scopeValue,
+              names: [...cycle, cycle[0]].map(nameOf),
+              cycleLength: cycle.length
+            }))
+            .sort((a, b) => a.length - b.length || a[noun].join('\0').localeCompare(b[noun].join('\0'))),
+          truncated
+        };
+      })
+      .sort((a, b) => b.size - a.size || String(a[scope]).localeCompare(String(b[scope])) || a[noun][0].localeCompare(b[noun][0]));
+  }
+
+  /**
+   * Log how many cycles were found
+   */
+  _logFound(components, where) {
+    if (components.length === 0) {
+      logger.success(`✓ No circular dependencies found${where}!`);
+      return;
+    }
+
+    const total = components.reduce((sum, component) => sum + component.cycles.length, 0);
+    const more = components.some(component => component.truncated) ? ' (limit reached)' : '';
+    logger.warning(`⚠ Found ${total} circular dependencies in ${components.length} strongly connected components${where}${more}`);
+  }
+
+  /**
+   * Cycle record of this level: { ecosystem, packages, length } or { project, files, length }
+   */
+  _cycle(record) {
+    return {
+      [this.graph.scope]: record.scope,
+      [this.graph.noun]: record.names,
+      length: record.cycleLength
+    };
+  }
 }
 
 export default CircularDependencyAnalyzer;
\ No newline at end of file
@@ -0,0 +1,440 @@
+import logger from '../utils/logger.js';
+import { normalizePackageName } from '../utils/ecosystem.js';
+import { projectKey } from './internalGraph.js';
+
+// Paths listed by --why unless a limit is given
+export const DEFAULT_PATH_LIMIT = 100;
+
+/**
+ * Dependency Path Analyzer
+ * Explains why a package is installed and how deep each project's dependency tree goes.
+ * The graph is loaded once and searched in-process:
+ *
+ *   Project ─declared→ Package ─derived→ Package      internal packages (linkPackageDependencies)
+ *                          └─installed→ PackageVersion ─lockfile→ PackageVersion
+ *
+ * Declared dependencies the project installs (USES_VERSION) continue into its lockfile tree;
+ * a lockfile edge is followed only when the project installs both of its ends.
+ */
+export class DependencyPathAnalyzer {
+  constructor(client) {
+    this.client = client;
+    this.graph = null;
+  }
+
+  /**
+   * Every path from the projects to a package
+   * @param {string} packageName - Package to explain
+   * @param {object} options - { project, ecosystem, limit }
+   * @returns {Promise<Array>} Per project that reaches the package:
+   *   { project, ecosystem, paths, truncated, minDepth, maxDepth, devOnly }
+   *   paths are [{ steps: [{ name, version, type }], dev }] (steps[0] is the project)
+   */
+  async explain(packageName, { project = null, ecosystem = null, limit = DEFAULT_PATH_LIMIT } = {}) {
+    logger.info(`Finding dependency paths to ${packageName}...`);
+
+    try {
+      const graph = await this._loadGraph();
+      const results = [];
+
+      for (const root of graph.projects.values()) {
+        if (project && root.name !== project) continue;
+        if (ecosystem && root.ecosystem !== ecosystem) continue;
+
+        const target = normalizePackageName(root.ecosystem, packageName);
+        const isTarget = node => node.ecosystem === root.ecosystem && node.name === target;
+
+        const depths = this._depths(root);
+        const reached = [...depths.keys()].filter(id => id !== root.id && isTarget(graph.nodes.get(id)));
+        if (reached.length === 0) continue;
+
+        const productionDepths = this._depths(root, { skipDev: true });
+        const { paths, truncated } = this._paths(root, isTarget, limit);
+
+        results.push({
+          project: root.name,
+          ecosystem: root.ecosystem,
+          paths,
+          truncated,
+          minDepth: Math.min(...reached.map(id => depths.get(id))),
+          maxDepth: Math.max(...paths.map(path => path.steps.length - 1)),
+          devOnly: !reached.some(id => productionDepths.has(id))
+        });
+      }
+
+      if (results.length === 0) {
+        logger.warning(`No project depends on ${packageName}`);
+      }
+      return results;
+
+    } catch (error) {
+      logger.error('Failed to find dependency paths:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Depth of every project's dependency tree
+   * @param {string} projectName - Only this project (optional)
+   * @returns {Promise<Array>} Per project: { project, ecosystem, levels, longestChain }
+   *   levels are [{ depth, packages }] by shortest distance from the project (direct = 1);
+   *   longestChain is the longest path without repeating a package, as [{ name, version, type }]
+   */
+  async analyzeDepth(projectName = null) {
+    logger.info('Analyzing dependency depth...');
+
+    try {
+      const graph = await this._loadGraph();
+      const reports = [];
+
+      for (const root of graph.projects.values()) {
+        if (projectName && root.name !== projectName) continue;
+
+        const levels = new Map();
+        for (const [id, depth] of this._depths(root)) {
+          if (depth === 0) continue;
+          if (!levels.has(depth)) levels.set(depth, []);
+          levels.get(depth).push(label(graph.nodes.get(id)));
+        }
+
+        reports.push({
+          project: root.name,
+          ecosystem: root.ecosystem,
+          levels: [...levels.entries()]
+            .sort(([a], [b]) => a - b)
+            .map(([depth, packages]) => ({ depth, packages: packages.sort() })),
+          longestChain: this._longestChain(root)
+        });
+      }
+
+      return reports;
+
+    } catch (error) {
+      logger.error('Failed to analyze dependency depth:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Print the paths to a package
+   * @param {string} packageName - Explained package
+   * @param {Array} results - Results of explain()
+   */
+  printWhy(packageName, results) {
+    console.log('\n' + '='.repeat(60));
+    console.log(`❓ WHY IS ${packageName} INSTALLED?`);
+    console.log('='.repeat(60) + '\n');
+
+    if (results.length === 0) {
+      console.log(`No loaded project depends on ${packageName}\n`);
+      return;
+    }
+
+    results.forEach(result => {
+      console.log(`📦 ${result.project} (${result.ecosystem})`);
+      console.log(`   Depth: ${result.minDepth === result.maxDepth ? result.minDepth : `${result.minDepth}-${result.maxDepth}`}` +
+        (result.devOnly ? ' · only through dev dependencies' : ''));
+
+      result.paths.forEach(path => {
+        const chain = path.steps.map(step => step.version ? `${step.name}@${step.version}` : step.name).join(' → ');
+        console.log(`   ${path.dev ? '(dev) ' : ''}${chain}`);
+      });
+
+      if (result.truncated) {
+        console.log(`   ... stopped after ${result.paths.length} paths; the maximum depth is of these (raise --limit for more)`);
+      }
+      console.log('');
+    });
+  }
+
+  /**
+   * Print the depth report
+   * @param {Array} reports - Reports of analyzeDepth()
+   */
+  printDepthReport(reports) {
+    console.log('\n' + '='.repeat(60));
+    console.log('📏 DEPENDENCY DEPTH REPORT');
+    console.log('='.repeat(60) + '\n');
+
+    if (reports.length === 0) {
+      console.log('No projects loaded\n');
+      return;
+    }
+
+    reports.forEach(report => {
+      const deepest = report.levels.length;
+      console.log(`📦 ${report.project} (${report.ecosystem}): depth ${deepest}`);
+
+      report.levels.forEach(({ depth, packages }) => {
+        const shown = packages.slice(0, 8).join(', ');
+        const more = packages.length > 8 ? `, +${packages.length - 8} more` : '';
+        console.log(`   ${depth}: ${packages.length} (${shown}${more})`);
+      });
+
+      if (report.longestChain.length > 1) {
+        const chain = report.longestChain.map(step => step.version ? `${step.name}@${step.version}` : step.name);
+        console.log(`   Longest chain (${chain.length - 1}): ${chain.join(' → ')}`);
+      }
+      console.log('');
+    });
+  }
+
+  /**
+   * Shortest distance from a project to everything it reaches (breadth-first)
+   * @param {object} root - Project
+   * @param {object} options - { skipDev: true to leave out development edges }
+   * @returns {Map<string, number>} Node id → depth (the project is 0)
+   */
+  _depths(root, { skipDev = false } = {}) {
+    const depths = new Map([[root.id, 0]]);
+    const queue = [root.id];
+
+    while (queue.length > 0) {
+      const id = queue.shift();
+      for (const edge of this._edgesFrom(root, id)) {
+        if (skipDev && edge.type === 'development') continue;
+        if (depths.has(edge.to)) continue;
+        depths.set(edge.to, depths.get(id) + 1);
+        queue.push(edge.to);
+      }
+    }
+
+    return depths;
+  }
+
+  /**
+   * Simple paths from a project to the target, up to a limit, sorted shortest first
+   * A path stops at the target; paths through it to another copy of it are not listed.
+   * @returns {object} { paths, truncated }
+   */
+  _paths(root, isTarget, limit) {
+    const leadsToTarget = this._reaching(root, isTarget);
+    const paths = [];
+    const onPath = new Set([root.id]);
+    const steps = [{ name: root.name, version: null, type: null }];
+    let truncated = false;
+
+    const walk = id => {
+      for (const edge of this._edgesFrom(root, id)) {
+        if (onPath.has(edge.to) || !leadsToTarget.has(edge.to)) continue;
+        if (paths.length >= limit) {
+          truncated = true;
+          return;
+        }
+
+        const node = this.graph.nodes.get(edge.to);
+        steps.push({ name: node.name, version: node.version, type: edge.type });
+
+        if (isTarget(node)) {
+          paths.push({ steps: [...steps], dev: steps.some(step => step.type === 'development') });
+        } else {
+          onPath.add(edge.to);
+          walk(edge.to);
+          onPath.delete(edge.to);
+        }
+        steps.pop();
+      }
+    };
+
+    walk(root.id);
+    paths.sort((a, b) => a.steps.length - b.steps.length);
+    return { paths, truncated };
+  }
+
+  /**
+   * Nodes reachable from a project that can reach the target: a reverse breadth-first walk
+   * from the target over the edges the project follows. Branches outside this set never end
+   * at the target, so the path search skips them.
+   * @returns {Set<string>} Node ids, the target's included
+   */
+  _reaching(root, isTarget) {
+    const predecessors = new Map();
+    const seen = new Set([root.id]);
+    const queue = [root.id];
+    while (queue.length > 0) {
+      const id = queue.shift();
+      for (const edge of this._edgesFrom(root, id)) {
+        if (!predecessors.has(edge.to)) predecessors.set(edge.to, []);
+        predecessors.get(edge.to).push(id);
+        if (seen.has(edge.to)) continue;
+        seen.add(edge.to);
+        queue.push(edge.to);
+      }
+    }
+
+    const reaching = new Set([...seen].filter(id => id !== root.id && isTarget(this.graph.nodes.get(id))));
+    const pending = [...reaching];
+    while (pending.length > 0) {
+      for (const predecessor of predecessors.get(pending.shift()) || []) {
+        if (reaching.has(predecessor)) continue;
+        reaching.add(predecessor);
+        pending.push(predecessor);
+      }
+    }
+    return reaching;
+  }
+
+  /**
+   * Longest path from a project without repeating a package
+   * Edges that close a cycle are cut, which keeps the search linear; on the
+   * acyclic graphs dependency trees usually are, the result is exact.
+   * @returns {Array<object>} Steps from the project: [{ name, version, type }]
+   */
+  _longestChain(root) {
+    const longest = new Map();
+    const active = new Set();
+
+    const visit = id => {
+      if (longest.has(id)) return longest.get(id);
+      active.add(id);
+
+      let best = [];
+      for (const edge of this._edgesFrom(root, id)) {
+        if (active.has(edge.to)) continue;
+        const tail = visit(edge.to);
+        if (tail.length + 1 > best.length) {
+          const node = this.graph.nodes.get(edge.to);
+          best = [{ name: node.name, version: node.version, type: edge.type }, ...tail];
+        }
+      }
+
+      active.delete(id);
+      longest.set(id, best);
+      return best;
+    };
+
+    return [{ name: root.name, version: null, type: null }, ...visit(root.id)];
+  }
+
+  /**
+   * Outgoing edges of a node, seen from one project
+   * Declared and derived edges lead to a package's installed versions when the project installs
+   * any (so the walk continues in its lockfile), otherwise to the package itself.
+   * @returns {Array<object>} [{ to, type }]
+   */
+  _edgesFrom(root, id) {
+    const graph = this.graph;
+    const installed = graph.installed.get(root.key) || new Set();
+
+    if (id.startsWith('version:')) {
+      return (graph.lockfile.get(id) || []).filter(edge => installed.has(edge.to));
+    }
+
+    const declared = id === root.id ? graph.declared.get(root.key) || [] : graph.links.get(id) || [];
+    return declared.flatMap(edge => {
+      if (graph.internal.has(edge.to)) return [edge];
+      const versions = (graph.versionsOf.get(edge.to) || []).filter(version => installed.has(version));
+      return versions.length > 0 ? versions.map(version => ({ to: version, type: edge.type })) : [edge];
+    });
+  }
+
+  /**
+   * Load projects, declared and derived edges, installed versions and lockfile edges
+   * @returns {Promise<object>} In-memory graph
+   */
+  async _loadGraph() {
+    if (this.graph) return this.graph;
+
+    const projects = await this.client.executeQuery(`
+      MATCH (proj:Project)
+      RETURN proj.name as name, proj.ecosystem as ecosystem, proj.packageName as packageName
+      ORDER BY name
+    `);
+
+    const declared = await this.client.executeQuery(`
+      MATCH (proj:Project)-[r:DEPENDS_ON]->(pkg:Package)
+      WHERE coalesce(r.declared, true)
+      RETURN proj.ecosystem as projectEcosystem, proj.name as project,
+             pkg.ecosystem as ecosystem, pkg.name as name, r.type as type
+    `);
+
+    // Package → Package edges only exist between internal packages and their dependencies
+    const links = await this.client.executeQuery(`
+      MATCH (from:Package)-[r:DEPENDS_ON]->(to:Package)
+      WHERE from.ecosystem = to.ecosystem
+      RETURN from.ecosystem as ecosystem, from.name as fromName, to.name as toName, r.type as type
+    `);
+
+    const installed = await this.client.executeQuery(`
+      MATCH (proj:Project)-[:USES_VERSION]->(pv:PackageVersion)
+      RETURN proj.ecosystem as projectEcosystem, proj.name as project,
+             pv.ecosystem as ecosystem, pv.name as name, pv.version as version
+    `);
+
+    const lockfile = await this.client.executeQuery(`
+      MATCH (from:PackageVersion)-[r:DEPENDS_ON {source: 'lockfile'}]->(to:PackageVersion)
+      RETURN from.ecosystem as ecosystem, from.name as fromName, from.version as fromVersion,
+             to.name as toName, to.version as toVersion, r.type as type
+    `);
+
+    const nodes = new Map();
+    const packageNode = (ecosystem, name) => {
+      const id = `package:${ecosystem}:${name}`;
+      if (!nodes.has(id)) nodes.set(id, { id, ecosystem, name, version: null });
+      return id;
+    };
+    const versionNode = (ecosystem, name, version) => {
+      const id = `version:${ecosystem}:${name}@${version}`;
+      if (!nodes.has(id)) nodes.set(id, { id, ecosystem, name, version });
+      return id;
+    };
+    const push = (map, key, value) => {
+      if (!map.has(key)) map.set(key, []);
+      map.get(key).push(value);
+    };
+
+    const graph = {
+      nodes,
+      projects: new Map(),
+      internal: new Set(),
+      declared: new Map(),
+      links: new Map(),
+      installed: new Map(),
+      versionsOf: new Map(),
+      lockfile: new Map()
+    };
+
+    projects.forEach(project => {
+      const key = projectKey(project.ecosystem, project.name);
+      graph.projects.set(key, { id: `project:${key}`, key, name: project.name, ecosystem: project.ecosystem });
+    });
+    declared.forEach(dep => {
+      push(graph.declared, projectKey(dep.projectEcosystem, dep.project), { to: packageNode(dep.ecosystem, dep.name), type: dep.type || 'production' });
+    });
+    links.forEach(link => {
+      const from = packageNode(link.ecosystem, link.fromName);
+      graph.internal.add(from);
+      push(graph.links, from, { to: packageNode(link.ecosystem, link.toName), type: link.type || 'production' });
+    });
+    // Internal packages without dependencies of their own are internal too
+    projects.forEach(project => {
+      [project.name, project.packageName].filter(Boolean).forEach(name => {
+        const id = `package:${project.ecosystem}:${normalizePackageName(project.ecosystem, name)}`;
+        if (nodes.has(id)) graph.internal.add(id);
+      });
+    });
+    installed.forEach(usage => {
+      const id = versionNode(usage.ecosystem, usage.name, usage.version);
+      const key = projectKey(usage.projectEcosystem, usage.project);
+      if (!graph.installed.has(key)) graph.installed.set(key, new Set());
+      graph.installed.get(key).add(id);
+      const versions = graph.versionsOf.get(packageNode(usage.ecosystem, usage.name)) || [];
+      if (!versions.includes(id)) push(graph.versionsOf, packageNode(usage.ecosystem, usage.name), id);
+    });
+    lockfile.forEach(edge => {
+      push(graph.lockfile, versionNode(edge.ecosystem, edge.fromName, edge.fromVersion), {
+        to: versionNode(edge.ecosystem, edge.toName, edge.toVersion),
+        type: edge.type || 'production'
+      });
+    });
+
+    this.graph = graph;
+    return graph;
+  }
+}
+
+function label(node) {
+  return node.version ? `${node.name}@${node.version}` : node.name;
+}
+
+export default DependencyPathAnalyzer;
@@ -0,0 +1,133 @@
+import logger from '../utils/logger.js';
+import { projectKey } from './internalGraph.js';
+
+/**
+ * Dependency Usage Analyzer
+ * Compares what manifests declare with what the source code imports, as recorded on
+ * DEPENDS_ON edges by an import scan (node src/index.js <path> --imports):
+ *   - unused: declared but never used
+ *   - phantom: imported but not declared, i.e. missing requirements (declared = false edges)
+ *   - devOnlyRuntime: imported by runtime code but declared as a dev dependency only
+ */
+export class DependencyUsageAnalyzer {
+  constructor(client) {
+    this.client = client;
+  }
+
+  /**
+   * Find usage problems of every scanned project
+   * @param {string} projectName - Only this project (optional)
+   * @returns {Promise<Array>} Per project: { project, ecosystem, unused, phantom, devOnlyRuntime }
+   */
+  async findUsageIssues(projectName = null) {
+    logger.info('Analyzing dependency usage...');
+
+    try {
+      const query = `
+        MATCH (proj:Project)-[r:DEPENDS_ON]->(pkg:Package)
+        WHERE r.usageScannedAt IS NOT NULL
+          AND ($projectName IS NULL OR proj.name = $projectName)
+          AND (r.used = false OR r.phantom = true OR r.devOnlyRuntime = true)
+        RETURN proj.name as project,
+               proj.ecosystem as projectEcosystem,
+               pkg.ecosystem as ecosystem,
+               pkg.name as name,
+               r.type as type,
+               r.used as used,
+               r.phantom as phantom,
+               r.devOnlyRuntime as devOnlyRuntime,
+               r.importedFrom as files
+        ORDER BY project, name
+      `;
+
+      const result = await this.client.executeQuery(query, { projectName });
+
+      // Projects are unique per (ecosystem, name)
+      const byProject = new Map();
+      for (const row of result) {
+        const key = projectKey(row.projectEcosystem, row.project);
+        if (!byProject.has(key)) {
+          byProject.set(key, {
+            project: row.project,
+            ecosystem: row.projectEcosystem,
+            unused: [],
+            phantom: [],
+            devOnlyRuntime: []
+          });
+        }
+        const report = byProject.get(key);
+        const entry = { name: row.name, ecosystem: row.ecosystem, type: row.type, files: row.files || [] };
+
+        if (row.phantom) report.phantom.push(entry);
+        else if (row.used === false) report.unused.push(entry);
+        if (row.devOnlyRuntime) report.devOnlyRuntime.push(entry);
+      }
+
+      const reports = [...byProject.values()];
+      if (reports.length === 0) {
+        logger.success('✓ No dependency usage issues found (or no project was scanned with --imports)');
+      }
+      return reports;
+
+    } catch (error) {
+      logger.error('Failed to analyze dependency usage:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Print usage problems per project
+   * @param {Array} reports - { project, unused, phantom, devOnlyRuntime } per project
+   */
+  printReport(reports) {
+    const withIssues = reports.filter(report =>
+      report.unused.length + report.phantom.length + report.devOnlyRuntime.length > 0);
+
+    if (withIssues.length === 0) {
+      console.log('\n✅ Every declared dependency is used and every import is declared!\n');
+      return;
+    }
+
+    console.log('\n' + '='.repeat(60));
+    console.log('🔍 DEPENDENCY USAGE REPORT');
+    console.log('='.repeat(60) + '\n');
+
+    withIssues.forEach(report => {
+      console.log(`📦 ${report.project}${report.ecosystem ? ` (${report.ecosystem})` : ''}`);
+
+      if (report.unused.length > 0) {
+        console.log(`   Unused (${report.unused.length}):`);
+        report.unused.forEach(dep => console.log(`     - ${dep.name} (${dep.type})`));
+      }
+
+      if (report.phantom.length > 0) {
+        console.log(`   Phantom / missing - imported but not declared (${report.phantom.length}):`);
+        report.phantom.forEach(dep => console.log(`     - ${dep.name}${describeFiles(dep.files)}`));
+      }
+
+      if (report.devOnlyRuntime.length > 0) {
+        console.log(`   Runtime imports of dev dependencies (${report.devOnlyRuntime.length}):`);
+        report.devOnlyRuntime.forEach(dep => console.log(`     - ${dep.name}${describeFiles(dep.files)}`));
+      }
+
+      console.log('');
+    });
+
+    const count = key => withIssues.reduce((sum, report) => sum + report[key].length, 0);
+    console.log('📊 Summary:');
+    console.log(`   Unused: ${count('unused')}`);
+    console.log(`   Phantom: ${count('phantom')}`);
+    console.log(`   Dev-only at runtime: ${count('devOnlyRuntime')}\n`);
+  }
+}
+
+/**
+ * First files a finding comes from: " (src/a.js, src/b.js, +3 more)"
+ */
+function describeFiles(files = []) {
+  if (files.length === 0) return '';
+  const shown = files.slice(0, 2).join(', ');
+  return files.length > 2 ? ` (${shown}, +${files.length - 2} more)` : ` (${shown})`;
+}
+
+export default DependencyUsageAnalyzer;
@@ -0,0 +1,387 @@
+/**
+ * Graph Algorithms
+ * In-process algorithms over small directed graphs loaded from Neo4j, so the analyses
+ * do not depend on the Graph Data Science plugin. A graph is given as its nodes and a
+ * function returning the successors of a node; successors outside `nodes` are ignored.
+ */
+
+/**
+ * Sort a graph into topological levels (Kahn's algorithm)
+ * Level 0 holds the nodes without successors, level n the nodes whose successors are all in
+ * lower levels, so with "depends on" edges every level can be built once the levels before it are.
+ * @param {Array} nodes - Nodes
+ * @param {Function} successorsOf - node → Array of nodes it points to (its dependencies)
+ * @returns {object} { levels: Array<Array>, remaining: Array } - remaining nodes are on or behind a cycle
+ */
+export function topologicalLevels(nodes, successorsOf) {
+  const included = new Set(nodes);
+  const pending = new Map();
+  const predecessors = new Map(nodes.map(node => [node, []]));
+
+  for (const node of nodes) {
+    const successors = [...new Set(successorsOf(node))].filter(successor => included.has(successor) && successor !== node);
+    pending.set(node, successors.length);
+    successors.forEach(successor => predecessors.get(successor).push(node));
+  }
+
+  const levels = [];
+  let current = nodes.filter(node => pending.get(node) === 0);
+
+  while (current.length > 0) {
+    levels.push(current);
+    const next = [];
+    for (const node of current) {
+      for (const predecessor of predecessors.get(node)) {
+        pending.set(predecessor, pending.get(predecessor) - 1);
+        if (pending.get(predecessor) === 0) next.push(predecessor);
+      }
+    }
+    current = next;
+  }
+
+  const placed = new Set(levels.flat());
+  return { levels, remaining: nodes.filter(node => !placed.has(node)) };
+}
+
+/**
+ * Strongly connected components (Tarjan's algorithm, iterative so deep graphs do not overflow the stack)
+ * @param {Array} nodes - Nodes
+ * @param {Function} successorsOf - node → Array of nodes it points to
+ * @returns {Array<Array>} Components, each a list of nodes; a component comes after every component it points to
+ */
+export function stronglyConnectedComponents(nodes, successorsOf) {
+  const included = new Set(nodes);
+  const successors = node => [...new Set(successorsOf(node))].filter(successor => included.has(successor));
+  const index = new Map();
+  const lowlink = new Map();
+  const onStack = new Set();
+  const stack = [];
+  const components = [];
+
+  const open = node => {
+    index.set(node, index.size);
+    lowlink.set(node, index.get(node));
+    stack.push(node);
+    onStack.add(node);
+    return { node, successors: successors(node), next: 0 };
+  };
+
+  for (const start of nodes) {
+    if (index.has(start)) continue;
+    const work = [open(start)];
+
+    while (work.length > 0) {
+      const frame = work[work.length - 1];
+
+      if (frame.next < frame.successors.length) {
+        const successor = frame.successors[frame.next++];
+        if (!index.has(successor)) {
+          work.push(open(successor));
+        } else if (onStack.has(successor)) {
+          lowlink.set(frame.node, Math.min(lowlink.get(frame.node), index.get(successor)));
+        }
+        continue;
+      }
+
+      work.pop();
+      if (work.length > 0) {
+        const parent = work[work.length - 1].node;
+        lowlink.set(parent, Math.min(lowlink.get(parent), lowlink.get(frame.node)));
+      }
+
+      if (lowlink.get(frame.node) === index.get(frame.node)) {
+        const component = [];
+        let member;
+        do {
+          member = stack.pop();
+          onStack.delete(member);
+          component.push(member);
+        } while (member !== frame.node);
+        components.push(component.reverse());
+      }
+    }
+  }
+
+  return components;
+}
+
+/**
+ * Components that contain a cycle: more than one node, or a node pointing to itself
+ * @param {Array} nodes - Nodes
+ * @param {Function} successorsOf - node → Array of nodes it points to
+ * @returns {Array<Array>} Cyclic components
+ */
+export function cyclicComponents(nodes, successorsOf) {
+  return stronglyConnectedComponents(nodes, successorsOf)
+    .filter(component => component.length > 1 || successorsOf(component[0]).includes(component[0]));
+}
+
+/**
+ * Elementary cycles (Johnson's algorithm)
+ * Each cycle is listed once, rotated to start at its smallest node. Cycles are searched one
+ * strongly connected component at a time: all cycles through one node of the component, then
+ * the components left once that node is removed. The search stops after `limit` cycles.
+ * @param {Array} nodes - Nodes
+ * @param {Function} successorsOf - node → Array of nodes it points to
+ * @param {object} options - { limit: maximum cycles (default: no limit), compare: node order for the rotation }
+ * @returns {object} { cycles: Array<Array> (without the closing node), truncated: true when more cycles exist }
+ */
+export function elementaryCycles(nodes, successorsOf, { limit = Infinity, compare = compareNodes } = {}) {
+  const included = new Set(nodes);
+  const adjacency = new Map(nodes.map(node => [
+    node,
+    [...new Set(successorsOf(node))].filter(successor => included.has(successor))
+  ]));
+
+  const cycles = [];
+  let truncated = false;
+  const pending = cyclicComponents(nodes, node => adjacency.get(node));
+
+  while (pending.length > 0 && !truncated) {
+    const component = pending.pop();
+    const start = component[0];
+    const members = new Set(component);
+    const successors = node => adjacency.get(node).filter(successor => members.has(successor));
+
+    // Circuits through start; a node stays blocked until a path from it back to start is found
+    const blocked = new Set([start]);
+    const blockedBy = new Map(component.map(node => [node, new Set()]));
+    const unblock = node => {
+      const queue = [node];
+      while (queue.length > 0) {
+        const current = queue.pop();
+        if (!blocked.has(current)) continue;
+        blocked.delete(current);
+        queue.push(...blockedBy.get(current));
+        blockedBy.get(current).clear();
+      }
+    };
+
+    const path = [start];
+    const work = [{ node: start, successors: successors(start), next: 0, closed: false }];
+
+    while (work.length > 0) {
+      const frame = work[work.length - 1];
+
+      if (frame.next < frame.successors.length) {
+        const successor = frame.successors[frame.next++];
+        if (successor === start) {
+          if (cycles.length === limit) {
+            truncated = true;
+            break;
+          }
+          cycles.push(rotateCycle(path, compare));
+          frame.closed = true;
+        } else if (!blocked.has(successor)) {
+          path.push(successor);
+          blocked.add(successor);
+          work.push({ node: successor, successors: successors(successor), next: 0, closed: false });
+        }
+        continue;
+      }
+
+      work.pop();
+      path.pop();
+      if (frame.closed) {
+        unblock(frame.node);
+      } else {
+        frame.successors.forEach(successor => blockedBy.get(successor).add(frame.node));
+      }
+      if (work.length > 0 && frame.closed) {
+        work[work.length - 1].closed = true;
+      }
+    }
+
+    members.delete(start);
+    pending.push(...cyclicComponents([...members], node => adjacency.get(node).filter(successor => members.has(successor))));
+  }
+
+  return { cycles, truncated };
+}
+
+/**
+ * Approximate minimum weight feedback edge set: edges whose removal leaves the graph acyclic
+ * Greedy weighted set cover over the elementary cycles: the edge breaking the most remaining
+ * cycles per unit of weight is cut first. When the cycle search hit its limit, the cycles
+ * left after the cuts are searched again. Cuts that turn out to be unnecessary once the
+ * graph is acyclic are restored, heaviest first.
+ * @param {Array} nodes - Nodes
+ * @param {Function} successorsOf - node → Array of nodes it points to
+ * @param {Function} weightOf - (from, to) → positive cost of cutting the edge
+ * @param {object} options - { limit: cycles enumerated per round (default: 1000), compare: node order }
+ * @returns {Array} [{ from, to, weight }] in the order they were chosen
+ */
+export function feedbackEdgeSet(nodes, successorsOf, weightOf, { limit = 1000, compare = compareNodes } = {}) {
+  const removed = new Map(nodes.map(node => [node, new Set()]));
+  const liveSuccessors = node => successorsOf(node).filter(successor => !removed.get(node)?.has(successor));
+  const cuts = [];
+
+  for (;;) {
+    const { cycles } = elementaryCycles(nodes, liveSuccessors, { limit, compare });
+    if (cycles.length === 0) break;
+
+    let open = cycles.map(cycle => cycle.map((node, index) => [node, cycle[(index + 1) % cycle.length]]));
+    while (open.length > 0) {
+      const counts = new Map();
+      const entries = [];
+      for (const cycle of open) {
+        for (const [from, to] of cycle) {
+          if (!counts.has(from)) counts.set(from, new Map());
+          if (!counts.get(from).has(to)) {
+            const entry = { from, to, cycles: 0 };
+            counts.get(from).set(to, entry);
+            entries.push(entry);
+          }
+          counts.get(from).get(to).cycles++;
+        }
+      }
+
+      let best = null;
+      for (const entry of entries) {
+        entry.weight = weightOf(entry.from, entry.to);
+        if (!best || entry.cycles / entry.weight > best.cycles / best.weight ||
+            (entry.cycles / entry.weight === best.cycles / best.weight && entry.weight < best.weight)) {
+          best = entry;
+        }
+      }
+
+      removed.get(best.from).add(best.to);
+      cuts.push({ from: best.from, to: best.to, weight: best.weight });
+      open = open.filter(cycle => !cycle.some(([from, to]) => from === best.from && to === best.to));
+    }
+  }
+
+  // Restore cuts the others make redundant, most expensive first
+  const restorable = [...cuts].sort((a, b) => b.weight - a.weight);
+  for (const cut of restorable) {
+    removed.get(cut.from).delete(cut.to);
+    if (cyclicComponents(nodes, liveSuccessors).length > 0) {
+      removed.get(cut.from).add(cut.to);
+    }
+  }
+
+  return cuts.filter(cut => removed.get(cut.from).has(cut.to));
+}
+
+/**
+ * PageRank (power iteration)
+ * Rank flows along the edges, so with "depends on" edges the packages many others (transitively)
+ * depend on rank highest. Nodes without successors spread their rank over every node.
+ * @param {Array} nodes - Nodes
+ * @param {Function} successorsOf - node → Array of nodes it points to
+ * @param {object} options - { damping: 0.85, tolerance: 1e-10 (L1 change), maxIterations: 100 }
+ * @returns {Map} node → score; the scores sum to 1
+ */
+export function pageRank(nodes, successorsOf, { damping = 0.85, tolerance = 1e-10, maxIterations = 100 } = {}) {
+  const n = nodes.length;
+  if (n === 0) return new Map();
+
+  const { successors } = indexGraph(nodes, successorsOf);
+  let rank = new Array(n).fill(1 / n);
+
+  for (let iteration = 0; iteration < maxIterations; iteration++) {
+    const dangling = successors.reduce((sum, targets, index) => sum + (targets.length === 0 ? rank[index] : 0), 0);
+    const next = new Array(n).fill((1 - damping) / n + damping * dangling / n);
+
+    successors.forEach((targets, index) => {
+      const share = damping * rank[index] / targets.length;
+      targets.forEach(target => { next[target] += share; });
+    });
+
+    const change = next.reduce((sum, value, index) => sum + Math.abs(value - rank[index]), 0);
+    rank = next;
+    if (change < tolerance) break;
+  }
+
+  return new Map(nodes.map((node, index) => [node, rank[index]]));
+}
+
+/**
+ * Betweenness centrality (Brandes' algorithm, unweighted directed edges)
+ * The share of shortest paths between other nodes that pass through a node: the packages
+ * that sit between many dependents and their dependencies.
+ * @param {Array} nodes - Nodes
+ * @param {Function} successorsOf - node → Array of nodes it points to
+ * @param {object} options - { normalized: divide by (n - 1)(n - 2), the number of ordered pairs of other nodes (default: true) }
+ * @returns {Map} node → score
+ */
+export function betweennessCentrality(nodes, successorsOf, { normalized = true } = {}) {
+  const n = nodes.length;
+  const { successors } = indexGraph(nodes, successorsOf);
+  const centrality = new Array(n).fill(0);
+
+  for (let source = 0; source < n; source++) {
+    const order = [];
+    const predecessors = Array.from({ length: n }, () => []);
+    const paths = new Array(n).fill(0);
+    const distance = new Array(n).fill(-1);
+    paths[source] = 1;
+    distance[source] = 0;
+
+    // Breadth-first: order holds the nodes by distance from the source
+    order.push(source);
+    for (let head = 0; head < order.length; head++) {
+      const node = order[head];
+      for (const target of successors[node]) {
+        if (distance[target] < 0) {
+          distance[target] = distance[node] + 1;
+          order.push(target);
+        }
+        if (distance[target] === distance[node] + 1) {
+          paths[target] += paths[node];
+          predecessors[target].push(node);
+        }
+      }
+    }
+
+    // Accumulate dependencies from the farthest nodes back
+    const dependency = new Array(n).fill(0);
+    for (let index = order.length - 1; index > 0; index--) {
+      const node = order[index];
+      for (const predecessor of predecessors[node]) {
+        dependency[predecessor] += paths[predecessor] / paths[node] * (1 + dependency[node]);
+      }
+      centrality[node] += dependency[node];
+    }
+  }
+
+  const scale = normalized && n > 2 ? 1 / ((n - 1) * (n - 2)) : 1;
+  return new Map(nodes.map((node, index) => [node, centrality[index] * scale]));
+}
+
+/**
+ * Successor lists by node index, without duplicates, self-loops or nodes outside the graph
+ */
+function indexGraph(nodes, successorsOf) {
+  const indexOf = new Map(nodes.map((node, index) => [node, index]));
+  const successors = nodes.map(node => [...new Set(successorsOf(node))]
+    .filter(successor => indexOf.has(successor) && successor !== node)
+    .map(successor => indexOf.get(successor)));
+  return { indexOf, successors };
+}
+
+/**
+ * Rotate a cycle to start at its smallest node
+ * @param {Array} cycle - Nodes of the cycle, without the closing node
+ * @param {Function} compare - Node order (default: <)
+ * @returns {Array} Rotated copy
+ */
+export function rotateCycle(cycle, compare = compareNodes) {
+  const first = cycle.reduce((best, node, index) => (compare(node, cycle[best]) < 0 ? index : best), 0);
+  return [...cycle.slice(first), ...cycle.slice(0, first)];
+}
+
+function compareNodes(a, b) {
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+export default {
+  topologicalLevels,
+  stronglyConnectedComponents,
+  cyclicComponents,
+  elementaryCycles,
+  feedbackEdgeSet,
+  pageRank,
+  betweennessCentrality,
+  rotateCycle
+};
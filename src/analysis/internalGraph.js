@@ -0,0 +1,100 @@
+import { normalizePackageName } from '../utils/ecosystem.js';
+
+/**
+ * Internal Dependency Graph
+ * The loaded projects and the dependencies between them. A project depends on another when it
+ * declares the other's package (by project name, published name or workspace link), or when
+ * linkPackageDependencies linked their packages. Edges never cross ecosystems.
+ * Projects are unique per (ecosystem, name), so the graph keys them by projectKey().
+ */
+
+/**
+ * Key of a project in the internal graph
+ * @param {string} ecosystem - Project ecosystem
+ * @param {string} name - Project name
+ * @returns {string} Key unique per (ecosystem, name)
+ */
+export function projectKey(ecosystem, name) {
+  return `${ecosystem}:${name}`;
+}
+
+/**
+ * Load the dependencies between projects
+ * @param {object} client - Neo4j client
+ * @param {object} options - { ecosystem: only projects of this ecosystem }
+ * @returns {Promise<object>} {
+ *     projects,       // Map(key → { key, name, path, ecosystem, packageName })
+ *     dependencies,   // Map(key → Set of project keys it depends on)
+ *     dependents,     // Map(key → Set of project keys depending on it)
+ *     edges           // [{ from, to, type, versionConstraint, sourceFile, lineNumber }] declared edges between project keys
+ *   }
+ */
+export async function loadInternalGraph(client, { ecosystem = null } = {}) {
+  const projectRows = await client.executeQuery(`
+    MATCH (proj:Project)
+    WHERE $ecosystem IS NULL OR proj.ecosystem = $ecosystem
+    RETURN proj.name as name, proj.path as path, proj.ecosystem as ecosystem, proj.packageName as packageName
+    ORDER BY name
+  `, { ecosystem });
+
+  const projects = new Map(projectRows.map(project => {
+    const key = projectKey(project.ecosystem, project.name);
+    return [key, { key, ...project }];
+  }));
+  const byPackage = new Map();
+  for (const project of projects.values()) {
+    for (const name of [project.name, project.packageName].filter(Boolean)) {
+      byPackage.set(`${project.ecosystem}:${normalizePackageName(project.ecosystem, name)}`, project.key);
+    }
+  }
+  const projectOf = (eco, name) => byPackage.get(`${eco}:${name}`) || null;
+
+  const declared = await client.executeQuery(`
+    MATCH (proj:Project)-[r:DEPENDS_ON]->(pkg:Package)
+    WHERE coalesce(r.declared, true)
+      AND ($ecosystem IS NULL OR pkg.ecosystem = $ecosystem)
+    RETURN proj.ecosystem as dependentEcosystem, proj.name as dependent, pkg.ecosystem as ecosystem,
+           coalesce(r.linkedProject, pkg.name) as dependency,
+           r.type as type, r.versionConstraint as versionConstraint,
+           r.sourceFile as sourceFile, r.lineNumber as lineNumber
+  `, { ecosystem });
+
+  const links = await client.executeQuery(`
+    MATCH (from:Package)-[r:DEPENDS_ON]->(to:Package)
+    WHERE from.ecosystem = to.ecosystem AND r.source = 'derived'
+      AND ($ecosystem IS NULL OR from.ecosystem = $ecosystem)
+    RETURN from.ecosystem as ecosystem, from.name as dependentPackage, to.name as dependency
+  `, { ecosystem });
+
+  const dependencies = new Map([...projects.keys()].map(name => [name, new Set()]));
+  const dependents = new Map([...projects.keys()].map(name => [name, new Set()]));
+  const add = (from, to) => {
+    if (!from || !to || from === to || !projects.has(from) || !projects.has(to)) return false;
+    dependencies.get(from).add(to);
+    dependents.get(to).add(from);
+    return true;
+  };
+
+  const edges = [];
+  for (const row of declared) {
+    const from = projectKey(row.dependentEcosystem, row.dependent);
+    const to = projectOf(row.ecosystem, row.dependency);
+    if (add(from, to)) {
+      edges.push({
+        from,
+        to,
+        type: row.type || 'production',
+        versionConstraint: row.versionConstraint || null,
+        sourceFile: row.sourceFile || null,
+        lineNumber: Number(row.lineNumber) || 0
+      });
+    }
+  }
+  for (const row of links) {
+    add(projectOf(row.ecosystem, row.dependentPackage), projectOf(row.ecosystem, row.dependency));
+  }
+
+  return { projects, dependencies, dependents, edges };
+}
+
+export default { loadInternalGraph, projectKey };
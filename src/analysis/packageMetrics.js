@@ -0,0 +1,128 @@
+import logger from '../utils/logger.js';
+import { pageRank, betweennessCentrality } from './graphAlgorithms.js';
+import { loadInternalGraph } from './internalGraph.js';
+
+/**
+ * Internal packages listed by the report unless a limit is given
+ */
+export const DEFAULT_METRICS_LIMIT = 20;
+
+/**
+ * Package Metrics Analyzer
+ * Coupling and centrality of the internal packages (the loaded projects), computed in-process
+ * so the Graph Data Science plugin is not needed:
+ *   fanIn (Ca)   internal packages depending on it
+ *   fanOut (Ce)  internal packages it depends on
+ *   instability  Ce / (Ca + Ce): 0 for a package only depended on, 1 for one only depending on others
+ *   pageRank     importance flowing along dependency edges: high for packages much of the graph rests on
+ *   betweenness  share of shortest dependency paths between other packages passing through it
+ * The values are computed over every loaded project and written back to the Project nodes.
+ */
+export class PackageMetricsAnalyzer {
+  /**
+   * @param {object} client - Neo4j client
+   */
+  constructor(client) {
+    this.client = client;
+  }
+
+  /**
+   * Compute the metrics of every internal package, most load-bearing first
+   * @param {object} options - { ecosystem: only report projects of this ecosystem }
+   * @returns {Promise<Array>} [{ project, ecosystem, fanIn, fanOut, instability, pageRank, betweenness }]
+   *   ranked by PageRank, then fan-in; instability is null for a package without internal edges
+   */
+  async computeMetrics({ ecosystem = null } = {}) {
+    logger.info('Computing package metrics...');
+
+    try {
+      // Over the whole graph, so a project's values do not depend on the filter
+      const graph = await loadInternalGraph(this.client);
+      const keys = [...graph.projects.keys()];
+      const dependenciesOf = key => [...graph.dependencies.get(key)];
+
+      const ranks = pageRank(keys, dependenciesOf);
+      const betweenness = betweennessCentrality(keys, dependenciesOf);
+
+      return keys
+        .filter(key => !ecosystem || graph.projects.get(key).ecosystem === ecosystem)
+        .map(key => {
+          const fanIn = graph.dependents.get(key).size;
+          const fanOut = graph.dependencies.get(key).size;
+          return {
+            project: graph.projects.get(key).name,
+            ecosystem: graph.projects.get(key).ecosystem,
+            fanIn,
+            fanOut,
+            instability: fanIn + fanOut === 0 ? null : fanOut / (fanIn + fanOut),
+            pageRank: ranks.get(key),
+            betweenness: betweenness.get(key)
+          };
+        })
+        .sort((a, b) => b.pageRank - a.pageRank || b.fanIn - a.fanIn ||
+          a.project.localeCompare(b.project) || a.ecosystem.localeCompare(b.ecosystem));
+
+    } catch (error) {
+      logger.error('Failed to compute package metrics:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Store the metrics as properties of the Project nodes
+   * @param {Array} metrics - Metrics from computeMetrics()
+   */
+  async writeMetrics(metrics) {
+    const query = `
+      UNWIND $metrics AS metric
+      MATCH (proj:Project {ecosystem: metric.ecosystem, name: metric.project})
+      SET proj.fanIn = metric.fanIn,
+          proj.fanOut = metric.fanOut,
+          proj.instability = metric.instability,
+          proj.pageRank = metric.pageRank,
+          proj.betweenness = metric.betweenness,
+          proj.metricsUpdatedAt = datetime()
+    `;
+
+    try {
+      await this.client.executeWrite(query, { metrics });
+      logger.success(`✓ Stored metrics on ${metrics.length} projects`);
+    } catch (error) {
+      logger.error('Failed to store package metrics:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Print the most load-bearing packages
+   * @param {Array} metrics - Metrics from computeMetrics()
+   * @param {number} limit - Packages listed
+   */
+  printReport(metrics, limit = DEFAULT_METRICS_LIMIT) {
+    console.log('\n' + '='.repeat(60));
+    console.log('📈 PACKAGE METRICS');
+    console.log('='.repeat(60) + '\n');
+
+    if (metrics.length === 0) {
+      console.log('No projects loaded\n');
+      return;
+    }
+
+    console.log('Most load-bearing internal packages (by PageRank):\n');
+
+    metrics.slice(0, limit).forEach((metric, index) => {
+      const instability = metric.instability === null ? 'n/a' : metric.instability.toFixed(2);
+      console.log(`${index + 1}. ${metric.project} (${metric.ecosystem})`);
+      console.log(`   PageRank ${metric.pageRank.toFixed(3)} · betweenness ${metric.betweenness.toFixed(3)} · ` +
+        `fan-in ${metric.fanIn} · fan-out ${metric.fanOut} · instability ${instability}`);
+    });
+
+    if (metrics.length > limit) {
+      console.log(`\n... and ${metrics.length - limit} more (raise --limit to list them)`);
+    }
+
+    console.log('');
+  }
+}
+
+export default PackageMetricsAnalyzer;
@@ -0,0 +1,351 @@
+import { readFile, writeFile } from 'fs/promises';
+import { basename, relative } from 'path';
+import logger from '../utils/logger.js';
+import { unifiedDiff } from '../utils/diff.js';
+import { normalizePackageName } from '../utils/ecosystem.js';
+import { setPackageJsonRange, setRequirementSpecifier } from '../utils/manifestEdits.js';
+import { CHANGE_LEVELS, engineFor, sortConstraints, classifyChange } from '../versioning/engines.js';
+import VersionConflictAnalyzer from './versionConflicts.js';
+
+// How the target range of a package is chosen
+export const ALIGN_POLICIES = ['highest', 'most-common'];
+
+/**
+ * Version Aligner
+ * Picks one range for every package that projects constrain differently and rewrites
+ * the projects' manifests to use it. Configured under "align" in .depanalyzerrc.json:
+ *
+ *   {
+ *     "align": {
+ *       "policy": "most-common",
+ *       "pins": { "lodash": "^4.17.21", "pypi:requests": ">=2.31,<3" }
+ *     }
+ *   }
+ *
+ * A pin wins over the policy. Only package.json and requirements files are edited;
+ * dependencies declared elsewhere are listed as skipped, and so are specifiers that are not
+ * version ranges (workspace:, link:, file:, git URLs, npm: aliases), which are never rewritten.
+ */
+export class VersionAligner {
+  /**
+   * @param {object} client - Neo4j client
+   * @param {object} options - { policy, pins } (usually the config's "align" section)
+   */
+  constructor(client, options = {}) {
+    this.client = client;
+    this.policy = options.policy || 'highest';
+    this.pins = options.pins || {};
+
+    if (!ALIGN_POLICIES.includes(this.policy)) {
+      throw new Error(`Unknown align policy "${this.policy}" (expected ${ALIGN_POLICIES.join(' or ')})`);
+    }
+  }
+
+  /**
+   * Plan the alignment of every differently constrained package
+   * @param {string} ecosystem - Only align this ecosystem (optional)
+   * @returns {Promise<Array>} Plans: { ecosystem, packageName, target, reason, changes, skipped }
+   *   (target is null, with the reason, when no range could be chosen; skipped lists the
+   *   declarations that are not version ranges, with a reason)
+   */
+  async planAlignment(ecosystem = null) {
+    logger.info(`Planning version alignment (policy: ${this.policy})...`);
+
+    try {
+      const drift = await new VersionConflictAnalyzer(this.client).findVersionDrift();
+      const plans = [];
+
+      for (const record of drift) {
+        if (ecosystem && record.ecosystem !== ecosystem) continue;
+
+        const { target, reason } = this.chooseTarget(record);
+        if (!target) {
+          plans.push({ ecosystem: record.ecosystem, packageName: record.packageName, target: null, reason, changes: [], skipped: [] });
+          continue;
+        }
+
+        const usages = await this._findUsages(record.ecosystem, record.packageName);
+        const skipped = usages
+          .filter(usage => !this._isRange(record.ecosystem, usage.from))
+          .map(usage => ({ ...usage, reason: 'not a version range' }));
+        const changes = usages
+          .filter(usage => this._isRange(record.ecosystem, usage.from) && usage.from !== target)
+          .map(usage => ({
+            ...usage,
+            to: target,
+            change: classifyChange(record.ecosystem, usage.from, target),
+            file: this._manifestFor(record.ecosystem, usage)
+          }));
+
+        plans.push({ ecosystem: record.ecosystem, packageName: record.packageName, target, reason, changes, skipped });
+      }
+
+      return plans;
+
+    } catch (error) {
+      logger.error('Failed to plan version alignment:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Choose the range every project of a package should use
+   * Constraints the ecosystem's engine cannot parse are never chosen.
+   * @param {object} record - { ecosystem, packageName, dependencies } from findVersionDrift
+   * @returns {object} { target, reason } - reason is the policy, 'pinned', or why there is no target
+   */
+  chooseTarget(record) {
+    const pin = this._pinFor(record.ecosystem, record.packageName);
+    if (pin) return { target: pin, reason: 'pinned' };
+
+    const counts = new Map();
+    record.dependencies
+      .filter(dep => this._isRange(record.ecosystem, dep.version))
+      .forEach(dep => counts.set(dep.version, (counts.get(dep.version) || 0) + 1));
+
+    if (counts.size === 0) {
+      return { target: null, reason: `no version ranges to compare in ${record.ecosystem}` };
+    }
+
+    // Least used first, so among equally high ranges the most used one sorts last
+    const byUse = [...counts.keys()].sort((a, b) => counts.get(a) - counts.get(b));
+    const ranked = sortConstraints(record.ecosystem, byUse);
+
+    if (this.policy === 'highest') {
+      return ranked.length > 0
+        ? { target: ranked[ranked.length - 1], reason: 'highest' }
+        : { target: null, reason: `no version ranges to compare in ${record.ecosystem}` };
+    }
+
+    const mostUses = counts.get(byUse[byUse.length - 1]);
+    const tied = byUse.filter(constraint => counts.get(constraint) === mostUses);
+    const rankedTied = ranked.filter(constraint => tied.includes(constraint));
+    return { target: rankedTied.pop() || tied[tied.length - 1], reason: 'most-common' };
+  }
+
+  /**
+   * Apply the planned changes to the manifests
+   * @param {Array} plans - Plans from planAlignment
+   * @param {object} options - { write: true } to write the files in place
+   * @returns {Promise<object>} { diff, files, applied, skipped }
+   *   diff     - unified diff of every edited file (paths relative to the working directory)
+   *   files    - edited file paths
+   *   applied  - changes that were made
+   *   skipped  - changes that could not be made, with a reason
+   */
+  async applyAlignment(plans, { write = false } = {}) {
+    const applied = [];
+    const skipped = [];
+    const byFile = new Map();
+
+    for (const plan of plans) {
+      for (const change of plan.changes) {
+        const entry = { ...change, ecosystem: plan.ecosystem, packageName: plan.packageName };
+        if (!change.file) {
+          skipped.push({ ...entry, reason: 'not declared in package.json or a requirements file' });
+          continue;
+        }
+        if (!byFile.has(change.file)) byFile.set(change.file, []);
+        byFile.get(change.file).push(entry);
+      }
+    }
+
+    const diffs = [];
+    const files = [];
+
+    for (const [file, changes] of byFile) {
+      let original;
+      try {
+        original = await readFile(file, 'utf-8');
+      } catch (error) {
+        changes.forEach(change => skipped.push({ ...change, reason: `cannot read ${file}: ${error.message}` }));
+        continue;
+      }
+
+      let content = original;
+      for (const change of changes) {
+        const edited = this._edit(content, change);
+        if (edited === null) {
+          skipped.push({ ...change, reason: `entry not found in ${basename(file)}` });
+        } else {
+          content = edited;
+          applied.push(change);
+        }
+      }
+
+      if (content === original) continue;
+
+      const path = relative(process.cwd(), file) || file;
+      diffs.push(unifiedDiff(original, content, { fromFile: `a/${path}`, toFile: `b/${path}` }));
+      files.push(file);
+
+      if (write) {
+        await writeFile(file, content, 'utf-8');
+      }
+    }
+
+    return { diff: diffs.join(''), files, applied, skipped };
+  }
+
+  /**
+   * Print the dry-run summary: which projects change, and by how much
+   * @param {Array} plans - Plans from planAlignment
+   * @param {object} result - Result of applyAlignment
+   */
+  printSummary(plans, result) {
+    console.log('\n' + '='.repeat(60));
+    console.log('🎯 VERSION ALIGNMENT PLAN');
+    console.log('='.repeat(60) + '\n');
+
+    if (plans.length === 0) {
+      console.log('✅ Every shared package already uses one range!\n');
+      return;
+    }
+
+    const skipped = new Map(result.skipped.map(change => [changeKey(change), change.reason]));
+
+    plans.forEach((plan, index) => {
+      if (!plan.target) {
+        console.log(`${index + 1}. ${plan.packageName} (${plan.ecosystem}): not aligned - ${plan.reason}`);
+        return;
+      }
+
+      console.log(`${index + 1}. ${plan.packageName} (${plan.ecosystem}) → ${plan.target} [${plan.reason}]`);
+      plan.changes.forEach(change => {
+        const key = changeKey({ ...change, ecosystem: plan.ecosystem, packageName: plan.packageName });
+        const detail = skipped.has(key) ? `skipped: ${skipped.get(key)}` : change.change;
+        console.log(`   📦 ${change.project}: ${change.from} → ${change.to} (${detail})`);
+      });
+      plan.skipped.forEach(usage => {
+        console.log(`   📦 ${usage.project}: ${usage.from} (skipped: ${usage.reason})`);
+      });
+    });
+
+    // Largest change per project
+    const byProject = new Map();
+    for (const change of result.applied) {
+      const current = byProject.get(change.project) || { count: 0, largest: 'none' };
+      current.count++;
+      if (CHANGE_LEVELS.indexOf(change.change) > CHANGE_LEVELS.indexOf(current.largest)) {
+        current.largest = change.change;
+      }
+      byProject.set(change.project, current);
+    }
+
+    if (byProject.size > 0) {
+      console.log('\nProjects that change:');
+      [...byProject.entries()]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .forEach(([project, { count, largest }]) => {
+          console.log(`   • ${project}: ${count} ${count === 1 ? 'dependency' : 'dependencies'}, largest change: ${largest}`);
+        });
+    }
+
+    const totals = [...CHANGE_LEVELS, 'unknown']
+      .map(level => [level, result.applied.filter(change => change.change === level).length])
+      .filter(([, count]) => count > 0)
+      .map(([level, count]) => `${count} ${level}`);
+
+    console.log(`\n📊 ${result.applied.length} changes in ${result.files.length} files` +
+      (totals.length > 0 ? ` (${totals.join(', ')})` : ''));
+    const skippedCount = result.skipped.length + plans.reduce((sum, plan) => sum + plan.skipped.length, 0);
+    if (skippedCount > 0) {
+      console.log(`   Skipped: ${skippedCount} (see above)`);
+    }
+    console.log('');
+  }
+
+  /**
+   * Every project's declaration of a package, with where it is declared
+   * @param {string} ecosystem - Ecosystem
+   * @param {string} packageName - Package name
+   * @returns {Promise<Array>} { project, projectPath, from, type, sourceFile, lineNumber, manifests }
+   */
+  async _findUsages(ecosystem, packageName) {
+    const query = `
+      MATCH (proj:Project)-[r:DEPENDS_ON]->(pkg:Package {ecosystem: $ecosystem, name: $packageName})
+      WHERE coalesce(r.declared, true)
+      RETURN proj.name as project,
+             proj.path as projectPath,
+             r.versionConstraint as from,
+             r.type as type,
+             r.sourceFile as sourceFile,
+             r.lineNumber as lineNumber,
+             [(proj)-[:HAS_FILE]->(f:File {type: 'dependency_manifest'}) | f.path] as manifests
+      ORDER BY project
+    `;
+
+    const result = await this.client.executeQuery(query, { ecosystem, packageName });
+    return result.map(usage => ({ ...usage, name: packageName, lineNumber: Number(usage.lineNumber) || 0 }));
+  }
+
+  /**
+   * Whether a constraint is a version range the ecosystem's engine understands
+   * (ecosystems without an engine compare constraints as plain strings)
+   * @param {string} ecosystem - Ecosystem
+   * @param {string} constraint - Constraint text
+   * @returns {boolean} True if the constraint can be compared and rewritten
+   */
+  _isRange(ecosystem, constraint) {
+    const engine = engineFor(ecosystem);
+    return !engine || Boolean(engine.parseRange(constraint ?? ''));
+  }
+
+  /**
+   * File a dependency is declared in, if it is a manifest this command can edit
+   * @param {string} ecosystem - Ecosystem
+   * @param {object} usage - Usage from _findUsages
+   * @returns {string|null} File path
+   */
+  _manifestFor(ecosystem, usage) {
+    if (ecosystem === 'npm') {
+      return usage.manifests.find(path => basename(path) === 'package.json') || null;
+    }
+    // Only requirements files record the file and line of each requirement
+    if (ecosystem === 'pypi' && usage.sourceFile && usage.lineNumber > 0) {
+      return usage.sourceFile;
+    }
+    return null;
+  }
+
+  /**
+   * Edit one dependency in a manifest's content
+   * @param {string} content - File content
+   * @param {object} change - Planned change
+   * @returns {string|null} New content, or null if the entry was not found
+   */
+  _edit(content, change) {
+    if (basename(change.file) === 'package.json') {
+      return setPackageJsonRange(content, { name: change.name, from: change.from, to: change.to, type: change.type });
+    }
+    return setRequirementSpecifier(content, { name: change.name, lineNumber: change.lineNumber, to: change.to });
+  }
+
+  /**
+   * Pinned range of a package: "ecosystem:name" first, then the bare name
+   * @param {string} ecosystem - Ecosystem
+   * @param {string} packageName - Package name (canonical)
+   * @returns {string|null} Pinned range
+   */
+  _pinFor(ecosystem, packageName) {
+    let bare = null;
+
+    for (const [key, range] of Object.entries(this.pins)) {
+      const separator = key.indexOf(':');
+      const keyEcosystem = separator > 0 ? key.slice(0, separator) : null;
+      const keyName = separator > 0 ? key.slice(separator + 1) : key;
+
+      if (normalizePackageName(ecosystem, keyName) !== packageName) continue;
+      if (keyEcosystem === ecosystem) return range;
+      if (!keyEcosystem) bare = range;
+    }
+
+    return bare;
+  }
+}
+
+function changeKey(change) {
+  return `${change.ecosystem}\0${change.packageName}\0${change.project}\0${change.file}`;
+}
+
+export default VersionAligner;
@@ -1,8 +1,12 @@
 import logger from '../utils/logger.js';
+import { analyzeConstraints, constraintsIntersect } from '../versioning/engines.js';
 
 /**
  * Version Conflict Analyzer
- * Detects when different projects depend on different versions of the same package
+ * Detects when different projects depend on versions of the same package that no single version satisfies
+ * Packages are compared within their ecosystem only (npm `foo` never conflicts with PyPI `foo`)
+ * npm and Cargo ranges are read as semver, PyPI specifiers as PEP 440; other ecosystems
+ * (Go, Maven) have no range engine, so any difference in their constraints counts as a conflict.
  */
 export class VersionConflictAnalyzer {
   constructor(client) {
@@ -11,49 +15,68 @@ export class VersionConflictAnalyzer {
 
   /**
    * Find all version conflicts in the dependency graph
+   * A conflict is a package whose constraints no single version satisfies.
    * @returns {Promise<Array>} Array of packages with version conflicts
    */
   async findVersionConflicts() {
     logger.info('Analyzing version conflicts...');
 
     try {
-      const query = `
-        // Find packages that are depended upon by multiple projects
-        MATCH (proj:Project)-[r:DEPENDS_ON]->(pkg:Package)
-        WITH pkg.name as packageName, 
-             collect(DISTINCT {
-               project: proj.name,
-               version: r.versionConstraint,
-               type: r.type
-             }) as dependencies
-        WHERE size(dependencies) > 1
-        
-        // Check if there are different version constraints
-        WITH packageName, dependencies,
-             [dep IN dependencies | dep.version] as versions
-        WHERE size(apoc.coll.toSet(versions)) > 1
-        
-        RETURN packageName, dependencies
-        ORDER BY packageName
-      `;
+      const conflicts = this._unsatisfiable(await this.findVersionDrift());
 
-      const result = await this.client.executeQuery(query);
-
-      if (result.length === 0) {
+      if (conflicts.length === 0) {
         logger.success('✓ No version conflicts found!');
         return [];
       }
 
-      logger.warning(`⚠ Found ${result.length} packages with version conflicts`);
-      return result;
+      logger.warning(`⚠ Found ${conflicts.length} packages with version conflicts`);
+      return conflicts;
+
+    } catch (error) {
+      logger.error('Failed to analyze version conflicts:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Find packages that projects constrain differently, compatible or not
+   * @returns {Promise<Array>} { ecosystem, packageName, dependencies, installed, analysis } per package
+   */
+  async findVersionDrift() {
+    const query = `
+      // Find packages that are depended upon by multiple projects
+      MATCH (proj:Project)-[r:DEPENDS_ON]->(pkg:Package)
+      WHERE coalesce(r.declared, true)
+      WITH pkg, 
+           collect(DISTINCT {
+             project: proj.name,
+             version: r.versionConstraint,
+             type: r.type
+           }) as dependencies
+      WHERE size(dependencies) > 1
+      
+      // Check if there are different version constraints
+      WITH pkg, dependencies,
+           [dep IN dependencies | dep.version] as versions
+      WHERE size(apoc.coll.toSet(versions)) > 1
+      
+      // Installed versions are the candidates for a version everyone accepts
+      RETURN pkg.ecosystem as ecosystem,
+             pkg.name as packageName,
+             dependencies,
+             [(pkg)-[:HAS_VERSION]->(pv:PackageVersion) | pv.version] as installed
+      ORDER BY ecosystem, packageName
+    `;
 
+    try {
+      const result = await this.client.executeQuery(query);
+      return result.map(record => this._withAnalysis(record));
     } catch (error) {
       // If apoc is not available, use simpler query
       if (error.message.includes('apoc')) {
         logger.warning('APOC plugin not detected, using basic conflict detection...');
-        return await this.findVersionConflictsBasic();
+        return await this._findVersionDriftBasic();
       }
-      logger.error('Failed to analyze version conflicts:', error.message);
       throw error;
     }
   }
@@ -64,28 +87,7 @@ export class VersionConflictAnalyzer {
    */
   async findVersionConflictsBasic() {
     try {
-      const query = `
-        // Find all package dependencies
-        MATCH (proj:Project)-[r:DEPENDS_ON]->(pkg:Package)
-        WITH pkg.name as packageName,
-             collect({
-               project: proj.name,
-               version: r.versionConstraint,
-               type: r.type
-             }) as dependencies
-        WHERE size(dependencies) > 1
-        RETURN packageName, dependencies
-        ORDER BY packageName
-      `;
-
-      const result = await this.client.executeQuery(query);
-
-      // Filter for actual conflicts in JavaScript
-      const conflicts = result.filter(record => {
-        const versions = record.dependencies.map(dep => dep.version);
-        const uniqueVersions = [...new Set(versions)];
-        return uniqueVersions.length > 1;
-      });
+      const conflicts = this._unsatisfiable(await this._findVersionDriftBasic());
 
       if (conflicts.length === 0) {
         logger.success('✓ No version conflicts found!');
@@ -101,43 +103,89 @@ export class VersionConflictAnalyzer {
     }
   }
 
+  /**
+   * Find differently constrained packages without APOC
+   * @returns {Promise<Array>} Packages with differing constraints, with their analysis
+   */
+  async _findVersionDriftBasic() {
+    const query = `
+      // Find all package dependencies
+      MATCH (proj:Project)-[r:DEPENDS_ON]->(pkg:Package)
+      WHERE coalesce(r.declared, true)
+      WITH pkg,
+           collect({
+             project: proj.name,
+             version: r.versionConstraint,
+             type: r.type
+           }) as dependencies
+      WHERE size(dependencies) > 1
+      RETURN pkg.ecosystem as ecosystem,
+             pkg.name as packageName,
+             dependencies,
+             [(pkg)-[:HAS_VERSION]->(pv:PackageVersion) | pv.version] as installed
+      ORDER BY ecosystem, packageName
+    `;
+
+    const result = await this.client.executeQuery(query);
+
+    // Filter for differing constraints in JavaScript
+    return result
+      .filter(record => new Set(record.dependencies.map(dep => dep.version)).size > 1)
+      .map(record => this._withAnalysis(record));
+  }
+
   /**
    * Find version conflicts for a specific package
+   * A name that exists in several ecosystems is checked separately in each one.
    * @param {string} packageName - Name of the package to check
-   * @returns {Promise<Object|null>} Conflict details or null
+   * @param {string} ecosystem - Only check this ecosystem ('npm', 'pypi', ...)
+   * @returns {Promise<Array>} Conflict details, one per ecosystem with a conflict
    */
-  async findPackageConflict(packageName) {
+  async findPackageConflict(packageName, ecosystem = null) {
     logger.info(`Checking version conflicts for: ${packageName}`);
 
     try {
       const query = `
         MATCH (proj:Project)-[r:DEPENDS_ON]->(pkg:Package {name: $packageName})
-        RETURN pkg.name as packageName,
-               collect({
-                 project: proj.name,
-                 version: r.versionConstraint,
-                 type: r.type
-               }) as dependencies
+        WHERE ($ecosystem IS NULL OR pkg.ecosystem = $ecosystem) AND coalesce(r.declared, true)
+        WITH pkg,
+             collect({
+               project: proj.name,
+               version: r.versionConstraint,
+               type: r.type
+             }) as dependencies
+        RETURN pkg.ecosystem as ecosystem,
+               pkg.name as packageName,
+               dependencies,
+               [(pkg)-[:HAS_VERSION]->(pv:PackageVersion) | pv.version] as installed
+        ORDER BY ecosystem
       `;
 
-      const result = await this.client.executeQuery(query, { packageName });
+      const result = await this.client.executeQuery(query, { packageName, ecosystem });
 
       if (result.length === 0) {
         logger.info(`Package "${packageName}" not found in graph`);
-        return null;
+        return [];
       }
 
-      const record = result[0];
-      const versions = record.dependencies.map(dep => dep.version);
-      const uniqueVersions = [...new Set(versions)];
+      return result.map(record => this._withAnalysis(record)).filter(record => {
+        const versions = record.dependencies.map(dep => dep.version);
+        const uniqueVersions = [...new Set(versions)];
 
-      if (uniqueVersions.length === 1) {
-        logger.success(`✓ No conflicts for ${packageName} - all use ${uniqueVersions[0]}`);
-        return null;
-      }
+        if (uniqueVersions.length === 1) {
+          logger.success(`✓ No conflicts for ${packageName} (${record.ecosystem}) - all use ${uniqueVersions[0]}`);
+          return false;
+        }
+
+        if (record.analysis?.satisfiable) {
+          const best = record.analysis.bestVersion ? ` - ${record.analysis.bestVersion} satisfies every constraint` : '';
+          logger.success(`✓ No conflicts for ${packageName} (${record.ecosystem})${best}`);
+          return false;
+        }
 
-      logger.warning(`⚠ Version conflict found for ${packageName}`);
-      return record;
+        logger.warning(`⚠ Version conflict found for ${packageName} (${record.ecosystem})`);
+        return true;
+      });
 
     } catch (error) {
       logger.error('Failed to check package conflict:', error.message);
@@ -152,15 +200,15 @@ export class VersionConflictAnalyzer {
   async getStatistics() {
     try {
       const query = `
-        // Total unique packages
+        // Total unique packages (each node is one ecosystem + name)
         MATCH (pkg:Package)
-        WITH count(DISTINCT pkg.name) as totalPackages
+        WITH count(pkg) as totalPackages
         
         // Packages used by multiple projects
         MATCH (proj:Project)-[:DEPENDS_ON]->(pkg:Package)
-        WITH totalPackages, pkg.name as packageName, count(proj) as usageCount
+        WITH totalPackages, pkg, count(proj) as usageCount
         WHERE usageCount > 1
-        WITH totalPackages, count(packageName) as sharedPackages
+        WITH totalPackages, count(pkg) as sharedPackages
         
         RETURN totalPackages, sharedPackages
       `;
@@ -190,49 +238,60 @@ export class VersionConflictAnalyzer {
   }
 
   /**
-   * Check if two version constraints are compatible
+   * Attach the range analysis of a package's constraints to a record
+   * @param {object} record - { ecosystem, packageName, dependencies, installed }
+   * @returns {object} Record with analysis (null for ecosystems without a range engine)
+   */
+  _withAnalysis(record) {
+    const constraints = record.dependencies.map(dep => dep.version);
+    return { ...record, analysis: analyzeConstraints(record.ecosystem, constraints, record.installed || []) };
+  }
+
+  /**
+   * Keep the records whose constraints no single version satisfies
+   * @param {Array} records - Analyzed packages with differing constraints
+   * @returns {Array} Conflicting packages
+   */
+  _unsatisfiable(records) {
+    return records.filter(record => !record.analysis || !record.analysis.satisfiable);
+  }
+
+  /**
+   * Check if two version constraints are compatible (some version satisfies both)
    * @param {string} version1 - First version constraint
    * @param {string} version2 - Second version constraint
-   * @returns {boolean} True if potentially compatible
+   * @param {string} ecosystem - Ecosystem whose range syntax applies
+   * @returns {boolean} True if compatible
    */
-  isCompatible(version1, version2) {
-    // Simple compatibility check
-    // This is basic - could be enhanced with semver library
-    
-    if (version1 === version2) return true;
-    
-    // Extract major version
-    const getMajor = (v) => {
-      const match = v.match(/\d+/);
-      return match ? parseInt(match[0]) : null;
-    };
-
-    const major1 = getMajor(version1);
-    const major2 = getMajor(version2);
-
-    // If both use caret (^) and same major version, likely compatible
-    if (version1.startsWith('^') && version2.startsWith('^')) {
-      return major1 === major2;
-    }
+  isCompatible(version1, version2, ecosystem = 'npm') {
+    const overlap = constraintsIntersect(ecosystem, version1, version2);
+    if (overlap !== null) return overlap;
 
-    // If both use tilde (~) and same major.minor, likely compatible
-    if (version1.startsWith('~') && version2.startsWith('~')) {
-      const getMinor = (v) => {
-        const match = v.match(/\d+\.(\d+)/);
-        return match ? parseInt(match[1]) : null;
-      };
-      return major1 === major2 && getMinor(version1) === getMinor(version2);
-    }
-
-    // Different operators or exact versions - potential conflict
-    return false;
+    // Tags, URLs and paths are only compatible with themselves
+    return version1 === version2;
   }
 
   /**
    * Print version conflicts report
    * @param {Array} conflicts - Array of version conflicts
+   * @param {Array} drift - Packages with differing but compatible constraints (optional)
    */
-  printReport(conflicts) {
+  printReport(conflicts, drift = []) {
+    const compatible = drift.filter(record => record.analysis?.satisfiable);
+    if (compatible.length > 0) {
+      console.log('\n' + '='.repeat(60));
+      console.log('🔀 COMPATIBLE VERSION DRIFT');
+      console.log('='.repeat(60) + '\n');
+
+      compatible.forEach(record => {
+        const best = record.analysis.bestVersion
+          ? `highest version satisfying everyone: ${record.analysis.bestVersion}`
+          : `every constraint accepts ${record.analysis.common}`;
+        const constraints = [...new Set(record.dependencies.map(dep => dep.version))].join(', ');
+        console.log(`  • ${record.packageName} (${record.ecosystem}): ${constraints} → ${best}`);
+      });
+    }
+
     if (conflicts.length === 0) {
       console.log('\n✅ No version conflicts detected!\n');
       return;
@@ -245,25 +304,14 @@ export class VersionConflictAnalyzer {
     console.log(`Found ${conflicts.length} packages with version conflicts:\n`);
 
     conflicts.forEach((conflict, index) => {
-      console.log(`${index + 1}. ${conflict.packageName}`);
+      console.log(`${index + 1}. ${conflict.packageName} (${conflict.ecosystem})`);
       
       conflict.dependencies.forEach(dep => {
         const icon = dep.type === 'development' ? '🔧' : '📦';
         console.log(`   ${icon} ${dep.project}: ${dep.version} (${dep.type})`);
       });
 
-      // Check compatibility
-      const versions = conflict.dependencies.map(d => d.version);
-      const allCompatible = versions.every((v1, i) => 
-        versions.slice(i + 1).every(v2 => this.isCompatible(v1, v2))
-      );
-
-      if (allCompatible) {
-        console.log('   ✓ Versions may be compatible (same major version)');
-      } else {
-        console.log('   ⚠️  Potential incompatibility - different major versions');
-      }
-      
+      this._printAnalysis(conflict);
       console.log('');
     });
 
@@ -275,6 +323,33 @@ export class VersionConflictAnalyzer {
     console.log('   • Major version differences are most likely to cause issues\n');
   }
 
+  /**
+   * Print the range analysis of one package
+   * @param {Object} record - Package with analysis
+   */
+  _printAnalysis(record) {
+    const { analysis } = record;
+
+    if (!analysis) {
+      console.log(`   ⚠️  Different constraints (no range engine for ${record.ecosystem}, compared as text)`);
+      return;
+    }
+
+    if (analysis.satisfiable) {
+      const best = analysis.bestVersion ? `; highest version satisfying everyone: ${analysis.bestVersion}` : '';
+      console.log(`   ✓ Compatible - every constraint accepts ${analysis.common}${best}`);
+    } else {
+      console.log('   ✗ No single version satisfies all constraints');
+      if (analysis.clash) {
+        console.log(`     ${analysis.clash[0]} and ${analysis.clash[1]} do not overlap`);
+      }
+    }
+
+    if (analysis.unparsed.length > 0) {
+      console.log(`   (not version ranges, skipped: ${analysis.unparsed.join(', ')})`);
+    }
+  }
+
   /**
    * Print detailed conflict analysis for one package
    * @param {Object} conflict - Conflict details
@@ -285,7 +360,7 @@ export class VersionConflictAnalyzer {
     }
 
     console.log('\n' + '='.repeat(60));
-    console.log(`Package: ${conflict.packageName}`);
+    console.log(`Package: ${conflict.packageName} (${conflict.ecosystem})`);
     console.log('='.repeat(60) + '\n');
 
     console.log('Used by:');
@@ -302,6 +377,9 @@ export class VersionConflictAnalyzer {
       console.log(`  ${version}: ${projects.join(', ')}`);
     });
 
+    console.log('\nCompatibility:');
+    this._printAnalysis(conflict);
+
     console.log('');
   }
 }
@@ -4,6 +4,7 @@
  * Converts parsed dependency data into Neo4j graph structure
  */
 
+import { ecosystemFor, normalizePackageName } from '../utils/ecosystem.js';
 import logger from '../utils/logger.js';
 
 class GraphBuilder {
@@ -27,12 +28,29 @@ class GraphBuilder {
       // Step 2: Create package nodes and relationships
       const packagesCreated = await this._createDependencyNodes(
         parsedData.projectName,
-        parsedData.dependencies
+        parsedData.dependencies,
+        parsedData.language
       );
       logger.success(`Created ${packagesCreated} package nodes`);
 
-      // Step 3: Create file node for dependency file
+      // Step 3: Create installed versions and their transitive edges from the lockfile
+      if (parsedData.resolved) {
+        const edgesCreated = await this._createResolvedDependencies(
+          parsedData.projectName,
+          parsedData.resolved,
+          parsedData.language
+        );
+        logger.success(`Created ${edgesCreated} transitive dependency edges`);
+      }
+
+      // Step 4: Create file nodes for the manifest, included files and lockfile
       await this._createFileNode(parsedData);
+      for (const file of parsedData.includedFiles || []) {
+        await this._createFileNode(parsedData, file.path, file.type);
+      }
+      if (parsedData.resolved) {
+        await this._createFileNode(parsedData, parsedData.resolved.file, 'lockfile');
+      }
       logger.success('Created file node');
 
       logger.success('Graph built successfully!');
@@ -45,14 +63,17 @@ class GraphBuilder {
 
   /**
    * Create or merge project node
+   * Projects are keyed by (ecosystem, name), so a package.json and a requirements.txt naming the
+   * same project stay two projects.
    * @param {object} parsedData - Parsed project data
    * @returns {Promise<object>} Created/merged project node
    */
   async _createProjectNode(parsedData) {
     const query = `
-      MERGE (p:Project {name: $name})
+      MERGE (p:Project {ecosystem: $ecosystem, name: $name})
       SET p.path = $path,
           p.language = $language,
+          p.packageName = $packageName,
           p.version = $version,
           p.description = $description,
           p.totalDependencies = $totalDeps,
@@ -60,10 +81,15 @@ class GraphBuilder {
       RETURN p
     `;
 
+    // The name this project is published under, so it can be matched to the Package other projects use
+    const ecosystem = ecosystemFor(parsedData.language);
+
     const parameters = {
       name: parsedData.projectName,
       path: parsedData.projectPath,
       language: parsedData.language,
+      ecosystem,
+      packageName: normalizePackageName(ecosystem, parsedData.projectName),
       version: parsedData.version || '1.0.0',
       description: parsedData.description || '',
       totalDeps: parsedData.totalDependencies
@@ -75,69 +101,355 @@ class GraphBuilder {
 
   /**
    * Create package nodes and DEPENDS_ON relationships
+   * Packages are keyed by (ecosystem, name), so same-named packages from different registries stay apart.
+   * The installed version of a dependency, when known, is a PackageVersion the project USES_VERSION.
    * @param {string} projectName - Name of the project
    * @param {Array} dependencies - List of dependency objects
+   * @param {string} language - Project language, for dependencies that do not carry their own
    * @returns {Promise<number>} Number of packages created
    */
-  async _createDependencyNodes(projectName, dependencies) {
+  async _createDependencyNodes(projectName, dependencies, language) {
+    const projectEcosystem = ecosystemFor(language);
     let packagesCreated = 0;
 
     for (const dep of dependencies) {
-      // Create package node
+      const depLanguage = dep.language || language;
+      const ecosystem = ecosystemFor(depLanguage);
+      const name = normalizePackageName(ecosystem, dep.name);
+
+      // Create package node (versions live on PackageVersion nodes, since every project may install another one)
       const packageQuery = `
-        MERGE (pkg:Package {name: $name})
-        SET pkg.version = $version,
-            pkg.operator = $operator,
-            pkg.language = $language,
+        MERGE (pkg:Package {ecosystem: $ecosystem, name: $name})
+        SET pkg.language = $language,
             pkg.updatedAt = datetime()
         RETURN pkg
       `;
 
       const packageParams = {
-        name: dep.name,
-        version: dep.version,
-        operator: dep.operator || '',
-        language: dep.language || 'javascript'
+        ecosystem,
+        name,
+        language: depLanguage
       };
 
       await this.client.executeQuery(packageQuery, packageParams);
 
       // Create relationship from project to package
       const relationshipQuery = `
-        MATCH (proj:Project {name: $projectName})
-        MATCH (pkg:Package {name: $packageName})
+        MATCH (proj:Project {ecosystem: $projectEcosystem, name: $projectName})
+        MATCH (pkg:Package {ecosystem: $ecosystem, name: $packageName})
         MERGE (proj)-[r:DEPENDS_ON]->(pkg)
         SET r.versionConstraint = $versionConstraint,
             r.type = $type,
-            r.direct = true,
+            r.direct = $direct,
+            r.resolvedVersion = $resolvedVersion,
+            r.peerSuffix = $peerSuffix,
+            r.peers = $peers,
+            r.linkedProject = $linkedProject,
+            r.replacement = $replacement,
+            r.target = $target,
+            r.features = $features,
+            r.scope = $scope,
+            r.markers = $markers,
+            r.url = $url,
+            r.editable = $editable,
+            r.constraint = $constraint,
+            r.sourceFile = $sourceFile,
             r.lineNumber = $lineNumber,
+            r.declared = true,
+            r.phantom = false,
             r.updatedAt = datetime()
         RETURN r
       `;
 
       const relParams = {
         projectName,
-        packageName: dep.name,
+        projectEcosystem,
+        ecosystem,
+        packageName: name,
         versionConstraint: dep.versionRange || dep.version,
         type: dep.type || 'production',
+        direct: dep.direct !== false,
+        resolvedVersion: dep.resolvedVersion || null,
+        peerSuffix: dep.peerSuffix || null,
+        peers: dep.peers || [],
+        linkedProject: dep.linkedProject ? normalizePackageName(ecosystem, dep.linkedProject) : null,
+        replacement: dep.replacement || null,
+        target: dep.target || null,
+        features: dep.features || [],
+        scope: dep.scope || null,
+        markers: dep.markers || null,
+        url: dep.url || null,
+        editable: Boolean(dep.editable),
+        constraint: dep.constraint || null,
+        sourceFile: dep.sourceFile || null,
         lineNumber: dep.lineNumber || 0
       };
 
       await this.client.executeQuery(relationshipQuery, relParams);
+
+      // Link the project to the concrete version it installs; internal projects are not installed packages
+      if (dep.resolvedVersion && !dep.linkedProject) {
+        await this._createVersionUsage(projectName, projectEcosystem, {
+          ecosystem,
+          name,
+          version: dep.resolvedVersion,
+          language: depLanguage,
+          type: dep.type || 'production',
+          direct: dep.direct !== false
+        });
+      }
+
       packagesCreated++;
     }
 
     return packagesCreated;
   }
 
+  /**
+   * Create a PackageVersion and the project's USES_VERSION edge to it
+   * @param {string} projectName - Name of the project
+   * @param {string} projectEcosystem - Ecosystem of the project
+   * @param {object} usage - { ecosystem, name, version, language, type, direct }
+   * @returns {Promise<object>} Created/merged version node
+   */
+  async _createVersionUsage(projectName, projectEcosystem, usage) {
+    const query = `
+      MATCH (proj:Project {ecosystem: $projectEcosystem, name: $projectName})
+      MERGE (pkg:Package {ecosystem: $ecosystem, name: $name})
+      ON CREATE SET pkg.language = $language
+      MERGE (pv:PackageVersion {ecosystem: $ecosystem, name: $name, version: $version})
+      MERGE (pkg)-[:HAS_VERSION]->(pv)
+      MERGE (proj)-[u:USES_VERSION]->(pv)
+      SET u.type = $type,
+          u.direct = $direct,
+          u.updatedAt = datetime()
+      RETURN pv
+    `;
+
+    const result = await this.client.executeQuery(query, { projectName, projectEcosystem, ...usage });
+    return result[0];
+  }
+
+  /**
+   * Create the installed versions of a resolved lockfile tree
+   * Every resolved package becomes a PackageVersion the project USES_VERSION (direct = false
+   * unless it is also declared), and lockfile edges connect PackageVersion → PackageVersion.
+   * Lockfiles hold thousands of entries, so nodes and edges are written in batches.
+   * @param {string} projectName - Name of the project the lockfile belongs to
+   * @param {object} resolved - Resolved tree from a lockfile reader
+   * @param {string} language - Language of the project the lockfile belongs to
+   * @returns {Promise<number>} Number of transitive edges written
+   */
+  async _createResolvedDependencies(projectName, resolved, language) {
+    const ecosystem = ecosystemFor(language);
+    const versions = resolved.packages.map(pkg => ({
+      name: normalizePackageName(ecosystem, pkg.name),
+      version: pkg.version || ''
+    }));
+    const edges = resolved.packages.flatMap(pkg =>
+      pkg.dependencies.map(dep => ({
+        parent: normalizePackageName(ecosystem, pkg.name),
+        parentVersion: pkg.version || '',
+        child: normalizePackageName(ecosystem, dep.name),
+        range: dep.range || '',
+        version: dep.version || '',
+        type: dep.type || 'production',
+        peerSuffix: dep.peerSuffix || null,
+        peers: dep.peers || []
+      }))
+    );
+
+    const versionQuery = `
+      MATCH (proj:Project {ecosystem: $ecosystem, name: $projectName})
+      UNWIND $versions AS installed
+      MERGE (pkg:Package {ecosystem: $ecosystem, name: installed.name})
+      ON CREATE SET pkg.language = $language
+      MERGE (pv:PackageVersion {ecosystem: $ecosystem, name: installed.name, version: installed.version})
+      MERGE (pkg)-[:HAS_VERSION]->(pv)
+      MERGE (proj)-[u:USES_VERSION]->(pv)
+      ON CREATE SET u.direct = false
+      SET u.lockfile = $lockfile,
+          u.updatedAt = datetime()
+    `;
+
+    const edgeQuery = `
+      UNWIND $edges AS edge
+      MERGE (parent:PackageVersion {ecosystem: $ecosystem, name: edge.parent, version: edge.parentVersion})
+      MERGE (child:PackageVersion {ecosystem: $ecosystem, name: edge.child, version: edge.version})
+      MERGE (parent)-[r:DEPENDS_ON]->(child)
+      SET r.source = 'lockfile',
+          r.direct = false,
+          r.versionConstraint = edge.range,
+          r.peerSuffix = edge.peerSuffix,
+          r.peers = edge.peers,
+          r.type = edge.type,
+          r.lockfile = $lockfile,
+          r.updatedAt = datetime()
+    `;
+
+    const batchSize = 500;
+    for (let i = 0; i < versions.length; i += batchSize) {
+      await this.client.executeWrite(versionQuery, {
+        versions: versions.slice(i, i + batchSize),
+        projectName,
+        lockfile: resolved.file,
+        ecosystem,
+        language
+      });
+    }
+    for (let i = 0; i < edges.length; i += batchSize) {
+      await this.client.executeWrite(edgeQuery, {
+        edges: edges.slice(i, i + batchSize),
+        lockfile: resolved.file,
+        ecosystem
+      });
+    }
+
+    return edges.length;
+  }
+
+  /**
+   * Record what a project's source imports say about its dependencies
+   * Declared dependencies get used / usedVia / importCount / importedFrom / runtimeImport / devOnlyRuntime;
+   * imported but undeclared packages get a DEPENDS_ON edge with declared = false and phantom = true.
+   * Findings of an earlier scan are replaced.
+   * @param {string} projectName - Name of the project
+   * @param {object} report - Usage report from an import scanner's analyze()
+   * @returns {Promise<number>} Number of phantom dependencies recorded
+   */
+  async recordImportUsage(projectName, report) {
+    const ecosystem = ecosystemFor(report.language);
+    const files = list => list.slice(0, 20);
+
+    const resetQuery = `
+      MATCH (proj:Project {ecosystem: $ecosystem, name: $projectName})-[r:DEPENDS_ON {declared: false}]->(:Package {ecosystem: $ecosystem})
+      DELETE r
+    `;
+
+    const declaredQuery = `
+      MATCH (proj:Project {ecosystem: $ecosystem, name: $projectName})
+      UNWIND $dependencies AS dep
+      MATCH (proj)-[r:DEPENDS_ON]->(:Package {ecosystem: $ecosystem, name: dep.name})
+      SET r.used = dep.used,
+          r.usedVia = dep.usedVia,
+          r.importCount = dep.importCount,
+          r.importedFrom = dep.files,
+          r.runtimeImport = dep.runtime,
+          r.devOnlyRuntime = dep.devOnlyRuntime,
+          r.usageScannedAt = datetime()
+    `;
+
+    const phantomQuery = `
+      MATCH (proj:Project {ecosystem: $ecosystem, name: $projectName})
+      UNWIND $phantoms AS dep
+      MERGE (pkg:Package {ecosystem: $ecosystem, name: dep.name})
+      ON CREATE SET pkg.language = $language
+      MERGE (proj)-[r:DEPENDS_ON]->(pkg)
+      SET r.declared = false,
+          r.phantom = true,
+          r.type = 'undeclared',
+          r.direct = true,
+          r.used = true,
+          r.usedVia = 'import',
+          r.importCount = dep.importCount,
+          r.importedFrom = dep.files,
+          r.runtimeImport = dep.runtime,
+          r.devOnlyRuntime = false,
+          r.usageScannedAt = datetime()
+    `;
+
+    await this.client.executeWrite(resetQuery, { projectName, ecosystem });
+    await this.client.executeWrite(declaredQuery, {
+      projectName,
+      ecosystem,
+      dependencies: report.dependencies.map(dep => ({
+        ...dep,
+        name: normalizePackageName(ecosystem, dep.name),
+        importCount: dep.files.length,
+        files: files(dep.files)
+      }))
+    });
+    await this.client.executeWrite(phantomQuery, {
+      projectName,
+      ecosystem,
+      language: report.language,
+      phantoms: report.phantom.map(dep => ({
+        name: normalizePackageName(ecosystem, dep.name),
+        importCount: dep.files.length,
+        files: files(dep.files),
+        runtime: dep.runtime
+      }))
+    });
+
+    return report.phantom.length;
+  }
+
+  /**
+   * Record a project's module graph (deep mode): a File node of type 'source_module' per
+   * source file and an IMPORTS edge per resolved import. The previous module graph is replaced.
+   * @param {string} projectName - Name of the project
+   * @param {object} graph - Module graph from ModuleGraphScanner.scan()
+   * @param {string} language - Project language
+   * @returns {Promise<object>} { files, imports } counts
+   */
+  async buildFileGraph(projectName, graph, language) {
+    const projectEcosystem = ecosystemFor(language);
+
+    const resetQuery = `
+      MATCH (:Project {ecosystem: $projectEcosystem, name: $projectName})-[:HAS_FILE]->(f:File {type: 'source_module'})
+      DETACH DELETE f
+    `;
+
+    const filesQuery = `
+      MATCH (proj:Project {ecosystem: $projectEcosystem, name: $projectName})
+      UNWIND $files AS file
+      MERGE (f:File {path: file.path})
+      SET f.name = file.name,
+          f.relativePath = file.relativePath,
+          f.type = 'source_module',
+          f.language = $language,
+          f.project = $projectName,
+          f.updatedAt = datetime()
+      MERGE (proj)-[:HAS_FILE]->(f)
+    `;
+
+    const importsQuery = `
+      UNWIND $edges AS edge
+      MATCH (from:File {path: edge.from})
+      MATCH (to:File {path: edge.to})
+      MERGE (from)-[r:IMPORTS]->(to)
+      SET r.specifier = edge.specifier,
+          r.kind = edge.kind,
+          r.typeOnly = edge.typeOnly,
+          r.line = edge.line
+    `;
+
+    await this.client.executeWrite(resetQuery, { projectName, projectEcosystem });
+    await this.client.executeWrite(filesQuery, {
+      projectName,
+      projectEcosystem,
+      language,
+      files: graph.files.map(file => ({ ...file, name: file.relativePath.split('/').pop() }))
+    });
+    await this.client.executeWrite(importsQuery, { edges: graph.edges });
+
+    return { files: graph.files.length, imports: graph.edges.length };
+  }
+
   /**
    * Create file node for dependency file
    * @param {object} parsedData - Parsed project data
+   * @param {string} filePath - File to record (defaults to the manifest)
+   * @param {string} fileType - File type (dependency_manifest, lockfile, requirements_include, constraints)
    * @returns {Promise<object>} Created file node
    */
-  async _createFileNode(parsedData) {
+  async _createFileNode(
+    parsedData,
+    filePath = parsedData.dependencyFile,
+    fileType = 'dependency_manifest'
+  ) {
     const query = `
-      MATCH (proj:Project {name: $projectName})
+      MATCH (proj:Project {ecosystem: $projectEcosystem, name: $projectName})
       MERGE (f:File {path: $filePath})
       SET f.name = $fileName,
           f.type = $fileType,
@@ -147,13 +459,14 @@ class GraphBuilder {
       RETURN f
     `;
 
-    const fileName = parsedData.dependencyFile.split('/').pop();
+    const fileName = filePath.split('/').pop();
 
     const parameters = {
       projectName: parsedData.projectName,
-      filePath: parsedData.dependencyFile,
+      projectEcosystem: ecosystemFor(parsedData.language),
+      filePath,
       fileName,
-      fileType: 'dependency_manifest',
+      fileType,
       language: parsedData.language
     };
 
@@ -164,33 +477,40 @@ class GraphBuilder {
   /**
    * Retrieve all dependencies for a project
    * @param {string} projectName - Name of the project
+   * @param {string} projectEcosystem - Ecosystem of the project
    * @returns {Promise<Array>} List of dependencies
    */
-  async getProjectDependencies(projectName) {
+  async getProjectDependencies(projectName, projectEcosystem) {
     const query = `
-      MATCH (proj:Project {name: $projectName})-[r:DEPENDS_ON]->(pkg:Package)
+      MATCH (proj:Project {ecosystem: $projectEcosystem, name: $projectName})-[r:DEPENDS_ON]->(pkg:Package)
       RETURN pkg.name as name,
-             pkg.version as version,
+             pkg.ecosystem as ecosystem,
              r.versionConstraint as constraint,
+             r.resolvedVersion as resolvedVersion,
              r.type as type,
              r.lineNumber as lineNumber
       ORDER BY pkg.name
     `;
 
-    return await this.client.executeQuery(query, { projectName });
+    return await this.client.executeQuery(query, { projectName, projectEcosystem });
   }
 
   /**
    * Find packages that are used by multiple projects
-   * @returns {Promise<Array>} Packages with their usage count
+   * @returns {Promise<Array>} Packages with their usage count and the versions those projects install
    */
   async findSharedDependencies() {
     const query = `
       MATCH (proj:Project)-[:DEPENDS_ON]->(pkg:Package)
-      WITH pkg, count(proj) as usageCount, collect(proj.name) as projects
+      WITH pkg, count(proj) as usageCount, collect(proj.name) as projects,
+           collect({ ecosystem: proj.ecosystem, name: proj.name }) as projectKeys
       WHERE usageCount > 1
+      // Projects are unique per (ecosystem, name), so a same-named project of another ecosystem is not a user
+      OPTIONAL MATCH (pkg)-[:HAS_VERSION]->(pv:PackageVersion)<-[:USES_VERSION]-(user:Project)
+      WHERE { ecosystem: user.ecosystem, name: user.name } IN projectKeys
       RETURN pkg.name as package,
-             pkg.version as version,
+             pkg.ecosystem as ecosystem,
+             collect(DISTINCT pv.version) as versions,
              usageCount,
              projects
       ORDER BY usageCount DESC
@@ -199,19 +519,40 @@ class GraphBuilder {
     return await this.client.executeQuery(query);
   }
 
+  /**
+   * Find every installed version of a package and the projects that install it
+   * Includes transitive installs recorded from lockfiles (direct = false).
+   * @param {string} packageName - Name of the package
+   * @param {string} ecosystem - Only this ecosystem ('npm', 'pypi', ...); all ecosystems when omitted
+   * @returns {Promise<Array>} One row per version: { ecosystem, version, projects: [{ project, direct }] }
+   */
+  async findInstalledVersions(packageName, ecosystem = null) {
+    const query = `
+      MATCH (pkg:Package {name: $packageName})-[:HAS_VERSION]->(pv:PackageVersion)<-[u:USES_VERSION]-(proj:Project)
+      WHERE $ecosystem IS NULL OR pkg.ecosystem = $ecosystem
+      RETURN pkg.ecosystem as ecosystem,
+             pv.version as version,
+             collect({ project: proj.name, direct: u.direct }) as projects
+      ORDER BY ecosystem, version
+    `;
+
+    return await this.client.executeQuery(query, { packageName, ecosystem });
+  }
+
   /**
    * Get dependency statistics by type
    * @param {string} projectName - Name of the project
+   * @param {string} projectEcosystem - Ecosystem of the project
    * @returns {Promise<object>} Dependency statistics
    */
-  async getDependencyStats(projectName) {
+  async getDependencyStats(projectName, projectEcosystem) {
     const query = `
-      MATCH (proj:Project {name: $projectName})-[r:DEPENDS_ON]->(pkg:Package)
+      MATCH (proj:Project {ecosystem: $projectEcosystem, name: $projectName})-[r:DEPENDS_ON]->(pkg:Package)
       RETURN r.type as type, count(pkg) as count
       ORDER BY type
     `;
 
-    const results = await this.client.executeQuery(query, { projectName });
+    const results = await this.client.executeQuery(query, { projectName, projectEcosystem });
     
     const stats = {};
     results.forEach(row => {
@@ -224,10 +565,11 @@ class GraphBuilder {
   /**
    * Generate visualization query for Neo4j Browser
    * @param {string} projectName - Name of the project
+   * @param {string} projectEcosystem - Ecosystem of the project
    * @returns {string} Cypher query for visualization
    */
-  visualizeProjectGraph(projectName) {
-    const query = `MATCH path = (proj:Project {name: '${projectName}'})-[:DEPENDS_ON]->(pkg:Package)
+  visualizeProjectGraph(projectName, projectEcosystem) {
+    const query = `MATCH path = (proj:Project {ecosystem: '${projectEcosystem}', name: '${projectName}'})-[:DEPENDS_ON]->(pkg:Package)
 RETURN path
 LIMIT 50`;
 
@@ -242,19 +584,22 @@ LIMIT 50`;
   /**
    * Find all projects using a specific package
    * @param {string} packageName - Name of the package
+   * @param {string} ecosystem - Only this ecosystem ('npm', 'pypi', ...); all ecosystems when omitted
    * @returns {Promise<Array>} Projects using the package
    */
-  async findProjectsUsingPackage(packageName) {
+  async findProjectsUsingPackage(packageName, ecosystem = null) {
     const query = `
       MATCH (proj:Project)-[r:DEPENDS_ON]->(pkg:Package {name: $packageName})
+      WHERE $ecosystem IS NULL OR pkg.ecosystem = $ecosystem
       RETURN proj.name as project,
              proj.language as language,
+             pkg.ecosystem as ecosystem,
              r.versionConstraint as versionConstraint,
              r.type as dependencyType
       ORDER BY proj.name
     `;
 
-    return await this.client.executeQuery(query, { packageName });
+    return await this.client.executeQuery(query, { packageName, ecosystem });
   }
 
   /**
@@ -275,12 +620,16 @@ LIMIT 50`;
     
     try {
       const query = `
-        // Find all packages that are also projects
-        MATCH (proj:Project)
-        MATCH (pkg:Package {name: proj.name})
-        
-        // Find the project's dependencies
-        MATCH (proj)-[r:DEPENDS_ON]->(depPkg:Package)
+        // Find the project's dependencies, following workspace links to the real package
+        MATCH (proj:Project)-[r:DEPENDS_ON]->(declared:Package)
+        WHERE coalesce(r.declared, true) AND declared.ecosystem = proj.ecosystem
+
+        // Find the package this project is published as, in the project's ecosystem only
+        MATCH (pkg:Package {ecosystem: proj.ecosystem})
+        WHERE pkg.name IN [proj.name, proj.packageName]
+
+        WITH pkg, r, declared.ecosystem as ecosystem, coalesce(r.linkedProject, declared.name) as depName
+        MERGE (depPkg:Package {ecosystem: ecosystem, name: depName})
         
         // Create Package → Package relationship (if it doesn't exist)
         MERGE (pkg)-[r2:DEPENDS_ON]->(depPkg)
@@ -8,7 +8,7 @@ import neo4j from 'neo4j-driver';
 import dotenv from 'dotenv';
 import logger from '../utils/logger.js';
 
-dotenv.config();
+dotenv.config({ quiet: true });
 
 class Neo4jClient {
   constructor() {
@@ -99,12 +99,22 @@ class Neo4jClient {
 
   /**
    * Create unique constraints for better performance
+   * Packages and projects are unique per (ecosystem, name); the old name-only constraints are dropped
    */
   async createConstraints() {
+    for (const obsolete of ['package_name', 'project_name']) {
+      try {
+        await this.executeWrite(`DROP CONSTRAINT ${obsolete} IF EXISTS`);
+      } catch (error) {
+        logger.warning(`Constraint removal: ${error.message}`);
+      }
+    }
+
     const constraints = [
-      'CREATE CONSTRAINT package_name IF NOT EXISTS FOR (p:Package) REQUIRE p.name IS UNIQUE',
+      'CREATE CONSTRAINT package_identity IF NOT EXISTS FOR (p:Package) REQUIRE (p.ecosystem, p.name) IS UNIQUE',
+      'CREATE CONSTRAINT package_version_identity IF NOT EXISTS FOR (v:PackageVersion) REQUIRE (v.ecosystem, v.name, v.version) IS UNIQUE',
       'CREATE CONSTRAINT file_path IF NOT EXISTS FOR (f:File) REQUIRE f.path IS UNIQUE',
-      'CREATE CONSTRAINT project_name IF NOT EXISTS FOR (p:Project) REQUIRE p.name IS UNIQUE'
+      'CREATE CONSTRAINT project_identity IF NOT EXISTS FOR (p:Project) REQUIRE (p.ecosystem, p.name) IS UNIQUE'
     ];
 
     for (const constraint of constraints) {
@@ -128,6 +138,7 @@ class Neo4jClient {
     const queries = {
       projects: 'MATCH (p:Project) RETURN count(p) as count',
       packages: 'MATCH (p:Package) RETURN count(p) as count',
+      versions: 'MATCH (v:PackageVersion) RETURN count(v) as count',
       dependencies: 'MATCH ()-[r:DEPENDS_ON]->() RETURN count(r) as count',
       files: 'MATCH (f:File) RETURN count(f) as count'
     };
@@ -174,6 +185,7 @@ if (import.meta.url === `file://${process.argv[1]}`) {
     logger.header('Database Statistics');
     console.log(`  Projects: ${stats.projects}`);
     console.log(`  Packages: ${stats.packages}`);
+    console.log(`  Package Versions: ${stats.versions}`);
     console.log(`  Dependencies: ${stats.dependencies}`);
     console.log(`  Files: ${stats.files}`);
     
@@ -0,0 +1,452 @@
+// src/imports/javascriptImports.js
+/**
+ * JavaScript Import Scanner
+ * Reads a project's JS/TS sources and compares the packages they import with package.json:
+ *
+ *   unused          declared, but never imported, run from a script or named in a config file
+ *   phantom         imported, but not declared (it only resolves because something else installed it)
+ *   devOnlyRuntime  imported by runtime code, but declared in devDependencies only
+ *
+ * Imports from tests, stories and tool configs, and type-only imports, are not runtime imports.
+ */
+
+import { readFile, readdir } from 'fs/promises';
+import { resolve, relative, sep } from 'path';
+import { existsSync } from 'fs';
+import { builtinModules } from 'module';
+import { findSourceFiles } from './sourceFiles.js';
+
+export const SOURCE_EXTENSIONS = ['.js', '.mjs', '.cjs', '.jsx', '.ts', '.tsx', '.mts', '.cts'];
+
+const BUILTINS = new Set(builtinModules);
+
+const PACKAGE_NAME_PATTERN = /^(@[a-z0-9-~][a-z0-9-._~]*\/)?[a-z0-9-~][a-z0-9-._~]*$/i;
+
+// Each pattern captures the specifier; `type` marks TypeScript type-only forms
+const IMPORT_PATTERNS = [
+  // import x from 'y', import { a, b as c } from 'y', import * as ns from 'y', import type { T } from 'y'
+  { kind: 'import', pattern: /(?<![\w$.])import\s+(?<type>type\s+)?(?<names>[\w$*{}\s,]+?)\s*from\s*(?<quote>['"])(?<specifier>[^'"\n]+)\k<quote>/gd },
+  // import 'y' (side effects only)
+  { kind: 'import', pattern: /(?<![\w$.])import\s*(?<quote>['"])(?<specifier>[^'"\n]+)\k<quote>/gd },
+  // export * from 'y', export { a } from 'y', export type { T } from 'y'
+  { kind: 'export', pattern: /(?<![\w$.])export\s+(?<type>type\s+)?(?<names>\*(?:\s+as\s+[\w$]+)?|\{[^}]*\})\s*from\s*(?<quote>['"])(?<specifier>[^'"\n]+)\k<quote>/gd },
+  // import('y')
+  { kind: 'dynamic', pattern: /(?<![\w$.])import\s*\(\s*(?<quote>['"`])(?<specifier>[^'"`\n$]+)\k<quote>\s*[,)]/gd },
+  // require('y'), require.resolve('y'), TypeScript's import x = require('y')
+  { kind: 'require', pattern: /(?<![\w$.])require(?:\.resolve)?\s*\(\s*(?<quote>['"`])(?<specifier>[^'"`\n$]+)\k<quote>\s*\)/gd }
+];
+
+// Tests, stories, tool configs and scripts: their imports do not run in production
+const DEV_FILE_PATTERNS = [
+  /(^|\/)(__tests__|__mocks__|tests?|spec|e2e|cypress|\.storybook|scripts)\//,
+  /\.(test|spec|stories|story)\.[cm]?[jt]sx?$/,
+  /(^|\/)[^/]*\.config\.[cm]?[jt]s$/,
+  /(^|\/)\.[^/]*rc\.[cm]?js$/
+];
+
+// Config files whose text may name a tool package ("extends", "preset", "plugins", ...)
+const CONFIG_FILE_PATTERN = /^(\.[\w-]*rc(\.json|\.ya?ml)?|tsconfig[\w.-]*\.json|[\w-]+\.config\.json)$/;
+
+// Packages whose command is not their name
+const PACKAGE_BINS = {
+  typescript: ['tsc', 'tsserver'],
+  '@babel/cli': ['babel'],
+  'webpack-cli': ['webpack'],
+  '@angular/cli': ['ng'],
+  '@nestjs/cli': ['nest'],
+  '@vue/cli-service': ['vue-cli-service'],
+  '@playwright/test': ['playwright'],
+  'npm-run-all': ['npm-run-all', 'run-p', 'run-s'],
+  'ts-node': ['ts-node', 'ts-node-esm']
+};
+
+// package.json members that are not tool configuration
+const NON_CONFIG_FIELDS = [
+  'name', 'version', 'description', 'scripts', 'dependencies', 'devDependencies',
+  'peerDependencies', 'optionalDependencies', 'bundledDependencies', 'workspaces'
+];
+
+// Regex literals can only start after one of these (otherwise "/" is division)
+const REGEX_PRECEDERS = /^$|[(,=:[!&|?{};+\-*%<>~^]$/;
+
+/**
+ * Blank out comments, keeping strings and line breaks so offsets still map to lines
+ * Also used for JSON with comments (tsconfig.json).
+ * @param {string} source - Source code
+ * @returns {string} Source without comments
+ */
+export function stripComments(source) {
+  let output = '';
+  let previous = '';
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+    const next = source[i + 1];
+
+    if (char === '/' && next === '/') {
+      const end = source.indexOf('\n', i);
+      i = end === -1 ? source.length : end;
+    } else if (char === '/' && next === '*') {
+      const end = source.indexOf('*/', i + 2);
+      const stop = end === -1 ? source.length : end + 2;
+      output += source.slice(i, stop).replace(/[^\n]/g, ' ');
+      i = stop;
+    } else if (char === '"' || char === '\'' || char === '`' || (char === '/' && REGEX_PRECEDERS.test(previous))) {
+      const end = skipLiteral(source, i);
+      output += source.slice(i, end);
+      previous = 'literal';
+      i = end;
+    } else {
+      output += char;
+      if (!/\s/.test(char)) previous = char;
+      i++;
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Blank out comments and the contents of strings, templates and regex literals, keeping
+ * the quotes and every offset, so import statements written inside a string are not read
+ * @param {string} source - Source code
+ * @returns {string} Code of the same length
+ */
+export function stripStringsAndComments(source) {
+  const blank = text => text.replace(/[^\n]/g, ' ');
+  let output = '';
+  let previous = '';
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+    const next = source[i + 1];
+
+    if (char === '/' && (next === '/' || next === '*')) {
+      const end = next === '/' ? source.indexOf('\n', i) : source.indexOf('*/', i + 2);
+      const stop = end === -1 ? source.length : end + (next === '*' ? 2 : 0);
+      output += blank(source.slice(i, stop));
+      i = stop;
+    } else if (char === '"' || char === '\'' || char === '`' || (char === '/' && REGEX_PRECEDERS.test(previous))) {
+      const end = skipLiteral(source, i);
+      const closed = end - i > 1 && source[end - 1] === char;
+      output += char + blank(source.slice(i + 1, closed ? end - 1 : end)) + (closed ? char : '');
+      previous = 'literal';
+      i = end;
+    } else {
+      output += char;
+      if (!/\s/.test(char)) previous = char;
+      i++;
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Find the import specifiers of a module
+ * Statements are matched on the blanked code; a specifier is the text of the literal
+ * directly after from / import( / require(.
+ * @param {string} source - Source code
+ * @returns {Array<object>} [{ specifier, kind, typeOnly, line }]
+ */
+export function extractImports(source) {
+  const code = stripStringsAndComments(source);
+  const found = new Map();
+
+  for (const { kind, pattern } of IMPORT_PATTERNS) {
+    for (const match of code.matchAll(pattern)) {
+      const { type, names = '' } = match.groups;
+      const specifier = source.slice(...match.indices.groups.specifier);
+      if (found.has(match.index) || !specifier.trim() || specifier.includes('${')) continue;
+
+      // import { type A, type B } from 'y' is as type-only as import type { A, B } from 'y'
+      const members = names.replace(/[{}]/g, '').split(',').map(member => member.trim()).filter(Boolean);
+      const allTypes = /^\s*\{/.test(names) && members.length > 0 && members.every(member => member.startsWith('type '));
+
+      found.set(match.index, {
+        specifier,
+        kind,
+        typeOnly: Boolean(type) || allTypes,
+        line: code.slice(0, match.index).split('\n').length
+      });
+    }
+  }
+
+  return [...found.entries()].sort(([a], [b]) => a - b).map(([, entry]) => entry);
+}
+
+/**
+ * Package a bare specifier resolves to
+ * lodash/fp → lodash, @babel/core/lib/x → @babel/core; relative paths, builtins (fs, node:fs),
+ * URLs, subpath imports (#internal) and aliases (@/components, ~/utils) are not packages.
+ * @param {string} specifier - Import specifier
+ * @returns {string|null} Package name
+ */
+export function packageNameOf(specifier) {
+  const bare = specifier.replace(/[?#].*$/, '');
+  if (!bare || /^[./#~]/.test(specifier) || bare.includes(':')) return null;
+
+  const parts = bare.split('/');
+  const name = bare.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0];
+
+  if (!PACKAGE_NAME_PATTERN.test(name) || BUILTINS.has(name)) return null;
+  return name;
+}
+
+/**
+ * Check whether a file only runs during development (tests, stories, configs, scripts)
+ * @param {string} relativePath - Forward-slash path relative to the project
+ * @returns {boolean} True for development files
+ */
+export function isDevFile(relativePath) {
+  return DEV_FILE_PATTERNS.some(pattern => pattern.test(relativePath));
+}
+
+export class JavaScriptImportScanner {
+  static language = 'javascript';
+
+  /**
+   * @param {string} projectPath - Project directory (holding package.json)
+   * @param {object} options - { ignore: extra glob patterns to skip }
+   */
+  constructor(projectPath, options = {}) {
+    this.projectPath = resolve(projectPath);
+    this.ignore = options.ignore || [];
+  }
+
+  /**
+   * Collect the packages the project's sources import
+   * @returns {Promise<object>} { files, typescript, imports: Map(name → { files, runtimeFiles, typeOnly }) }
+   */
+  async scan() {
+    const aliases = await this._pathAliases();
+    const files = (await findSourceFiles(this.projectPath, {
+      extensions: SOURCE_EXTENSIONS,
+      manifests: ['package.json'],
+      ignore: this.ignore
+    })).filter(file => !/\.d\.[cm]?ts$/.test(file));
+
+    const imports = new Map();
+
+    for (const file of files) {
+      const relativePath = relative(this.projectPath, file).split(sep).join('/');
+      const devFile = isDevFile(relativePath);
+
+      for (const { specifier, typeOnly } of extractImports(await readFile(file, 'utf-8'))) {
+        if (aliases.some(alias => specifier === alias || specifier.startsWith(`${alias}/`))) continue;
+
+        const name = packageNameOf(specifier);
+        if (!name) continue;
+
+        if (!imports.has(name)) imports.set(name, { files: new Set(), runtimeFiles: new Set(), typeOnly: true });
+        const entry = imports.get(name);
+        entry.files.add(relativePath);
+        entry.typeOnly = entry.typeOnly && typeOnly;
+        if (!typeOnly && !devFile) entry.runtimeFiles.add(relativePath);
+      }
+    }
+
+    return {
+      files: files.length,
+      typescript: files.some(file => /\.[cm]?tsx?$/.test(file)),
+      imports
+    };
+  }
+
+  /**
+   * Compare the imports with the declared dependencies
+   * @param {object} parsedData - Parsed project from JavaScriptParser
+   * @returns {Promise<object>} Usage report:
+   *   {
+   *     project, language, filesScanned,
+   *     dependencies,    // every declared dependency: { name, type, used, usedVia, files, runtime, devOnlyRuntime }
+   *     unused,          // [{ name, type }]
+   *     phantom,         // [{ name, files, runtime }]
+   *     devOnlyRuntime   // [{ name, files }]
+   *   }
+   */
+  async analyze(parsedData) {
+    const { files, typescript, imports } = await this.scan();
+    const references = await this._references();
+
+    const declaredTypes = new Map();
+    parsedData.dependencies
+      .filter(dep => (dep.language || parsedData.language) === 'javascript')
+      .forEach(dep => {
+        if (!declaredTypes.has(dep.name)) declaredTypes.set(dep.name, new Set());
+        declaredTypes.get(dep.name).add(dep.type || 'production');
+      });
+
+    const dependencies = parsedData.dependencies
+      .filter(dep => (dep.language || parsedData.language) === 'javascript')
+      .map(dep => {
+        const imported = imports.get(dep.name);
+        const usedVia = imported ? 'import' : this._usedVia(dep.name, { references, typescript, imports, declaredTypes });
+        const runtime = Boolean(imported && imported.runtimeFiles.size > 0);
+        const devOnly = [...declaredTypes.get(dep.name)].every(type => type === 'development');
+
+        return {
+          name: dep.name,
+          type: dep.type || 'production',
+          used: usedVia !== null,
+          usedVia,
+          files: imported ? [...imported.files] : [],
+          runtime,
+          devOnlyRuntime: runtime && devOnly
+        };
+      });
+
+    // Type-only imports are satisfied by a declared @types package (import type { Request } from 'express')
+    const phantom = [...imports.entries()]
+      .filter(([name]) => !declaredTypes.has(name) && name !== parsedData.projectName)
+      .filter(([name, entry]) => !(entry.typeOnly && declaredTypes.has(typesPackageOf(name))))
+      .map(([name, entry]) => ({ name, files: [...entry.files], runtime: entry.runtimeFiles.size > 0 }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+
+    return {
+      project: parsedData.projectName,
+      language: 'javascript',
+      filesScanned: files,
+      dependencies,
+      // Peer and optional dependencies are often not imported by the package itself
+      unused: dependencies
+        .filter(dep => !dep.used && ['production', 'development'].includes(dep.type))
+        .map(({ name, type }) => ({ name, type })),
+      phantom,
+      devOnlyRuntime: dependencies
+        .filter(dep => dep.devOnlyRuntime)
+        .map(({ name }) => ({ name, files: [...imports.get(name).runtimeFiles] }))
+    };
+  }
+
+  /**
+   * How a dependency that is never imported is still used
+   * @returns {string|null} 'script', 'config', 'types', or null when unused
+   */
+  _usedVia(name, { references, typescript, imports, declaredTypes }) {
+    const bins = PACKAGE_BINS[name] || [name.split('/').pop()];
+    if (bins.some(bin => references.commands.has(bin))) return 'script';
+
+    // @types/node, @types/react, @types/babel__core → @babel/core
+    if (name.startsWith('@types/')) {
+      const target = name.slice('@types/'.length).replace(/^(.+)__(.+)$/, '@$1/$2');
+      const typed = target === 'node' || imports.has(target) || declaredTypes.has(target);
+      return typescript && typed ? 'types' : null;
+    }
+
+    // eslint-config-airbnb is "airbnb" in extends, @scope/eslint-plugin is "@scope" in plugins
+    const tool = name.match(/^(?:(@[^/]+)\/)?(?:eslint|prettier|stylelint)-(?:config|plugin)(?:-(.+))?$/);
+    const mentions = tool ? [name, [tool[1], tool[2]].filter(Boolean).join('/')] : [name];
+    if (mentions.some(mention => references.config.includes(`"${mention}`) || references.config.includes(`'${mention}`))) {
+      return 'config';
+    }
+
+    return null;
+  }
+
+  /**
+   * Commands run by package.json scripts, and the text of the project's tool configs
+   * @returns {Promise<object>} { commands: Set, config: string }
+   */
+  async _references() {
+    const packageJson = await this._readJson(resolve(this.projectPath, 'package.json')) || {};
+    const commands = new Set(
+      Object.values(packageJson.scripts || {})
+        .join(' ')
+        .split(/[\s;&|()'"=]+/)
+        .filter(Boolean)
+    );
+
+    const toolConfig = Object.fromEntries(
+      Object.entries(packageJson).filter(([field]) => !NON_CONFIG_FIELDS.includes(field))
+    );
+    const config = [JSON.stringify(toolConfig)];
+
+    const entries = await readdir(this.projectPath, { withFileTypes: true });
+    for (const entry of entries) {
+      if (entry.isFile() && CONFIG_FILE_PATTERN.test(entry.name)) {
+        config.push(await readFile(resolve(this.projectPath, entry.name), 'utf-8'));
+      }
+    }
+
+    return { commands, config: config.join('\n') };
+  }
+
+  /**
+   * Path aliases from tsconfig.json / jsconfig.json ("@app/*", "~/*"), which look like packages but are not
+   * @returns {Promise<Array<string>>} Alias prefixes without the trailing /*
+   */
+  async _pathAliases() {
+    for (const file of ['tsconfig.json', 'jsconfig.json']) {
+      const config = await this._readJson(resolve(this.projectPath, file));
+      const paths = config?.compilerOptions?.paths;
+      if (paths) {
+        return Object.keys(paths).map(alias => alias.replace(/\/?\*$/, '')).filter(Boolean);
+      }
+    }
+    return [];
+  }
+
+  /**
+   * Read a JSON file that may contain comments and trailing commas
+   * @returns {Promise<object|null>} Parsed JSON, or null if missing or invalid
+   */
+  async _readJson(path) {
+    if (!existsSync(path)) return null;
+    try {
+      const text = stripComments(await readFile(path, 'utf-8')).replace(/,(\s*[}\]])/g, '$1');
+      return JSON.parse(text);
+    } catch {
+      return null;
+    }
+  }
+}
+
+/**
+ * DefinitelyTyped package of a package: express → @types/express, @babel/core → @types/babel__core
+ */
+function typesPackageOf(name) {
+  return `@types/${name.replace(/^@([^/]+)\/(.+)$/, '$1__$2')}`;
+}
+
+/**
+ * End offset of the string, template or regex literal starting at `start`
+ */
+function skipLiteral(source, start) {
+  const quote = source[start];
+  let inClass = false;
+  let depth = 0;
+
+  for (let i = start + 1; i < source.length; i++) {
+    const char = source[i];
+
+    if (char === '\\') {
+      i++;
+    } else if (quote === '`') {
+      // Template placeholders may contain braces of their own
+      if (char === '$' && source[i + 1] === '{') {
+        depth++;
+        i++;
+      } else if (char === '}' && depth > 0) {
+        depth--;
+      } else if (char === '`' && depth === 0) {
+        return i + 1;
+      }
+    } else if (char === '\n') {
+      // Unterminated: a "/" that was division after all, or a broken string
+      return quote === '/' ? start + 1 : i;
+    } else if (quote === '/') {
+      if (char === '[') inClass = true;
+      else if (char === ']') inClass = false;
+      else if (char === '/' && !inClass) return i + 1;
+    } else if (char === quote) {
+      return i + 1;
+    }
+  }
+
+  return source.length;
+}
+
+export default JavaScriptImportScanner;
@@ -0,0 +1,83 @@
+// src/imports/moduleGraph.js
+/**
+ * Module Graph Scanner
+ * Builds the file-level import graph of a JS/TS project (deep mode): one node per source
+ * module, one edge per import that resolves to another module of the same project.
+ * Package imports and unresolvable specifiers (assets, missing files) are not edges.
+ */
+
+import { readFile } from 'fs/promises';
+import { resolve, relative, sep } from 'path';
+import { findSourceFiles } from './sourceFiles.js';
+import { extractImports, packageNameOf, SOURCE_EXTENSIONS } from './javascriptImports.js';
+import ModuleResolver from './moduleResolver.js';
+
+export class ModuleGraphScanner {
+  static language = 'javascript';
+
+  /**
+   * @param {string} projectPath - Project directory (holding package.json)
+   * @param {object} options - { ignore: extra glob patterns to skip }
+   */
+  constructor(projectPath, options = {}) {
+    this.projectPath = resolve(projectPath);
+    this.ignore = options.ignore || [];
+  }
+
+  /**
+   * Scan the project's modules and resolve their imports
+   * @returns {Promise<object>} Module graph:
+   *   {
+   *     files,       // [{ path, relativePath }] every source module (declaration files excluded)
+   *     edges,       // [{ from, to, specifier, kind, typeOnly, line }] absolute paths, one per file pair
+   *     unresolved   // [{ file, specifier, line }] relative or aliased imports that matched no module
+   *   }
+   */
+  async scan() {
+    const files = (await findSourceFiles(this.projectPath, {
+      extensions: SOURCE_EXTENSIONS,
+      manifests: ['package.json'],
+      ignore: this.ignore
+    })).filter(file => !/\.d\.[cm]?ts$/.test(file));
+
+    const resolver = await ModuleResolver.create(this.projectPath, files);
+    const edges = new Map();
+    const unresolved = [];
+
+    for (const file of files) {
+      for (const { specifier, kind, typeOnly, line } of extractImports(await readFile(file, 'utf-8'))) {
+        const target = resolver.resolve(specifier, file);
+
+        if (!target) {
+          // Bare package names are expected not to resolve; a missing local module is worth reporting
+          if (!packageNameOf(specifier) && !/\.(css|s[ac]ss|less|svg|png|jpe?g|gif|json|html?)$/i.test(specifier)) {
+            unresolved.push({ file: this._relative(file), specifier, line });
+          }
+          continue;
+        }
+        if (target === file) continue;
+
+        // One edge per pair: type-only only if every import between them is
+        const key = `${file}\0${target}`;
+        const existing = edges.get(key);
+        if (existing) {
+          existing.typeOnly = existing.typeOnly && typeOnly;
+        } else {
+          edges.set(key, { from: file, to: target, specifier, kind, typeOnly, line });
+        }
+      }
+    }
+
+    return {
+      files: files.map(path => ({ path, relativePath: this._relative(path) })),
+      edges: [...edges.values()],
+      unresolved
+    };
+  }
+
+  _relative(path) {
+    return relative(this.projectPath, path).split(sep).join('/');
+  }
+}
+
+export default ModuleGraphScanner;
@@ -0,0 +1,282 @@
+// src/imports/moduleResolver.js
+/**
+ * Module Resolver
+ * Resolves the import specifiers of a JS/TS project to the project's own source files:
+ *
+ *   ./utils, ../lib/index.js    relative paths, with extensions and index files filled in
+ *   @app/models, src/config     tsconfig/jsconfig "paths" and "baseUrl"
+ *   my-package/sub, #internal   the project's own package.json "exports" and "imports" maps
+ *
+ * A ".js" specifier also finds its ".ts" source, and targets under the tsconfig "outDir"
+ * (dist/index.js) are mapped back to "rootDir". Anything else (packages, assets) does not resolve.
+ */
+
+import { readFile } from 'fs/promises';
+import { resolve, dirname, relative, sep, posix } from 'path';
+import { existsSync } from 'fs';
+import { stripComments, SOURCE_EXTENSIONS } from './javascriptImports.js';
+
+// Compiled extension → source extensions TypeScript looks for instead
+const SOURCE_OF_OUTPUT = {
+  '.js': ['.ts', '.tsx'],
+  '.jsx': ['.tsx'],
+  '.mjs': ['.mts'],
+  '.cjs': ['.cts']
+};
+
+// Export conditions in the order a bundler-less Node/TypeScript setup would try them
+const CONDITIONS = ['source', 'import', 'require', 'node', 'module', 'default'];
+
+export class ModuleResolver {
+  /**
+   * @param {string} projectPath - Project directory (holding package.json)
+   * @param {Array<string>} files - The project's source files (absolute paths); only these resolve
+   */
+  constructor(projectPath, files) {
+    this.projectPath = resolve(projectPath);
+    this.files = new Set(files.map(file => this._relative(file)));
+    this.packageJson = {};
+    // baseUrl, outDir and rootDir are absolute; pathsBase is the directory "paths" targets resolve against
+    this.compilerOptions = {};
+  }
+
+  /**
+   * Create a resolver with the project's package.json and tsconfig/jsconfig loaded
+   * @param {string} projectPath - Project directory
+   * @param {Array<string>} files - The project's source files (absolute paths)
+   * @returns {Promise<ModuleResolver>} Resolver
+   */
+  static async create(projectPath, files) {
+    const resolver = new ModuleResolver(projectPath, files);
+    resolver.packageJson = await readJsonc(resolve(resolver.projectPath, 'package.json')) || {};
+
+    for (const name of ['tsconfig.json', 'jsconfig.json']) {
+      const path = resolve(resolver.projectPath, name);
+      if (existsSync(path)) {
+        resolver.compilerOptions = await loadCompilerOptions(path);
+        break;
+      }
+    }
+
+    return resolver;
+  }
+
+  /**
+   * Resolve an import specifier
+   * @param {string} specifier - Import specifier
+   * @param {string} fromFile - Importing file (absolute path)
+   * @returns {string|null} Absolute path of the imported source file, or null
+   */
+  resolve(specifier, fromFile) {
+    const bare = specifier.replace(/[?#].*$/, '');
+
+    if (specifier.startsWith('.') || specifier.startsWith('/')) {
+      return this._resolvePath(resolve(dirname(fromFile), bare));
+    }
+
+    if (specifier.startsWith('#')) {
+      return this._resolveMap(this.packageJson.imports, specifier);
+    }
+
+    const name = this.packageJson.name;
+    if (name && (bare === name || bare.startsWith(`${name}/`)) && this.packageJson.exports) {
+      const subpath = bare === name ? '.' : `.${bare.slice(name.length)}`;
+      const found = this._resolveMap(this.packageJson.exports, subpath);
+      if (found) return found;
+    }
+
+    return this._resolveTsPaths(bare);
+  }
+
+  /**
+   * Resolve through tsconfig "paths" (longest matching prefix first), then "baseUrl" when one is declared
+   * @param {string} specifier - Bare specifier
+   * @returns {string|null} Absolute path, or null
+   */
+  _resolveTsPaths(specifier) {
+    const { paths, baseUrl, pathsBase } = this.compilerOptions;
+    const base = pathsBase || this.projectPath;
+
+    if (paths) {
+      const patterns = Object.keys(paths)
+        .map(pattern => ({ pattern, capture: matchPattern(pattern, specifier) }))
+        .filter(({ capture }) => capture !== null)
+        .sort((a, b) => b.pattern.indexOf('*') - a.pattern.indexOf('*') || b.pattern.length - a.pattern.length);
+
+      for (const { pattern, capture } of patterns) {
+        for (const target of [].concat(paths[pattern])) {
+          const found = this._resolvePath(resolve(base, target.replace('*', capture)));
+          if (found) return found;
+        }
+      }
+    }
+
+    return baseUrl ? this._resolvePath(resolve(baseUrl, specifier)) : null;
+  }
+
+  /**
+   * Resolve a subpath through an "exports" or "imports" map
+   * @param {string|object|Array} map - package.json "exports" / "imports"
+   * @param {string} subpath - "." , "./sub" or "#internal"
+   * @returns {string|null} Absolute path, or null
+   */
+  _resolveMap(map, subpath) {
+    if (!map) return null;
+
+    // "exports": "./index.js" and "exports": { "import": ... } both describe "."
+    const keyed = typeof map === 'object' && !Array.isArray(map) &&
+      Object.keys(map).some(key => key.startsWith('.') || key.startsWith('#'));
+    const entries = keyed ? map : { '.': map };
+
+    if (Object.hasOwn(entries, subpath)) {
+      return this._resolveTarget(entries[subpath], null);
+    }
+
+    // "./features/*": "./src/features/*.js" - the longest prefix before "*" wins
+    const patterns = Object.keys(entries)
+      .map(key => ({ key, capture: matchPattern(key, subpath) }))
+      .filter(({ key, capture }) => key.includes('*') && capture !== null)
+      .sort((a, b) => b.key.indexOf('*') - a.key.indexOf('*'));
+
+    for (const { key, capture } of patterns) {
+      const found = this._resolveTarget(entries[key], capture);
+      if (found) return found;
+    }
+
+    return null;
+  }
+
+  /**
+   * Resolve an exports/imports target: a path, a condition object or a fallback array
+   * @returns {string|null} Absolute path, or null
+   */
+  _resolveTarget(target, capture) {
+    if (typeof target === 'string') {
+      if (!target.startsWith('./')) return null;
+      const path = capture === null ? target : target.replaceAll('*', capture);
+      return this._resolvePath(resolve(this.projectPath, path));
+    }
+
+    if (Array.isArray(target)) {
+      for (const item of target) {
+        const found = this._resolveTarget(item, capture);
+        if (found) return found;
+      }
+      return null;
+    }
+
+    if (target && typeof target === 'object') {
+      const conditions = [
+        ...CONDITIONS.filter(condition => Object.hasOwn(target, condition)),
+        ...Object.keys(target).filter(condition => !CONDITIONS.includes(condition) && condition !== 'types')
+      ];
+      for (const condition of conditions) {
+        const found = this._resolveTarget(target[condition], capture);
+        if (found) return found;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Find the source file for a path: as is, with an extension, its TypeScript source,
+   * an index file, or its source under rootDir when it points into outDir
+   * @param {string} path - Absolute path without or with extension
+   * @returns {string|null} Absolute path of a project source file, or null
+   */
+  _resolvePath(path) {
+    const found = this._findSource(this._relative(path));
+    if (found) return resolve(this.projectPath, found);
+
+    const { outDir, rootDir } = this.compilerOptions;
+    if (outDir) {
+      const fromOut = relative(outDir, path);
+      if (!fromOut.startsWith('..')) {
+        const source = this._findSource(this._relative(resolve(rootDir || this.projectPath, fromOut)));
+        if (source) return resolve(this.projectPath, source);
+      }
+    }
+
+    return null;
+  }
+
+  _findSource(candidate) {
+    const extension = posix.extname(candidate);
+    const stem = candidate.slice(0, candidate.length - extension.length);
+    const tries = [
+      candidate,
+      ...(SOURCE_OF_OUTPUT[extension] || []).map(source => stem + source),
+      ...SOURCE_EXTENSIONS.map(ext => candidate + ext),
+      ...SOURCE_EXTENSIONS.map(ext => `${candidate}/index${ext}`)
+    ];
+    return tries.find(path => this.files.has(path)) || null;
+  }
+
+  _relative(path) {
+    return relative(this.projectPath, path).split(sep).join('/');
+  }
+}
+
+/**
+ * Match a "prefix*suffix" pattern (or an exact one) and return what "*" stands for
+ * @returns {string|null} Captured text ('' for an exact match), or null
+ */
+function matchPattern(pattern, value) {
+  const star = pattern.indexOf('*');
+  if (star === -1) return pattern === value ? '' : null;
+
+  const prefix = pattern.slice(0, star);
+  const suffix = pattern.slice(star + 1);
+  if (value.length < prefix.length + suffix.length || !value.startsWith(prefix) || !value.endsWith(suffix)) {
+    return null;
+  }
+  return value.slice(prefix.length, value.length - suffix.length);
+}
+
+/**
+ * compilerOptions of a tsconfig, following relative "extends" (paths stay relative to the file declaring them)
+ */
+async function loadCompilerOptions(path, seen = new Set()) {
+  if (seen.has(path)) return {};
+  seen.add(path);
+
+  const config = await readJsonc(path) || {};
+  const parents = [].concat(config.extends || []).filter(parent => parent.startsWith('.'));
+  let options = {};
+
+  for (const parent of parents) {
+    const parentPath = resolve(dirname(path), parent.endsWith('.json') ? parent : `${parent}.json`);
+    if (existsSync(parentPath)) {
+      options = { ...options, ...await loadCompilerOptions(parentPath, seen) };
+    }
+  }
+
+  const own = { ...(config.compilerOptions || {}) };
+  for (const key of ['baseUrl', 'outDir', 'rootDir']) {
+    if (own[key]) own[key] = resolve(dirname(path), own[key]);
+  }
+  // "paths" resolve against baseUrl, or without one against the tsconfig declaring them;
+  // only a declared baseUrl makes other bare specifiers resolve inside the project
+  const merged = { ...options, ...own };
+  if (merged.baseUrl) merged.pathsBase = merged.baseUrl;
+  else if (own.paths) merged.pathsBase = dirname(path);
+
+  return merged;
+}
+
+/**
+ * Read a JSON file that may contain comments and trailing commas
+ * @returns {Promise<object|null>} Parsed JSON, or null if missing or invalid
+ */
+async function readJsonc(path) {
+  if (!existsSync(path)) return null;
+  try {
+    const text = stripComments(await readFile(path, 'utf-8')).replace(/,(\s*[}\]])/g, '$1');
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
+
+export default ModuleResolver;
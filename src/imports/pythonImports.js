@@ -0,0 +1,383 @@
+// src/imports/pythonImports.js
+/**
+ * Python Import Scanner
+ * Reads a project's .py files and compares the distributions they import with the
+ * requirements the Python parsers extracted:
+ *
+ *   unused          declared, but never imported, run as a command or configured as a tool
+ *   phantom         imported, but not declared (a missing requirement)
+ *   devOnlyRuntime  imported by runtime code, but declared as a development dependency only
+ *
+ * Standard library modules and the project's own modules are not requirements. Import names
+ * are mapped to distributions (yaml → PyYAML) with a bundled table that
+ * "pythonModules" in .depanalyzerrc.json extends or overrides.
+ */
+
+import { readFile, readdir } from 'fs/promises';
+import { resolve, relative, sep, basename, dirname } from 'path';
+import { existsSync } from 'fs';
+import { parse as parseToml } from 'smol-toml';
+import { findSourceFiles } from './sourceFiles.js';
+import { STDLIB_MODULES, IMPORT_DISTRIBUTIONS } from './pythonModules.js';
+import { normalizeName } from '../parsers/pep508.js';
+
+// Manifests that mark a nested Python project
+const PYTHON_MANIFESTS = ['pyproject.toml', 'setup.py', 'setup.cfg', 'Pipfile', 'requirements.txt'];
+
+// Tests, docs, build and task scripts: their imports do not run in production
+const DEV_FILE_PATTERNS = [
+  /(^|\/)(tests?|testing|docs|examples|scripts|benchmarks)\//,
+  /(^|\/)(test_[^/]*|[^/]*_test|conftest|setup|noxfile|fabfile|tasks)\.py$/
+];
+
+// Files that run commands (gunicorn app:app, pytest -x)
+const COMMAND_FILES = ['Makefile', 'Procfile', 'Dockerfile', 'tox.ini', 'justfile', '.pre-commit-config.yaml'];
+
+// Files that configure tools ([tool.black], [mypy], [flake8])
+const CONFIG_FILES = ['setup.cfg', 'pytest.ini', 'mypy.ini', '.flake8', '.pylintrc', '.coveragerc', 'ruff.toml'];
+
+/**
+ * Blank out comments and string contents, keeping offsets and line breaks
+ * @param {string} source - Python source
+ * @returns {string} Source whose strings hold only spaces between their quotes
+ */
+export function stripStringsAndComments(source) {
+  let output = '';
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+
+    if (char === '#') {
+      const end = source.indexOf('\n', i);
+      const stop = end === -1 ? source.length : end;
+      output += ' '.repeat(stop - i);
+      i = stop;
+    } else if (char === '"' || char === '\'') {
+      const quote = source.startsWith(char.repeat(3), i) ? char.repeat(3) : char;
+      let j = i + quote.length;
+      while (j < source.length && !source.startsWith(quote, j)) {
+        if (source[j] === '\\') j++;
+        else if (source[j] === '\n' && quote.length === 1) break;
+        j++;
+      }
+      const closed = source.startsWith(quote, j);
+      output += quote + source.slice(i + quote.length, Math.min(j, source.length)).replace(/[^\n]/g, ' ');
+      if (closed) output += quote;
+      i = closed ? j + quote.length : Math.min(j, source.length);
+    } else {
+      output += char;
+      i++;
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Find the absolute imports of a module
+ * Relative imports (from . import x) are local by definition and left out.
+ * @param {string} source - Python source
+ * @returns {Array<object>} [{ module, line }] with the full dotted module name
+ */
+export function extractPythonImports(source) {
+  const code = stripStringsAndComments(source);
+  const imports = [];
+
+  // importlib.import_module('x') / __import__('x') name their module in a string
+  for (const match of code.matchAll(/(?<![\w.])(?:importlib\.import_module|import_module|__import__)\s*\(\s*(['"])/g)) {
+    const start = match.index + match[0].length;
+    const literal = source.slice(start).match(/^([\w.]+)['"]/);
+    if (literal && !literal[1].startsWith('.')) {
+      imports.push({ module: literal[1], line: lineAt(code, match.index) });
+    }
+  }
+
+  // Join "\" continuations so "import a, \<newline> b" is one statement
+  const lines = code.replace(/\\\r?\n/g, ' \u0000').split('\n');
+  let lineNumber = 0;
+
+  for (const physical of lines) {
+    const line = lineNumber + 1;
+    lineNumber += 1 + (physical.match(/\u0000/g) || []).length;
+
+    for (const statement of physical.replace(/\u0000/g, '').split(';')) {
+      const text = statement.trim();
+
+      const plain = text.match(/^import\s+(.+)$/);
+      if (plain) {
+        plain[1].split(',')
+          .map(part => part.trim().split(/\s+as\s+/)[0].trim())
+          .filter(module => /^[A-Za-z_][\w.]*$/.test(module))
+          .forEach(module => imports.push({ module, line }));
+        continue;
+      }
+
+      const from = text.match(/^from\s+(\.*)([\w.]*)\s+import\b/);
+      if (from && !from[1] && from[2]) {
+        imports.push({ module: from[2], line });
+      }
+    }
+  }
+
+  return imports.sort((a, b) => a.line - b.line);
+}
+
+/**
+ * Check whether a file only runs during development (tests, docs, setup, task scripts)
+ * @param {string} relativePath - Forward-slash path relative to the project
+ * @returns {boolean} True for development files
+ */
+export function isDevFile(relativePath) {
+  return DEV_FILE_PATTERNS.some(pattern => pattern.test(relativePath));
+}
+
+export class PythonImportScanner {
+  static language = 'python';
+
+  /**
+   * @param {string} projectPath - Project directory
+   * @param {object} options - { ignore: extra glob patterns, config: loaded .depanalyzerrc.json }
+   */
+  constructor(projectPath, options = {}) {
+    this.projectPath = resolve(projectPath);
+    this.ignore = options.ignore || [];
+    this.distributions = { ...IMPORT_DISTRIBUTIONS, ...(options.config?.pythonModules || {}) };
+  }
+
+  /**
+   * Collect the modules the project's sources import, minus the standard library and local modules
+   * A local module never hides a declared distribution of the same name: proj/celery.py
+   * importing celery means the installed package.
+   * @param {Map} declaredTypes - Declared distributions (normalized names)
+   * @returns {Promise<object>} { files, local, imports: Map(module → { files, runtimeFiles }) }
+   */
+  async scan(declaredTypes = new Map()) {
+    const files = await findSourceFiles(this.projectPath, {
+      extensions: ['.py'],
+      manifests: PYTHON_MANIFESTS,
+      ignore: this.ignore
+    });
+    const local = await this._localModules();
+    const siblings = new Map();
+    const imports = new Map();
+
+    for (const file of files) {
+      const relativePath = relative(this.projectPath, file).split(sep).join('/');
+      const devFile = isDevFile(relativePath);
+
+      // Scripts run from their own directory import their siblings by name, but not themselves
+      const directory = dirname(file);
+      if (!siblings.has(directory)) siblings.set(directory, await this._modulesIn(directory));
+      const isSibling = name => siblings.get(directory).has(name) && name !== basename(file, '.py');
+
+      for (const { module } of extractPythonImports(await readFile(file, 'utf-8'))) {
+        const top = module.split('.')[0];
+        if (STDLIB_MODULES.has(top)) continue;
+        if ((local.has(top) || isSibling(top)) &&
+            !declaredTypes.has(normalizeName(this._distributionOf(module, declaredTypes)))) continue;
+
+        if (!imports.has(module)) imports.set(module, { files: new Set(), runtimeFiles: new Set() });
+        const entry = imports.get(module);
+        entry.files.add(relativePath);
+        if (!devFile) entry.runtimeFiles.add(relativePath);
+      }
+    }
+
+    return { files: files.length, local, imports };
+  }
+
+  /**
+   * Compare the imports with the declared requirements
+   * @param {object} parsedData - Parsed project from a Python parser
+   * @returns {Promise<object>} Usage report (same shape as JavaScriptImportScanner.analyze):
+   *   { project, language, filesScanned, dependencies, unused, phantom, devOnlyRuntime }
+   */
+  async analyze(parsedData) {
+    const declared = parsedData.dependencies.filter(dep => (dep.language || parsedData.language) === 'python');
+    const declaredTypes = new Map();
+    declared.forEach(dep => {
+      const key = normalizeName(dep.name);
+      if (!declaredTypes.has(key)) declaredTypes.set(key, new Set());
+      declaredTypes.get(key).add(dep.type || 'production');
+    });
+
+    const { files, imports } = await this.scan(declaredTypes);
+    const references = await this._references();
+
+    // Distribution (normalized) → files importing it
+    const used = new Map();
+    const missing = new Map();
+    for (const [module, entry] of imports) {
+      const distribution = this._distributionOf(module, declaredTypes);
+      const key = normalizeName(distribution);
+      const target = declaredTypes.has(key) ? used : missing;
+
+      if (!target.has(key)) target.set(key, { name: distribution, files: new Set(), runtimeFiles: new Set() });
+      entry.files.forEach(file => target.get(key).files.add(file));
+      entry.runtimeFiles.forEach(file => target.get(key).runtimeFiles.add(file));
+    }
+
+    const dependencies = declared.map(dep => {
+      const key = normalizeName(dep.name);
+      const imported = used.get(key);
+      const usedVia = imported ? 'import' : this._usedVia(key, { references, used });
+      const runtime = Boolean(imported && imported.runtimeFiles.size > 0);
+      const devOnly = [...declaredTypes.get(key)].every(type => type === 'development');
+
+      return {
+        name: dep.name,
+        type: dep.type || 'production',
+        used: usedVia !== null,
+        usedVia,
+        files: imported ? [...imported.files] : [],
+        runtime,
+        devOnlyRuntime: runtime && devOnly
+      };
+    });
+
+    const ownName = normalizeName(parsedData.projectName);
+    const phantom = [...missing.entries()]
+      .filter(([key]) => key !== ownName)
+      .map(([, entry]) => ({ name: entry.name, files: [...entry.files], runtime: entry.runtimeFiles.size > 0 }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+
+    return {
+      project: parsedData.projectName,
+      language: 'python',
+      filesScanned: files,
+      dependencies,
+      // Editable installs and URL requirements of local code are not imported by name
+      unused: dependencies
+        .filter(dep => !dep.used && ['production', 'development'].includes(dep.type))
+        .filter(dep => !declared.find(d => d.name === dep.name)?.editable)
+        .map(({ name, type }) => ({ name, type })),
+      phantom,
+      devOnlyRuntime: dependencies
+        .filter(dep => dep.devOnlyRuntime)
+        .map(({ name }) => ({ name, files: [...used.get(normalizeName(name)).runtimeFiles] }))
+    };
+  }
+
+  /**
+   * Distribution that provides an imported module
+   * Tries the table and the declared names from the longest dotted prefix down
+   * (azure.storage.blob → azure-storage-blob), then falls back to the top-level name.
+   * @param {string} module - Dotted module name
+   * @param {Map} declaredTypes - Declared distributions (normalized names)
+   * @returns {string} Distribution name
+   */
+  _distributionOf(module, declaredTypes) {
+    const parts = module.split('.');
+
+    for (let length = parts.length; length > 0; length--) {
+      const prefix = parts.slice(0, length).join('.');
+      const mapped = this.distributions[prefix];
+      if (mapped) {
+        const candidates = [].concat(mapped);
+        return candidates.find(name => declaredTypes.has(normalizeName(name))) || candidates[0];
+      }
+      if (declaredTypes.has(normalizeName(prefix))) {
+        return prefix.replace(/\./g, '-');
+      }
+    }
+
+    return parts[0];
+  }
+
+  /**
+   * How a requirement that is never imported is still used
+   * @returns {string|null} 'script', 'config', 'types', or null when unused
+   */
+  _usedVia(key, { references, used }) {
+    // types-requests and requests-stubs type a package that is imported
+    const typed = key.match(/^types-(.+)$/)?.[1] || key.match(/^(.+)-stubs$/)?.[1];
+    if (typed) return used.has(typed) ? 'types' : null;
+
+    const pattern = new RegExp(`(^|[^\\w-])${key.replace(/-/g, '[-_.]')}([^\\w-]|$)`, 'im');
+    if (pattern.test(references.commands)) return 'script';
+    if (pattern.test(references.config)) return 'config';
+    return null;
+  }
+
+  /**
+   * Text of the files that run commands, and of the tool configuration
+   * (pyproject.toml [tool.*] tables and scripts, without its dependency lists)
+   * @returns {Promise<object>} { commands, config }
+   */
+  async _references() {
+    const read = async name => {
+      const path = resolve(this.projectPath, name);
+      return existsSync(path) ? await readFile(path, 'utf-8') : '';
+    };
+
+    const commands = (await Promise.all(COMMAND_FILES.map(read))).join('\n');
+    const config = [];
+
+    for (const name of CONFIG_FILES) {
+      // setup.cfg's [options] sections list the requirements themselves
+      config.push((await read(name)).replace(/^\[options[^\]]*\][\s\S]*?(?=^\[|(?![\s\S]))/gm, ''));
+    }
+
+    const pyprojectText = await read('pyproject.toml');
+    if (pyprojectText) {
+      try {
+        const pyproject = parseToml(pyprojectText);
+        const { poetry = {}, ...tools } = pyproject.tool || {};
+        const { dependencies, group, 'dev-dependencies': devDependencies, ...poetrySettings } = poetry;
+        config.push(
+          Object.keys(tools).map(tool => `[tool.${tool}]`).join('\n'),
+          JSON.stringify(tools),
+          JSON.stringify(poetrySettings),
+          JSON.stringify(pyproject.project?.scripts || {}),
+          JSON.stringify(pyproject.project?.['entry-points'] || {})
+        );
+      } catch {
+        // An invalid pyproject.toml already failed to parse as a manifest
+      }
+    }
+
+    return { commands, config: config.join('\n') };
+  }
+
+  /**
+   * Top-level modules the project defines itself: .py files and package directories
+   * at the project root and in a src/ layout
+   * @returns {Promise<Set<string>>} Module names
+   */
+  async _localModules() {
+    const local = new Set();
+
+    for (const base of [this.projectPath, resolve(this.projectPath, 'src')]) {
+      (await this._modulesIn(base)).forEach(name => local.add(name));
+    }
+
+    return local;
+  }
+
+  /**
+   * Modules importable by name from a directory: its .py files and subdirectories
+   * @param {string} directory - Directory
+   * @returns {Promise<Set<string>>} Module names
+   */
+  async _modulesIn(directory) {
+    const modules = new Set();
+    if (!existsSync(directory)) return modules;
+
+    for (const entry of await readdir(directory, { withFileTypes: true })) {
+      if (entry.isFile() && entry.name.endsWith('.py')) {
+        modules.add(basename(entry.name, '.py'));
+      } else if (entry.isDirectory() && !entry.name.startsWith('.')) {
+        modules.add(entry.name);
+      }
+    }
+
+    return modules;
+  }
+}
+
+function lineAt(code, offset) {
+  return code.slice(0, offset).split('\n').length;
+}
+
+export default PythonImportScanner;
@@ -0,0 +1,24 @@
+// src/imports/scanners.js
+/**
+ * Import Scanners
+ * Source import scanner of each parser language; languages without one are not scanned
+ */
+
+import JavaScriptImportScanner from './javascriptImports.js';
+import PythonImportScanner from './pythonImports.js';
+
+const SCANNERS = {
+  javascript: JavaScriptImportScanner,
+  python: PythonImportScanner
+};
+
+/**
+ * Import scanner for a project language
+ * @param {string} language - Parser language ('javascript', 'python', ...)
+ * @returns {Function|null} Scanner class, or null if the language is not scanned
+ */
+export function importScannerFor(language) {
+  return SCANNERS[language] || null;
+}
+
+export default { importScannerFor };
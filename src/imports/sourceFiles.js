@@ -0,0 +1,71 @@
+// src/imports/sourceFiles.js
+/**
+ * Source Files
+ * Finds the source files that belong to one project: everything below its directory,
+ * except ignored directories and nested projects (directories with their own manifest)
+ */
+
+import { readdir } from 'fs/promises';
+import { resolve, relative, sep } from 'path';
+import { DEFAULT_IGNORES } from '../parsers/manifestScanner.js';
+import { matchesAny } from '../utils/glob.js';
+
+// Build output and caches that hold copies of sources rather than sources
+export const SOURCE_IGNORES = [
+  ...DEFAULT_IGNORES,
+  'build',
+  'coverage',
+  'out',
+  '.next',
+  '.nuxt',
+  '.turbo',
+  'venv',
+  '__pycache__',
+  '.tox',
+  '.mypy_cache',
+  '.pytest_cache',
+  '*.egg-info'
+];
+
+/**
+ * Find a project's source files
+ * @param {string} projectPath - Project directory
+ * @param {object} options - Search options
+ * @param {Array<string>} options.extensions - File extensions to collect (e.g. ['.js', '.ts'])
+ * @param {Array<string>} options.manifests - Manifest names that mark a nested project
+ * @param {Array<string>} options.ignore - Extra glob patterns to skip
+ * @returns {Promise<Array<string>>} Absolute file paths, sorted
+ */
+export async function findSourceFiles(projectPath, { extensions, manifests = [], ignore = [] }) {
+  const root = resolve(projectPath);
+  const patterns = [...SOURCE_IGNORES, ...ignore];
+  const namePatterns = patterns.filter(pattern => !pattern.includes('/'));
+  const files = [];
+
+  async function walk(dir) {
+    const entries = await readdir(dir, { withFileTypes: true });
+
+    if (dir !== root && entries.some(entry => entry.isFile() && manifests.includes(entry.name))) {
+      return;
+    }
+
+    for (const entry of entries) {
+      const path = resolve(dir, entry.name);
+      const relativePath = relative(root, path).split(sep).join('/');
+
+      // Patterns without a slash match names anywhere, like the manifest scanner's
+      if (matchesAny(entry.name, namePatterns) || matchesAny(relativePath, patterns)) continue;
+
+      if (entry.isDirectory()) {
+        await walk(path);
+      } else if (entry.isFile() && extensions.some(extension => entry.name.endsWith(extension))) {
+        files.push(path);
+      }
+    }
+  }
+
+  await walk(root);
+  return files.sort();
+}
+
+export default { SOURCE_IGNORES, findSourceFiles };
@@ -5,26 +5,28 @@
  */
 
 import { writeFile, mkdir } from 'fs/promises';
-import { resolve } from 'path';
-import { existsSync } from 'fs';
+import { resolve, relative } from 'path';
 import Neo4jClient from './graph/neo4jClient.js';
 import GraphBuilder from './graph/builder.js';
 import JavaScriptParser from './parsers/javascriptParser.js';
-import PythonParser from './parsers/pythonParser.js';
+import ParserRegistry from './parsers/parserRegistry.js';
+import ManifestScanner from './parsers/manifestScanner.js';
+import { importScannerFor } from './imports/scanners.js';
+import ModuleGraphScanner from './imports/moduleGraph.js';
+import DependencyUsageAnalyzer from './analysis/dependencyUsage.js';
+import { findWorkspacePackages } from './utils/workspace.js';
+import { ecosystemFor } from './utils/ecosystem.js';
+import { loadConfig } from './utils/config.js';
 import logger from './utils/logger.js';
 
 /**
- * Analyze a project and load dependencies into Neo4j
- * @param {string} projectPath - Path to project directory
- * @param {object} options - Analysis options
+ * Connect to Neo4j, exiting with troubleshooting hints on failure
+ * @returns {Promise<Neo4jClient>} Connected client
  */
-async function analyzeProject(projectPath, options = {}) {
-  logger.header('Dependency Analyzer');
-
-  // Initialize Neo4j client
+async function connectClient() {
   logger.info('Connecting to Neo4j...');
   const client = new Neo4jClient();
-  
+
   try {
     await client.connect();
   } catch (error) {
@@ -37,78 +39,142 @@ async function analyzeProject(projectPath, options = {}) {
     process.exit(1);
   }
 
+  return client;
+}
+
+/**
+ * Clear the database and recreate constraints
+ * @param {Neo4jClient} client - Connected Neo4j client
+ */
+async function resetDatabase(client) {
+  logger.section('Clearing database...');
+  await client.clearDatabase();
+  await client.createConstraints();
+}
+
+/**
+ * Print node and relationship counts for the whole database
+ * @param {Neo4jClient} client - Connected Neo4j client
+ */
+async function printDatabaseStats(client) {
+  const dbStats = await client.getStats();
+  logger.header('Database Statistics');
+  console.log(`  Total Projects: ${dbStats.projects}`);
+  console.log(`  Total Packages: ${dbStats.packages}`);
+  console.log(`  Total Package Versions: ${dbStats.versions}`);
+  console.log(`  Total Dependencies: ${dbStats.dependencies}`);
+  console.log(`  Total Files: ${dbStats.files}`);
+}
+
+/**
+ * Scan the projects' source imports and record declared / used / phantom dependencies
+ * @param {Neo4jClient} client - Connected Neo4j client
+ * @param {GraphBuilder} builder - Graph builder
+ * @param {Array<object>} projects - Parsed projects already in the graph
+ * @param {object} options - { ignore: extra glob patterns to skip, config: explicit config file }
+ */
+async function scanImports(client, builder, projects, options = {}) {
+  logger.section('Scanning source imports...');
+  const reports = [];
+
+  for (const project of projects) {
+    const Scanner = importScannerFor(project.language);
+    if (!Scanner) continue;
+
+    // "pythonModules" and other scanner settings come from the project's nearest config file
+    const { config } = await loadConfig(project.projectPath, options.config);
+    const report = await new Scanner(project.projectPath, { ignore: options.ignore, config }).analyze(project);
+    await builder.recordImportUsage(project.projectName, report);
+    logger.success(`Scanned ${report.filesScanned} source files of ${project.projectName}`);
+    reports.push(report);
+  }
+
+  new DependencyUsageAnalyzer(client).printReport(reports);
+}
+
+/**
+ * Deep mode: record the file-level import graph (File nodes, IMPORTS edges) of JS/TS projects
+ * @param {GraphBuilder} builder - Graph builder
+ * @param {Array<object>} projects - Parsed projects already in the graph
+ * @param {object} options - { ignore: extra glob patterns to skip }
+ */
+async function buildModuleGraphs(builder, projects, options = {}) {
+  logger.section('Building module graphs...');
+
+  for (const project of projects) {
+    if (project.language !== ModuleGraphScanner.language) continue;
+
+    const graph = await new ModuleGraphScanner(project.projectPath, { ignore: options.ignore }).scan();
+    const counts = await builder.buildFileGraph(project.projectName, graph, project.language);
+    logger.success(`${project.projectName}: ${counts.files} modules, ${counts.imports} imports`);
+
+    if (graph.unresolved.length > 0) {
+      logger.warning(`${graph.unresolved.length} local imports of ${project.projectName} did not resolve:`);
+      graph.unresolved.slice(0, 5).forEach(({ file, specifier, line }) => {
+        console.log(`  ${file}:${line} → ${specifier}`);
+      });
+    }
+  }
+}
+
+/**
+ * Analyze a project and load dependencies into Neo4j
+ * @param {string} projectPath - Path to project directory
+ * @param {object} options - Analysis options
+ */
+async function analyzeProject(projectPath, options = {}) {
+  logger.header('Dependency Analyzer');
+
+  const client = await connectClient();
+
   try {
     // Clear database if requested
     if (options.clear) {
-      logger.section('Clearing database...');
-      await client.clearDatabase();
-      await client.createConstraints();
+      await resetDatabase(client);
     }
 
-    // Detect project type and parse
+    // Detect project types and parse; a directory may hold several ecosystems
     logger.section(`Parsing project: ${projectPath}`);
-    let parsedData;
-    let parser;
-
-    if (existsSync(resolve(projectPath, 'package.json'))) {
-      parser = new JavaScriptParser(projectPath);
-      parsedData = await parser.parse();
-    } else if (existsSync(resolve(projectPath, 'requirements.txt'))) {
-      parser = new PythonParser(projectPath);
-      parsedData = await parser.parse();
-    } else {
-      throw new Error('No package.json or requirements.txt found in project');
+    const registry = await ParserRegistry.create(projectPath, options.config);
+    const Parsers = registry.detect(projectPath);
+
+    if (Parsers.length === 0) {
+      throw new Error(`No supported manifest (${[...registry.manifests()].join(', ')}) found in project`);
     }
 
-    parser.printSummary(parsedData);
+    // Workspace and multi-module manifests (Cargo, Maven, Gradle) yield one project per member
+    const projects = [];
+    for (const Parser of Parsers) {
+      const parser = new Parser(projectPath);
+      const parsedData = [].concat(await parser.parse());
+      parsedData.forEach(project => parser.printSummary(project));
+      projects.push(...parsedData);
+    }
 
     // Build graph
     logger.section('Building dependency graph in Neo4j...');
     const builder = new GraphBuilder(client);
-    await builder.buildProjectGraph(parsedData);
-
-    // Link packages together for circular dependency detection
-    await builder.linkPackageDependencies();
+    for (const project of projects) {
+      await builder.buildProjectGraph(project);
+    }
 
-    // Query and display results
-    logger.header('Querying Dependencies from Neo4j');
-    const deps = await builder.getProjectDependencies(parsedData.projectName);
-    
-    console.log(`\nFound ${deps.length} dependencies:\n`);
-    
-    // Group by type
-    const byType = {};
-    deps.forEach(dep => {
-      if (!byType[dep.type]) byType[dep.type] = [];
-      byType[dep.type].push(dep);
-    });
+    if (options.imports) {
+      await scanImports(client, builder, projects, { ignore: options.ignore, config: options.config });
+    }
 
-    // Display grouped dependencies
-    Object.entries(byType).forEach(([type, typeDeps]) => {
-      console.log(`  ${type.toUpperCase()}:`);
-      typeDeps.forEach(dep => {
-        console.log(`    - ${dep.name} ${dep.constraint}`);
-      });
-      console.log();
-    });
+    if (options.deep) {
+      await buildModuleGraphs(builder, projects, { ignore: options.ignore });
+    }
 
-    // Show dependency stats
-    const stats = await builder.getDependencyStats(parsedData.projectName);
-    logger.section('Dependency Statistics:');
-    Object.entries(stats).forEach(([type, count]) => {
-      console.log(`  ${type}: ${count}`);
-    });
+    // Link packages together for circular dependency detection
+    await builder.linkPackageDependencies();
 
-    // Generate visualization query
-    builder.visualizeProjectGraph(parsedData.projectName);
+    for (const project of projects) {
+      await printProjectResults(builder, project);
+    }
 
     // Show database stats
-    const dbStats = await client.getStats();
-    logger.header('Database Statistics');
-    console.log(`  Total Projects: ${dbStats.projects}`);
-    console.log(`  Total Packages: ${dbStats.packages}`);
-    console.log(`  Total Dependencies: ${dbStats.dependencies}`);
-    console.log(`  Total Files: ${dbStats.files}`);
+    await printDatabaseStats(client);
 
     logger.success('\nAnalysis complete!');
     console.log('\nNext steps:');
@@ -124,6 +190,175 @@ async function analyzeProject(projectPath, options = {}) {
   }
 }
 
+/**
+ * Print a loaded project's dependencies and statistics as stored in Neo4j
+ * @param {GraphBuilder} builder - Graph builder
+ * @param {object} project - Parsed project data
+ */
+async function printProjectResults(builder, project) {
+  const { projectName } = project;
+  const ecosystem = ecosystemFor(project.language);
+
+  logger.header(`Querying Dependencies from Neo4j: ${projectName} (${ecosystem})`);
+  const deps = await builder.getProjectDependencies(projectName, ecosystem);
+  
+  console.log(`\nFound ${deps.length} dependencies:\n`);
+  
+  // Group by type
+  const byType = {};
+  deps.forEach(dep => {
+    if (!byType[dep.type]) byType[dep.type] = [];
+    byType[dep.type].push(dep);
+  });
+
+  // Display grouped dependencies
+  Object.entries(byType).forEach(([type, typeDeps]) => {
+    console.log(`  ${type.toUpperCase()}:`);
+    typeDeps.forEach(dep => {
+      const installed = dep.resolvedVersion ? ` (installed ${dep.resolvedVersion})` : '';
+      console.log(`    - ${dep.name} ${dep.constraint}${installed}`);
+    });
+    console.log();
+  });
+
+  // Show dependency stats
+  const stats = await builder.getDependencyStats(projectName, ecosystem);
+  logger.section('Dependency Statistics:');
+  Object.entries(stats).forEach(([type, count]) => {
+    console.log(`  ${type}: ${count}`);
+  });
+
+  // Generate visualization query
+  builder.visualizeProjectGraph(projectName, ecosystem);
+}
+
+/**
+ * Analyze every member package of a monorepo in a single connection
+ * @param {string} rootPath - Path to the workspace root
+ * @param {object} options - Analysis options
+ */
+async function analyzeWorkspace(rootPath, options = {}) {
+  logger.header('Dependency Analyzer - Workspace');
+
+  const workspace = await findWorkspacePackages(rootPath);
+  if (workspace.sources.length === 0) {
+    throw new Error('No workspaces, pnpm-workspace.yaml or lerna.json found in workspace root');
+  }
+  if (workspace.packages.length === 0) {
+    throw new Error(`No packages matched workspace patterns: ${workspace.patterns.join(', ')}`);
+  }
+
+  logger.info(`Workspace root: ${workspace.root}`);
+  logger.info(`Configuration: ${workspace.sources.join(', ')}`);
+  logger.success(`Found ${workspace.packages.length} workspace packages`);
+
+  const client = await connectClient();
+
+  try {
+    if (options.clear) {
+      await resetDatabase(client);
+    }
+
+    const builder = new GraphBuilder(client);
+    const loaded = [];
+
+    for (const packagePath of workspace.packages) {
+      logger.section(`Parsing package: ${relative(workspace.root, packagePath)}`);
+      const parser = new JavaScriptParser(packagePath);
+      const parsedData = await parser.parse();
+
+      await builder.buildProjectGraph(parsedData);
+      loaded.push(parsedData);
+    }
+
+    if (options.imports) {
+      await scanImports(client, builder, loaded, { ignore: options.ignore, config: options.config });
+    }
+
+    if (options.deep) {
+      await buildModuleGraphs(builder, loaded, { ignore: options.ignore });
+    }
+
+    // Link once all members exist so every internal edge is found
+    logger.section('Linking workspace packages...');
+    await builder.linkPackageDependencies();
+
+    logger.header('Workspace Summary');
+    loaded.forEach(parsedData => {
+      console.log(`  ${parsedData.projectName}: ${parsedData.totalDependencies} dependencies`);
+    });
+
+    await printDatabaseStats(client);
+
+    logger.success(`\nLoaded ${loaded.length} workspace packages!`);
+
+  } catch (error) {
+    logger.error(`\nWorkspace analysis failed: ${error.message}`);
+    throw error;
+  } finally {
+    await client.close();
+  }
+}
+
+/**
+ * Recursively find and analyze every manifest below a directory
+ * @param {string} rootPath - Directory to scan
+ * @param {object} options - Analysis options
+ */
+async function analyzeScan(rootPath, options = {}) {
+  logger.header('Dependency Analyzer - Recursive Scan');
+
+  const registry = await ParserRegistry.create(rootPath, options.config);
+  const scanner = new ManifestScanner(rootPath, { ignore: options.ignore, registry });
+  logger.info(`Scanning ${scanner.rootPath} for manifests...`);
+
+  const manifests = await scanner.scan();
+  if (manifests.length === 0) {
+    throw new Error(`No supported manifests found below ${scanner.rootPath}`);
+  }
+
+  const results = await scanner.parseAll(manifests);
+  scanner.printSummary(results);
+
+  if (results.projects.length === 0) {
+    throw new Error('None of the manifests found could be parsed');
+  }
+
+  const client = await connectClient();
+
+  try {
+    if (options.clear) {
+      await resetDatabase(client);
+    }
+
+    logger.section('Building dependency graph in Neo4j...');
+    const builder = new GraphBuilder(client);
+    for (const { parsedData } of results.projects) {
+      await builder.buildProjectGraph(parsedData);
+    }
+
+    if (options.imports) {
+      await scanImports(client, builder, results.projects.map(({ parsedData }) => parsedData), { ignore: options.ignore, config: options.config });
+    }
+
+    if (options.deep) {
+      await buildModuleGraphs(builder, results.projects.map(({ parsedData }) => parsedData), { ignore: options.ignore });
+    }
+
+    await builder.linkPackageDependencies();
+
+    await printDatabaseStats(client);
+
+    logger.success(`\nLoaded ${results.projects.length} projects!`);
+
+  } catch (error) {
+    logger.error(`\nScan analysis failed: ${error.message}`);
+    throw error;
+  } finally {
+    await client.close();
+  }
+}
+
 /**
  * Create a sample JavaScript project for testing
  * @returns {Promise<string>} Path to sample project
@@ -225,6 +460,12 @@ function parseArgs() {
   const args = process.argv.slice(2);
   const options = {
     projectPath: null,
+    workspace: null,
+    scan: null,
+    ignore: [],
+    config: null,
+    imports: false,
+    deep: false,
     clear: false,
     sampleJs: false,
     samplePy: false,
@@ -236,6 +477,18 @@ function parseArgs() {
     
     if (arg === '--clear') {
       options.clear = true;
+    } else if (arg === '--workspace') {
+      options.workspace = args[++i] || null;
+    } else if (arg === '--scan') {
+      options.scan = args[++i] || null;
+    } else if (arg === '--ignore') {
+      if (args[i + 1]) options.ignore.push(args[++i]);
+    } else if (arg === '--config') {
+      options.config = args[++i] || null;
+    } else if (arg === '--imports') {
+      options.imports = true;
+    } else if (arg === '--deep') {
+      options.deep = true;
     } else if (arg === '--sample' || arg === '--sample-js') {
       options.sampleJs = true;
     } else if (arg === '--sample-py') {
@@ -263,6 +516,12 @@ Arguments:
   path              Path to project directory
 
 Options:
+  --workspace <root> Load every package of an npm/yarn/pnpm/lerna workspace
+  --scan <root>     Recursively find and load every supported manifest
+  --ignore <glob>   Skip matching paths during --scan, --imports and --deep (repeatable)
+  --config <file>   Config file with parser plugins (default: nearest .depanalyzerrc.json)
+  --imports         Scan source imports for unused, phantom and dev-only-at-runtime dependencies
+  --deep            Also load the file-level import graph of JS/TS projects (File nodes, IMPORTS edges)
   --clear           Clear database before loading
   --sample          Create and analyze sample JavaScript project
   --sample-js       Create and analyze sample JavaScript project
@@ -272,6 +531,10 @@ Options:
 Examples:
   node src/index.js /path/to/project
   node src/index.js /path/to/project --clear
+  node src/index.js --workspace /path/to/monorepo --clear
+  node src/index.js --scan /path/to/repo --ignore "**/fixtures" --clear
+  node src/index.js /path/to/project --imports
+  node src/index.js /path/to/project --deep
   node src/index.js --sample
   node src/index.js --sample-py --clear
 
@@ -295,6 +558,30 @@ async function main() {
   try {
     let projectPath;
 
+    // Load a whole monorepo in one run
+    if (options.workspace) {
+      await analyzeWorkspace(options.workspace, {
+        clear: options.clear,
+        ignore: options.ignore,
+        config: options.config,
+        imports: options.imports,
+        deep: options.deep
+      });
+      return;
+    }
+
+    // Walk a polyglot tree for manifests at any depth
+    if (options.scan) {
+      await analyzeScan(options.scan, {
+        clear: options.clear,
+        ignore: options.ignore,
+        config: options.config,
+        imports: options.imports,
+        deep: options.deep
+      });
+      return;
+    }
+
     // Handle sample projects
     if (options.sampleJs) {
       projectPath = await createSampleJavaScriptProject();
@@ -308,7 +595,13 @@ async function main() {
     }
 
     // Analyze project
-    await analyzeProject(projectPath, { clear: options.clear });
+    await analyzeProject(projectPath, {
+      clear: options.clear,
+      ignore: options.ignore,
+      config: options.config,
+      imports: options.imports,
+      deep: options.deep
+    });
 
   } catch (error) {
     if (error.code === 'ENOENT') {
@@ -0,0 +1,350 @@
+// src/parsers/cargoParser.js
+/**
+ * Cargo Parser
+ * Parses Cargo.toml files (single crates and workspaces) to extract dependencies
+ */
+
+import { readFile } from 'fs/promises';
+import { resolve, basename, dirname } from 'path';
+import { existsSync } from 'fs';
+import { parse as parseToml } from 'smol-toml';
+import CargoLockParser from './lockfiles/cargoLockParser.js';
+import { countEdges } from './lockfiles/resolvedTree.js';
+import { resolveLockfile, applyResolvedRoots } from './lockfiles/lockfileResolver.js';
+import { findCargoMembers } from '../utils/workspace.js';
+import logger from '../utils/logger.js';
+
+const LOCKFILES = [
+  ['Cargo.lock', CargoLockParser]
+];
+
+// Dependency table → dependency type
+const DEPENDENCY_TABLES = {
+  'dependencies': 'production',
+  'dev-dependencies': 'development',
+  'build-dependencies': 'build'
+};
+
+class CargoParser {
+  static language = 'rust';
+  static manifests = ['Cargo.toml'];
+  static priority = 10;
+
+  /**
+   * Check whether a directory holds a project this parser reads
+   * @param {string} dir - Directory to check
+   * @returns {boolean} True if Cargo.toml exists
+   */
+  static detect(dir) {
+    return existsSync(resolve(dir, 'Cargo.toml'));
+  }
+
+  constructor(projectPath) {
+    this.projectPath = resolve(projectPath);
+    this.projectName = basename(this.projectPath);
+  }
+
+  /**
+   * Parse Cargo dependencies
+   * A workspace root yields one project per member crate (plus the root crate, if any)
+   * @returns {Promise<object|Array<object>>} Parsed project, or projects for a workspace
+   */
+  async parse() {
+    const manifestPath = resolve(this.projectPath, 'Cargo.toml');
+
+    if (!existsSync(manifestPath)) {
+      throw new Error(`No Cargo.toml found in ${this.projectPath}`);
+    }
+
+    const manifest = await readManifest(manifestPath);
+
+    if (!manifest.workspace) {
+      const workspaceRoot = await findWorkspaceRoot(this.projectPath);
+      return await this._parseCrate(manifestPath, manifest, workspaceRoot);
+    }
+
+    const members = await findCargoMembers(this.projectPath, manifest.workspace);
+    const workspaceRoot = { path: this.projectPath, manifest };
+    const projects = [];
+
+    // Virtual manifests have no [package] of their own
+    if (manifest.package) {
+      projects.push(await this._parseCrate(manifestPath, manifest, workspaceRoot));
+    }
+
+    for (const memberPath of members) {
+      if (memberPath === this.projectPath) continue;
+
+      const memberManifestPath = resolve(memberPath, 'Cargo.toml');
+      const memberManifest = await readManifest(memberManifestPath);
+      projects.push(await this._parseCrate(memberManifestPath, memberManifest, workspaceRoot));
+    }
+
+    logger.info(`Cargo workspace with ${projects.length} crates`);
+    return projects;
+  }
+
+  /**
+   * Parse one crate manifest
+   * @param {string} filePath - Path to Cargo.toml
+   * @param {object} manifest - Parsed Cargo.toml
+   * @param {object|null} workspaceRoot - { path, manifest } of the enclosing workspace
+   * @returns {Promise<object>} Parsed project information
+   */
+  async _parseCrate(filePath, manifest, workspaceRoot) {
+    try {
+      const crateDir = dirname(filePath);
+      const lines = (await readFile(filePath, 'utf-8')).split('\n');
+      const inherited = workspaceRoot?.manifest.workspace || {};
+
+      const dependencies = [];
+      const addTables = async (tables, target) => {
+        for (const [table, type] of Object.entries(DEPENDENCY_TABLES)) {
+          for (const [key, spec] of Object.entries(tables[table] || {})) {
+            const dep = await this._parseDependency(key, spec, type, {
+              crateDir,
+              lines,
+              inherited: inherited.dependencies || {},
+              workspacePath: workspaceRoot?.path
+            });
+            dependencies.push(target ? { ...dep, target } : dep);
+          }
+        }
+      };
+
+      await addTables(manifest, null);
+      for (const [target, tables] of Object.entries(manifest.target || {})) {
+        await addTables(tables, target);
+      }
+
+      // Pinned versions and transitive edges, when a lockfile is present
+      const projectPath = resolve(crateDir);
+      const resolved = await resolveLockfile(projectPath, LOCKFILES, dependencies);
+      if (resolved) {
+        applyResolvedRoots(dependencies, resolved);
+      }
+
+      const pkg = manifest.package || {};
+      const version = pkg.version?.workspace ? inherited.package?.version : pkg.version;
+      const description = pkg.description?.workspace ? inherited.package?.description : pkg.description;
+
+      return {
+        projectName: pkg.name || basename(crateDir),
+        projectPath,
+        language: 'rust',
+        version: version || '0.0.0',
+        description: description || '',
+        dependencyFile: filePath,
+        dependencies,
+        totalDependencies: dependencies.length,
+        resolved,
+        stats: countByType(dependencies)
+      };
+    } catch (error) {
+      throw new Error(`Failed to parse Cargo.toml: ${error.message}`);
+    }
+  }
+
+  /**
+   * Parse one dependency entry
+   * Values are a version requirement ("1.0") or a table
+   * ({ version, features, optional, path, git, package, workspace = true })
+   * @param {string} key - Dependency key (the name the crate is imported as)
+   * @param {string|object} spec - Dependency value
+   * @param {string} type - Dependency type
+   * @param {object} context - { crateDir, lines, inherited, workspacePath }
+   * @returns {Promise<object>} Dependency object
+   */
+  async _parseDependency(key, spec, type, context) {
+    let table = typeof spec === 'object' ? spec : { version: spec };
+
+    // { workspace = true } inherits from [workspace.dependencies]; local keys add to it
+    let baseDir = context.crateDir;
+    if (table.workspace) {
+      const inheritedSpec = context.inherited[key] ?? {};
+      const base = typeof inheritedSpec === 'object' ? inheritedSpec : { version: inheritedSpec };
+      table = {
+        ...base,
+        ...table,
+        features: [...(base.features || []), ...(table.features || [])]
+      };
+      baseDir = context.workspacePath || baseDir;
+    }
+
+    // "package" renames a dependency: the key is only the local alias
+    const name = table.package || key;
+    const lineNumber = findLine(context.lines, key);
+
+    const dep = {
+      name,
+      version: table.version || 'latest',
+      versionRange: table.version || '*',
+      operator: parseOperator(table.version),
+      language: 'rust',
+      type: table.optional && type === 'production' ? 'optional' : type,
+      features: table.features || [],
+      lineNumber,
+      raw: `${key} = ${JSON.stringify(spec)}`
+    };
+
+    if (key !== name) {
+      dep.alias = key;
+    }
+
+    if (table.path) {
+      const localPath = resolve(baseDir, table.path);
+      dep.operator = 'path';
+      dep.version = table.path;
+      dep.versionRange = table.version ? `${table.version} (path ${table.path})` : table.path;
+      dep.path = localPath;
+      dep.linkedProject = await localCrateName(localPath, name);
+    } else if (table.git) {
+      const ref = table.rev || table.tag || table.branch;
+      dep.operator = 'git';
+      dep.version = table.git;
+      dep.versionRange = ref ? `${table.git}#${ref}` : table.git;
+      dep.url = table.git;
+    }
+
+    return dep;
+  }
+
+  /**
+   * Print a summary of parsed dependencies
+   * @param {object|Array<object>} parsedData - Parsed project data, or projects for a workspace
+   */
+  printSummary(parsedData) {
+    if (Array.isArray(parsedData)) {
+      parsedData.forEach(project => this.printSummary(project));
+      return;
+    }
+
+    logger.header('Project Summary');
+    console.log(`Crate: ${parsedData.projectName}`);
+    console.log(`Version: ${parsedData.version}`);
+    console.log(`Language: ${parsedData.language}`);
+    console.log(`Path: ${parsedData.projectPath}`);
+    console.log(`Dependency File: ${parsedData.dependencyFile}`);
+    console.log(`\nTotal Dependencies: ${parsedData.totalDependencies}`);
+    Object.entries(parsedData.stats).forEach(([type, count]) => {
+      console.log(`  - ${type.charAt(0).toUpperCase()}${type.slice(1)}: ${count}`);
+    });
+
+    if (parsedData.resolved) {
+      console.log(`\nLockfile: ${parsedData.resolved.file} (${parsedData.resolved.format})`);
+      console.log(`  - Resolved packages: ${parsedData.resolved.packages.length}`);
+      console.log(`  - Transitive edges: ${countEdges(parsedData.resolved)}`);
+    }
+
+    logger.section('\nDependencies:');
+    parsedData.dependencies.forEach(dep => {
+      const typeStr = dep.type !== 'production' ? ` (${dep.type})` : '';
+      const targetStr = dep.target ? ` [${dep.target}]` : '';
+      let installedStr = dep.resolvedVersion ? ` (installed ${dep.resolvedVersion})` : '';
+      if (dep.linkedProject) installedStr = ` (crate ${dep.linkedProject})`;
+      console.log(`  - ${dep.name} ${dep.versionRange}${typeStr}${targetStr}${installedStr}`);
+    });
+    console.log();
+  }
+}
+
+/**
+ * Read and parse a Cargo.toml
+ */
+async function readManifest(manifestPath) {
+  return parseToml(await readFile(manifestPath, 'utf-8'));
+}
+
+/**
+ * Find the workspace a crate belongs to by searching parent directories
+ * @param {string} crateDir - Crate directory
+ * @returns {Promise<object|null>} { path, manifest } or null
+ */
+async function findWorkspaceRoot(crateDir) {
+  let dir = dirname(crateDir);
+
+  for (;;) {
+    const manifestPath = resolve(dir, 'Cargo.toml');
+    if (existsSync(manifestPath)) {
+      const manifest = await readManifest(manifestPath);
+      if (manifest.workspace) {
+        return { path: dir, manifest };
+      }
+    }
+
+    const parent = dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * Crate name of a path dependency
+ * @param {string} dir - Crate directory
+ * @param {string} fallback - Name used when the manifest cannot be read
+ * @returns {Promise<string>} Crate name
+ */
+async function localCrateName(dir, fallback) {
+  const manifestPath = resolve(dir, 'Cargo.toml');
+  if (existsSync(manifestPath)) {
+    try {
+      const manifest = await readManifest(manifestPath);
+      if (manifest.package?.name) return manifest.package.name;
+    } catch (error) {
+      logger.warning(`Could not read ${manifestPath}: ${error.message}`);
+    }
+  }
+  return fallback;
+}
+
+/**
+ * Operator of a Cargo version requirement
+ * A bare version ("1.2") is a caret requirement in Cargo.
+ * @param {string} requirement - Version requirement
+ * @returns {string} Operator
+ */
+function parseOperator(requirement) {
+  if (!requirement || requirement === '*') return '';
+  const match = requirement.trim().match(/^(\^|~|=|>=|<=|>|<)/);
+  return match ? match[1] : '^';
+}
+
+/**
+ * 1-based number of the first line that declares a key, or 0
+ */
+function findLine(lines, key) {
+  const pattern = new RegExp(`^\\s*"?${key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}"?\\s*(=|\\.)`);
+  const index = lines.findIndex(line => pattern.test(line));
+  return index === -1 ? 0 : index + 1;
+}
+
+/**
+ * Count dependencies per type
+ */
+function countByType(dependencies) {
+  const stats = { production: 0, development: 0, build: 0, optional: 0 };
+  dependencies.forEach(dep => {
+    stats[dep.type] = (stats[dep.type] || 0) + 1;
+  });
+  return stats;
+}
+
+export default CargoParser;
+
+// Test the parser when run directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const projectPath = process.argv[2] || process.cwd();
+
+  logger.header('Cargo Parser Test');
+  logger.info(`Parsing project: ${projectPath}`);
+
+  const parser = new CargoParser(projectPath);
+
+  try {
+    const parsedData = await parser.parse();
+    parser.printSummary(parsedData);
+  } catch (error) {
+    logger.error(`Parse failed: ${error.message}`);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,327 @@
+// src/parsers/goParser.js
+/**
+ * Go Parser
+ * Parses go.mod files to extract module dependencies
+ *
+ *   module github.com/acme/api
+ *
+ *   require (
+ *       github.com/gin-gonic/gin v1.9.1
+ *       golang.org/x/net v0.17.0 // indirect
+ *   )
+ *
+ *   replace github.com/acme/shared => ../shared
+ */
+
+import { readFile } from 'fs/promises';
+import { resolve, basename } from 'path';
+import { existsSync } from 'fs';
+import logger from '../utils/logger.js';
+
+class GoParser {
+  static language = 'go';
+  static manifests = ['go.mod'];
+  static priority = 10;
+
+  /**
+   * Check whether a directory holds a project this parser reads
+   * @param {string} dir - Directory to check
+   * @returns {boolean} True if go.mod exists
+   */
+  static detect(dir) {
+    return existsSync(resolve(dir, 'go.mod'));
+  }
+
+  constructor(projectPath) {
+    this.projectPath = resolve(projectPath);
+    this.projectName = basename(this.projectPath);
+  }
+
+  /**
+   * Parse Go module dependencies
+   * @returns {Promise<object>} Parsed project information with dependencies
+   */
+  async parse() {
+    const goModPath = resolve(this.projectPath, 'go.mod');
+
+    if (!existsSync(goModPath)) {
+      throw new Error(`No go.mod found in ${this.projectPath}`);
+    }
+
+    return await this._parseGoMod(goModPath);
+  }
+
+  /**
+   * Parse go.mod file
+   * Since Go 1.17 go.mod lists every module in the build, with the version
+   * minimal version selection picked, so required versions are the installed ones.
+   * @param {string} filePath - Path to go.mod
+   * @returns {Promise<object>} Parsed project information
+   */
+  async _parseGoMod(filePath) {
+    try {
+      const content = await readFile(filePath, 'utf-8');
+      const goMod = parseGoMod(content);
+
+      const replacements = new Map();
+      for (const replace of goMod.replace) {
+        replacements.set(replaceKey(replace.module, replace.version), replace);
+      }
+
+      const dependencies = [];
+      for (const require of goMod.require) {
+        const dep = {
+          name: require.module,
+          version: require.version,
+          versionRange: require.version,
+          operator: '',
+          resolvedVersion: require.version,
+          language: 'go',
+          type: 'production',
+          direct: !require.indirect,
+          lineNumber: require.lineNumber,
+          raw: `${require.module} ${require.version}${require.indirect ? ' // indirect' : ''}`
+        };
+
+        // A replace for this exact version wins over a replace for all versions
+        const replace = replacements.get(replaceKey(require.module, require.version)) ||
+          replacements.get(replaceKey(require.module, null));
+        if (replace) {
+          await this._applyReplace(dep, replace);
+        }
+
+        dependencies.push(dep);
+      }
+
+      const goSumPath = resolve(this.projectPath, 'go.sum');
+      const includedFiles = existsSync(goSumPath) ? [{ path: goSumPath, type: 'lockfile' }] : [];
+
+      return {
+        projectName: goMod.module || this.projectName,
+        projectPath: this.projectPath,
+        language: 'go',
+        version: goMod.go || '',
+        description: '',
+        dependencyFile: filePath,
+        dependencies,
+        totalDependencies: dependencies.length,
+        includedFiles,
+        stats: {
+          direct: dependencies.filter(dep => dep.direct).length,
+          indirect: dependencies.filter(dep => !dep.direct).length,
+          replaced: dependencies.filter(dep => dep.replacement).length
+        }
+      };
+    } catch (error) {
+      throw new Error(`Failed to parse go.mod: ${error.message}`);
+    }
+  }
+
+  /**
+   * Apply a replace directive to a requirement
+   * Local paths point at another module in the repository, which becomes an internal link.
+   * @param {object} dep - Dependency object (modified in place)
+   * @param {object} replace - Parsed replace directive
+   */
+  async _applyReplace(dep, replace) {
+    if (isLocalPath(replace.target)) {
+      const localPath = resolve(this.projectPath, replace.target);
+      dep.replacement = replace.target;
+      dep.operator = 'replace';
+      dep.path = localPath;
+      dep.linkedProject = await localModuleName(localPath);
+      dep.resolvedVersion = null;
+      return;
+    }
+
+    dep.replacement = `${replace.target} ${replace.targetVersion}`;
+    dep.resolvedVersion = replace.targetVersion;
+  }
+
+  /**
+   * Print a summary of parsed dependencies
+   * @param {object} parsedData - Parsed project data
+   */
+  printSummary(parsedData) {
+    logger.header('Project Summary');
+    console.log(`Module: ${parsedData.projectName}`);
+    console.log(`Go Version: ${parsedData.version || 'unspecified'}`);
+    console.log(`Language: ${parsedData.language}`);
+    console.log(`Path: ${parsedData.projectPath}`);
+    console.log(`Dependency File: ${parsedData.dependencyFile}`);
+    console.log(`\nTotal Dependencies: ${parsedData.totalDependencies}`);
+    console.log(`  - Direct: ${parsedData.stats.direct}`);
+    console.log(`  - Indirect: ${parsedData.stats.indirect}`);
+    console.log(`  - Replaced: ${parsedData.stats.replaced}`);
+
+    logger.section('\nDependencies:');
+
+    const direct = parsedData.dependencies.filter(dep => dep.direct);
+    const indirect = parsedData.dependencies.filter(dep => !dep.direct);
+
+    if (direct.length > 0) {
+      console.log('\n  Direct:');
+      direct.forEach(dep => console.log(`    - ${dep.name} ${dep.version}${formatReplacement(dep)}`));
+    }
+
+    if (indirect.length > 0) {
+      console.log('\n  Indirect:');
+      indirect.forEach(dep => console.log(`    - ${dep.name} ${dep.version}${formatReplacement(dep)}`));
+    }
+    console.log();
+  }
+}
+
+/**
+ * Parse go.mod directives
+ * Handles single-line directives and parenthesized blocks; only the
+ * directives that matter for dependencies are kept.
+ * @param {string} content - go.mod content
+ * @returns {object} { module, go, require: [...], replace: [...] }
+ */
+function parseGoMod(content) {
+  const goMod = { module: null, go: null, require: [], replace: [] };
+  let block = null;
+
+  content.split('\n').forEach((line, index) => {
+    const lineNumber = index + 1;
+    const commentIndex = line.indexOf('//');
+    const comment = commentIndex === -1 ? '' : line.slice(commentIndex + 2).trim();
+    const text = (commentIndex === -1 ? line : line.slice(0, commentIndex)).trim();
+
+    if (!text) return;
+
+    if (block) {
+      if (text === ')') {
+        block = null;
+      } else {
+        addDirective(goMod, block, tokenize(text), comment, lineNumber);
+      }
+      return;
+    }
+
+    const [verb, ...args] = tokenize(text);
+    if (args[0] === '(') {
+      block = verb;
+    } else {
+      addDirective(goMod, verb, args, comment, lineNumber);
+    }
+  });
+
+  return goMod;
+}
+
+/**
+ * Record one directive entry
+ * @param {object} goMod - Accumulator
+ * @param {string} verb - Directive (module, go, require, replace, ...)
+ * @param {Array<string>} args - Directive arguments
+ * @param {string} comment - Trailing comment
+ * @param {number} lineNumber - Line number
+ */
+function addDirective(goMod, verb, args, comment, lineNumber) {
+  switch (verb) {
+    case 'module':
+      goMod.module = args[0];
+      break;
+    case 'go':
+      goMod.go = args[0];
+      break;
+    case 'require':
+      if (args.length >= 2) {
+        goMod.require.push({
+          module: args[0],
+          version: args[1],
+          indirect: /(^|;\s*)indirect\b/.test(comment),
+          lineNumber
+        });
+      }
+      break;
+    case 'replace': {
+      // old [version] => new [version]
+      const arrow = args.indexOf('=>');
+      if (arrow === -1) break;
+      goMod.replace.push({
+        module: args[0],
+        version: arrow === 2 ? args[1] : null,
+        target: args[arrow + 1],
+        targetVersion: args[arrow + 2] || null,
+        lineNumber
+      });
+      break;
+    }
+    default:
+      // exclude, retract, toolchain and godebug do not add dependencies
+      break;
+  }
+}
+
+/**
+ * Split a directive into tokens, unquoting "quoted" and `raw` strings
+ */
+function tokenize(text) {
+  return (text.match(/"(?:[^"\\]|\\.)*"|`[^`]*`|\S+/g) || [])
+    .map(token => token.replace(/^["`]|["`]$/g, ''));
+}
+
+function replaceKey(module, version) {
+  return version ? `${module}@${version}` : module;
+}
+
+/**
+ * Replace targets starting with ./ or ../ (or absolute paths) are directories, not modules
+ */
+function isLocalPath(target) {
+  return /^\.\.?(\/|$)/.test(target) || target.startsWith('/');
+}
+
+/**
+ * Module path declared by the go.mod in a local directory
+ * Matches the name GoParser gives that directory when it is loaded as a project.
+ * @param {string} dir - Module directory
+ * @returns {Promise<string>} Module path, or the directory name
+ */
+async function localModuleName(dir) {
+  const goModPath = resolve(dir, 'go.mod');
+  if (existsSync(goModPath)) {
+    try {
+      const { module } = parseGoMod(await readFile(goModPath, 'utf-8'));
+      if (module) return module;
+    } catch (error) {
+      logger.warning(`Could not read ${goModPath}: ${error.message}`);
+    }
+  }
+  return basename(dir);
+}
+
+/**
+ * Format a replace directive for display
+ * @param {object} dep - Dependency object
+ * @returns {string} " => target" or empty string
+ */
+function formatReplacement(dep) {
+  if (dep.linkedProject) {
+    return ` => ${dep.replacement} (module ${dep.linkedProject})`;
+  }
+  return dep.replacement ? ` => ${dep.replacement}` : '';
+}
+
+export default GoParser;
+
+// Test the parser when run directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const projectPath = process.argv[2] || process.cwd();
+
+  logger.header('Go Parser Test');
+  logger.info(`Parsing project: ${projectPath}`);
+
+  const parser = new GoParser(projectPath);
+
+  try {
+    const parsedData = await parser.parse();
+    parser.printSummary(parsedData);
+  } catch (error) {
+    logger.error(`Parse failed: ${error.message}`);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,619 @@
+// src/parsers/gradleParser.js
+/**
+ * Gradle Parser
+ * Parses Gradle builds (Groovy and Kotlin DSL) to extract dependencies
+ *
+ *   dependencies {
+ *       implementation 'org.slf4j:slf4j-api:2.0.9'
+ *       implementation(libs.guava)                      // gradle/libs.versions.toml
+ *       implementation project(':core')
+ *       testImplementation group: 'junit', name: 'junit', version: "$junitVersion"
+ *   }
+ *
+ * Build scripts are programs; only the declarative forms above are understood.
+ */
+
+import { readFile } from 'fs/promises';
+import { resolve, basename, dirname, sep } from 'path';
+import { existsSync } from 'fs';
+import { parse as parseToml } from 'smol-toml';
+import logger from '../utils/logger.js';
+
+const SETTINGS_FILES = ['settings.gradle.kts', 'settings.gradle'];
+const BUILD_FILES = ['build.gradle.kts', 'build.gradle'];
+
+// Configurations that are not named <sourceSet>Implementation etc.
+const CONFIGURATION_TYPES = {
+  api: 'production',
+  implementation: 'production',
+  compile: 'production',
+  runtime: 'production',
+  runtimeOnly: 'production',
+  compileOnly: 'provided',
+  compileOnlyApi: 'provided',
+  providedCompile: 'provided',
+  providedRuntime: 'provided',
+  annotationProcessor: 'build',
+  kapt: 'build',
+  ksp: 'build',
+  classpath: 'build'
+};
+
+class GradleParser {
+  static language = 'java';
+  static manifests = ['build.gradle', 'build.gradle.kts', 'settings.gradle', 'settings.gradle.kts'];
+  static priority = 10;
+
+  /**
+   * Check whether a directory holds a project this parser reads
+   * @param {string} dir - Directory to check
+   * @returns {boolean} True if a build script or settings script exists
+   */
+  static detect(dir) {
+    return this.manifests.some(file => existsSync(resolve(dir, file)));
+  }
+
+  constructor(projectPath) {
+    this.projectPath = resolve(projectPath);
+    this.projectName = basename(this.projectPath);
+  }
+
+  /**
+   * Parse Gradle dependencies
+   * The root of a multi-project build yields one project per included project
+   * @returns {Promise<object|Array<object>>} Parsed project, or projects for a multi-project build
+   */
+  async parse() {
+    const rootPath = findBuildRoot(this.projectPath);
+    if (!rootPath && !findFile(this.projectPath, BUILD_FILES)) {
+      throw new Error(`No build.gradle or settings.gradle found in ${this.projectPath}`);
+    }
+
+    const build = await this._loadBuild(rootPath || this.projectPath);
+
+    if (this.projectPath !== build.rootPath || build.projects.length === 1) {
+      const project = build.projects.find(p => p.dir === this.projectPath);
+      if (!project) {
+        throw new Error(`${this.projectPath} is not part of the Gradle build at ${build.rootPath}`);
+      }
+      return this._parseProject(project, build);
+    }
+
+    logger.info(`Gradle build with ${build.projects.length} projects`);
+    return build.projects.map(project => this._parseProject(project, build));
+  }
+
+  /**
+   * Read settings, properties, the version catalog and every build script of a build
+   * @param {string} rootPath - Build root directory
+   * @returns {Promise<object>} { rootPath, projects, properties, catalog }
+   */
+  async _loadBuild(rootPath) {
+    const settingsPath = findFile(rootPath, SETTINGS_FILES);
+    const settings = settingsPath ? parseSettings(await readFile(settingsPath, 'utf-8')) : { includes: [] };
+
+    const properties = await readGradleProperties(resolve(rootPath, 'gradle.properties'));
+    const catalogPath = resolve(rootPath, 'gradle', 'libs.versions.toml');
+    const catalog = existsSync(catalogPath) ? await readVersionCatalog(catalogPath) : null;
+
+    const paths = [':', ...settings.includes.map(path => (path.startsWith(':') ? path : `:${path}`))];
+    const projects = [];
+
+    for (const gradlePath of [...new Set(paths)]) {
+      const dir = gradlePath === ':'
+        ? rootPath
+        : resolve(rootPath, settings.projectDirs[gradlePath] || gradlePath.slice(1).split(':').join(sep));
+      const buildFile = findFile(dir, BUILD_FILES);
+      const script = buildFile ? parseBuildScript(await readFile(buildFile, 'utf-8')) : emptyScript();
+
+      projects.push({
+        gradlePath,
+        dir,
+        buildFile: buildFile || settingsPath,
+        name: gradlePath === ':' ? (settings.rootProjectName || basename(rootPath)) : gradlePath.split(':').pop(),
+        script
+      });
+    }
+
+    // allprojects { } and subprojects { } in the root script apply to other projects
+    const root = projects[0];
+    for (const project of projects) {
+      const shared = [
+        root.script.blocks.allprojects,
+        project === root ? null : root.script.blocks.subprojects
+      ].filter(Boolean);
+
+      project.variables = {
+        ...properties,
+        ...Object.assign({}, ...shared.map(block => block.variables)),
+        ...project.script.variables
+      };
+      project.declarations = [
+        ...shared.flatMap(block => block.declarations),
+        ...project.script.declarations
+      ];
+    }
+
+    // Coordinates are group:name when a group is set, like published artifacts
+    for (const project of projects) {
+      const group = project.variables.group;
+      project.coordinates = group ? `${group}:${project.name}` : project.name;
+      project.version = project.variables.version || '';
+    }
+
+    return { rootPath, projects, catalog };
+  }
+
+  /**
+   * Turn one project's dependency declarations into a parsed project
+   * @param {object} project - Project from _loadBuild()
+   * @param {object} build - Build from _loadBuild()
+   * @returns {object} Parsed project information
+   */
+  _parseProject(project, build) {
+    const byPath = new Map(build.projects.map(p => [p.gradlePath, p]));
+    const dependencies = [];
+
+    for (const declaration of project.declarations) {
+      const type = declaration.buildscript ? 'build' : configurationType(declaration.configuration);
+      if (!type) continue;
+
+      for (const notation of resolveNotation(declaration.notation, project.variables, build.catalog)) {
+        const dep = {
+          name: notation.name,
+          version: notation.version || 'managed',
+          versionRange: notation.version || 'managed',
+          operator: notation.version && /^[[(]/.test(notation.version) ? 'range' : '',
+          language: 'java',
+          type: notation.platform ? 'platform' : type,
+          scope: declaration.configuration,
+          lineNumber: declaration.lineNumber,
+          raw: declaration.text
+        };
+
+        if (notation.project) {
+          const target = byPath.get(notation.project.startsWith(':') ? notation.project : `:${notation.project}`);
+          if (!target) {
+            logger.warning(`${project.gradlePath}: unknown project ${notation.project}`);
+            continue;
+          }
+          dep.name = target.coordinates;
+          dep.version = target.version || 'project';
+          dep.versionRange = `project(${target.gradlePath})`;
+          dep.operator = 'project';
+          dep.linkedProject = target.coordinates;
+        }
+
+        dependencies.push(dep);
+      }
+    }
+
+    return {
+      projectName: project.coordinates,
+      projectPath: project.dir,
+      language: 'java',
+      version: project.version || '0.0.0',
+      description: project.variables.description || '',
+      dependencyFile: project.buildFile,
+      dependencies,
+      totalDependencies: dependencies.length,
+      gradlePath: project.gradlePath,
+      stats: countByType(dependencies)
+    };
+  }
+
+  /**
+   * Print a summary of parsed dependencies
+   * @param {object} parsedData - Parsed project data
+   */
+  printSummary(parsedData) {
+    logger.header('Project Summary');
+    console.log(`Project: ${parsedData.projectName} (${parsedData.gradlePath})`);
+    console.log(`Version: ${parsedData.version}`);
+    console.log(`Language: ${parsedData.language}`);
+    console.log(`Path: ${parsedData.projectPath}`);
+    console.log(`Dependency File: ${parsedData.dependencyFile}`);
+    console.log(`\nTotal Dependencies: ${parsedData.totalDependencies}`);
+    Object.entries(parsedData.stats).forEach(([type, count]) => {
+      console.log(`  - ${type.charAt(0).toUpperCase()}${type.slice(1)}: ${count}`);
+    });
+
+    logger.section('\nDependencies:');
+    parsedData.dependencies.forEach(dep => {
+      console.log(`  - ${dep.scope} ${dep.name} ${dep.versionRange}`);
+    });
+    console.log();
+  }
+}
+
+/**
+ * Find the directory holding settings.gradle, starting at dir and moving up
+ * @param {string} dir - Project directory
+ * @returns {string|null} Build root
+ */
+function findBuildRoot(dir) {
+  let current = dir;
+  for (;;) {
+    if (findFile(current, SETTINGS_FILES)) return current;
+
+    const parent = dirname(current);
+    if (parent === current) return null;
+    current = parent;
+  }
+}
+
+function findFile(dir, fileNames) {
+  const fileName = fileNames.find(name => existsSync(resolve(dir, name)));
+  return fileName ? resolve(dir, fileName) : null;
+}
+
+/**
+ * Read rootProject.name, include(...) and projectDir overrides from a settings script
+ * @param {string} content - settings.gradle(.kts) content
+ * @returns {object} { rootProjectName, includes, projectDirs }
+ */
+function parseSettings(content) {
+  const text = stripComments(content);
+  const settings = { rootProjectName: null, includes: [], projectDirs: {} };
+
+  settings.rootProjectName = text.match(/rootProject\.name\s*=\s*["']([^"']+)["']/)?.[1] || null;
+
+  for (const match of text.matchAll(/\binclude\s*\(?((?:\s*["'][^"']+["']\s*,?)+)\)?/g)) {
+    settings.includes.push(...[...match[1].matchAll(/["']([^"']+)["']/g)].map(m => m[1]));
+  }
+
+  for (const match of text.matchAll(/project\(\s*["']([^"']+)["']\s*\)\.projectDir\s*=\s*(?:file|File)\(\s*["']([^"']+)["']\s*\)/g)) {
+    settings.projectDirs[match[1].startsWith(':') ? match[1] : `:${match[1]}`] = match[2];
+  }
+
+  return settings;
+}
+
+/**
+ * Split a build script into statements and collect dependency declarations and variables
+ * @param {string} content - build.gradle(.kts) content
+ * @returns {object} Script model: top-level declarations/variables plus allprojects/subprojects blocks
+ */
+function parseBuildScript(content) {
+  const script = emptyScript();
+
+  for (const statement of splitStatements(stripComments(content))) {
+    const [outer] = statement.path;
+    const target = script.blocks[outer] || script;
+    const path = script.blocks[outer] ? statement.path.slice(1) : statement.path;
+
+    const inDependencies = path[path.length - 1] === 'dependencies';
+    const buildscript = path[0] === 'buildscript';
+
+    if (inDependencies && path.length <= 2) {
+      const declaration = parseDeclaration(statement.text);
+      if (declaration) {
+        target.declarations.push({ ...declaration, buildscript, lineNumber: statement.lineNumber, text: statement.text });
+      }
+    } else if (path.length === 0 || path[0] === 'ext') {
+      Object.assign(target.variables, parseAssignment(statement.text));
+    }
+  }
+
+  return script;
+}
+
+function emptyScript() {
+  return { declarations: [], variables: {}, blocks: { allprojects: emptyBlock(), subprojects: emptyBlock() } };
+}
+
+function emptyBlock() {
+  return { declarations: [], variables: {} };
+}
+
+/**
+ * Split script text into statements, tracking the enclosing block names
+ * A statement that opens a block (`implementation('x') { exclude ... }`) is
+ * reported as a statement too, so dependency declarations with closures are kept.
+ * @param {string} text - Script without comments
+ * @returns {Array<object>} [{ text, path, lineNumber }]
+ */
+function splitStatements(text) {
+  const statements = [];
+  const path = [];
+  let current = '';
+  let startLine = 1;
+  let line = 1;
+  let parens = 0;
+  let quote = null;
+
+  const flush = () => {
+    const statement = current.trim();
+    if (statement) {
+      statements.push({ text: statement.replace(/\s+/g, ' '), path: [...path], lineNumber: startLine });
+    }
+    current = '';
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === '\n') line++;
+
+    if (quote) {
+      current += char;
+      if (char === '\\') {
+        current += text[++i] || '';
+      } else if (char === quote) {
+        quote = null;
+      }
+      continue;
+    }
+
+    if (!current.trim()) startLine = line;
+
+    if (char === '"' || char === "'") {
+      quote = char;
+      current += char;
+    } else if (char === '(') {
+      parens++;
+      current += char;
+    } else if (char === ')') {
+      parens = Math.max(0, parens - 1);
+      current += char;
+    } else if (char === '{' && parens === 0) {
+      const header = current.trim();
+      const name = header.match(/([A-Za-z_][\w.]*)\s*(\([^)]*\))?\s*$/)?.[1] || '';
+      flush();
+      path.push(name);
+    } else if (char === '}' && parens === 0) {
+      flush();
+      path.pop();
+    } else if ((char === '\n' || char === ';') && parens === 0) {
+      flush();
+    } else {
+      current += char;
+    }
+  }
+  flush();
+
+  return statements;
+}
+
+/**
+ * Remove // and /* *\/ comments, leaving strings (and URLs inside them) alone
+ * Newlines are kept so line numbers stay correct.
+ */
+function stripComments(content) {
+  let result = '';
+  let quote = null;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (quote) {
+      result += char;
+      if (char === '\\') result += content[++i] || '';
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+      result += char;
+    } else if (char === '/' && content[i + 1] === '/') {
+      while (i < content.length && content[i] !== '\n') i++;
+      result += '\n';
+    } else if (char === '/' && content[i + 1] === '*') {
+      const end = content.indexOf('*/', i + 2);
+      const comment = content.slice(i, end === -1 ? content.length : end + 2);
+      result += comment.replace(/[^\n]/g, '');
+      i = end === -1 ? content.length : end + 1;
+    } else {
+      result += char;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Parse `configuration <notation>` or `configuration(<notation>)`
+ * @param {string} text - Statement
+ * @returns {object|null} { configuration, notation }
+ */
+function parseDeclaration(text) {
+  // Kotlin DSL can also name a configuration as a string: "testImplementation"(...)
+  const match = text.match(/^["']?([A-Za-z_]\w*)["']?\s*(?:\(\s*([\s\S]*)\s*\)|\s+([\s\S]+))$/);
+  if (!match) return null;
+
+  const [, configuration, parenthesized, bare] = match;
+  return { configuration, notation: (parenthesized ?? bare).trim() };
+}
+
+/**
+ * Parse simple assignments: `group = 'com.acme'`, `def x = "1.0"`, `val x = "1.0"`,
+ * `ext.x = '1.0'`, `set("x", "1.0")`, `extra["x"] = "1.0"`
+ * @param {string} text - Statement
+ * @returns {object} name → value
+ */
+function parseAssignment(text) {
+  const assignment = text.match(/^(?:def\s+|val\s+|var\s+|(?:project\.)?ext\.)?([A-Za-z_][\w.]*)\s*=\s*["']([^"']*)["']$/) ||
+    text.match(/^(?:extra|ext)\s*\[\s*["']([^"']+)["']\s*\]\s*=\s*["']([^"']*)["']$/) ||
+    text.match(/^set\s*\(\s*["']([^"']+)["']\s*,\s*["']([^"']*)["']\s*\)$/);
+
+  return assignment ? { [assignment[1]]: assignment[2] } : {};
+}
+
+/**
+ * Dependency type of a configuration, or null for configurations that are not dependencies
+ * @param {string} configuration - Configuration name
+ * @returns {string|null} Dependency type
+ */
+function configurationType(configuration) {
+  if (CONFIGURATION_TYPES[configuration]) {
+    return CONFIGURATION_TYPES[configuration];
+  }
+
+  // Source-set configurations: testImplementation, integrationTestRuntimeOnly, ...
+  const sourceSet = configuration.match(/^(\w+?)(Implementation|Api|CompileOnly|RuntimeOnly|AnnotationProcessor)$/);
+  if (!sourceSet) return null;
+
+  if (/^(test|androidTest|integrationTest|testFixtures)/i.test(sourceSet[1])) return 'development';
+  if (sourceSet[2] === 'CompileOnly') return 'provided';
+  if (sourceSet[2] === 'AnnotationProcessor') return 'build';
+  return 'production';
+}
+
+/**
+ * Resolve a dependency notation into coordinates
+ * @param {string} notation - Notation text
+ * @param {object} variables - Variables for "$name" / "${name}" interpolation
+ * @param {object|null} catalog - Version catalog
+ * @returns {Array<object>} [{ name, version, platform?, project? }]
+ */
+function resolveNotation(notation, variables, catalog) {
+  // platform(...) / enforcedPlatform(...) import a BOM
+  const platform = notation.match(/^(?:enforced)?[Pp]latform\s*\(\s*([\s\S]+)\s*\)$/);
+  if (platform) {
+    return resolveNotation(platform[1], variables, catalog).map(dep => ({ ...dep, platform: true }));
+  }
+
+  const project = notation.match(/^project\s*\(\s*(?:path\s*[:=]\s*)?["']([^"']+)["']/);
+  if (project) {
+    return [{ project: project[1] }];
+  }
+
+  if (/^libs\./.test(notation)) {
+    return catalog ? catalog.lookup(notation) : [];
+  }
+
+  const kotlin = notation.match(/^kotlin\s*\(\s*["']([^"']+)["']\s*(?:,\s*["']([^"']+)["'])?\s*\)$/);
+  if (kotlin) {
+    return [{ name: `org.jetbrains.kotlin:kotlin-${kotlin[1]}`, version: kotlin[2] || null }];
+  }
+
+  // Map notation: group: 'g', name: 'a', version: 'v' (Groovy) or group = "g", ... (Kotlin)
+  if (/\bname\s*[:=]/.test(notation)) {
+    const value = key => notation.match(new RegExp(`\\b${key}\\s*[:=]\\s*["']([^"']*)["']`))?.[1];
+    const group = interpolateVariables(value('group') || '', variables);
+    const name = interpolateVariables(value('name'), variables);
+    const version = value('version');
+    return [{ name: group ? `${group}:${name}` : name, version: version ? interpolateVariables(version, variables) : null }];
+  }
+
+  // String notation: 'group:name:version[:classifier][@ext]'
+  const string = notation.match(/^["']([^"']+)["']/);
+  if (string) {
+    const [group, name, version] = interpolateVariables(string[1], variables).split('@')[0].split(':');
+    if (!name) return [];
+    return [{ name: `${group}:${name}`, version: version || null }];
+  }
+
+  // files(...), fileTree(...), gradleApi() and other notations are not packages
+  return [];
+}
+
+/**
+ * Replace $name and ${name} in a Groovy/Kotlin string
+ */
+function interpolateVariables(value, variables) {
+  return value.replace(/\$\{?([A-Za-z_][\w.]*)\}?/g, (match, name) => {
+    const key = name.replace(/^(project\.|rootProject\.|ext\.)/, '');
+    return variables[key] ?? match;
+  });
+}
+
+/**
+ * Read gradle.properties (key=value lines)
+ * @param {string} filePath - Path to gradle.properties
+ * @returns {Promise<object>} Properties
+ */
+async function readGradleProperties(filePath) {
+  if (!existsSync(filePath)) return {};
+
+  const properties = {};
+  for (const line of (await readFile(filePath, 'utf-8')).split('\n')) {
+    const match = line.match(/^\s*([^#!=:\s][^=:]*?)\s*[=:]\s*(.*?)\s*$/);
+    if (match) properties[match[1]] = match[2];
+  }
+  return properties;
+}
+
+/**
+ * Read a version catalog (gradle/libs.versions.toml)
+ * Accessors normalize "-", "_" and "." to the same separator, so
+ * `libs.spring.boot.starter` finds the alias `spring-boot-starter`.
+ * @param {string} filePath - Path to libs.versions.toml
+ * @returns {Promise<object>} Catalog with a lookup(accessor) function
+ */
+async function readVersionCatalog(filePath) {
+  const toml = parseToml(await readFile(filePath, 'utf-8'));
+  const versions = toml.versions || {};
+  const normalize = alias => alias.replace(/[-_.]/g, '.').toLowerCase();
+
+  const versionOf = version => {
+    if (!version) return null;
+    if (typeof version === 'string') return version;
+    if (version.ref) return versionOf(versions[version.ref]);
+    return version.strictly || version.require || version.prefer || null;
+  };
+
+  const libraries = new Map();
+  for (const [alias, entry] of Object.entries(toml.libraries || {})) {
+    let library;
+    if (typeof entry === 'string') {
+      const [group, name, version] = entry.split(':');
+      library = { name: `${group}:${name}`, version: version || null };
+    } else {
+      library = {
+        name: entry.module || `${entry.group}:${entry.name}`,
+        version: versionOf(entry.version)
+      };
+    }
+    libraries.set(normalize(alias), library);
+  }
+
+  const bundles = new Map(
+    Object.entries(toml.bundles || {}).map(([alias, members]) => [normalize(alias), members.map(normalize)])
+  );
+
+  return {
+    lookup(accessor) {
+      const key = normalize(accessor.replace(/^libs\./, '').replace(/\.get\(\)$/, ''));
+      if (key.startsWith('bundles.')) {
+        return (bundles.get(key.slice('bundles.'.length)) || [])
+          .map(member => libraries.get(member))
+          .filter(Boolean);
+      }
+      const library = libraries.get(key);
+      if (!library) {
+        logger.warning(`Version catalog has no library for ${accessor}`);
+        return [];
+      }
+      return [library];
+    }
+  };
+}
+
+/**
+ * Count dependencies per type
+ */
+function countByType(dependencies) {
+  const stats = { production: 0, development: 0, provided: 0, build: 0 };
+  dependencies.forEach(dep => {
+    stats[dep.type] = (stats[dep.type] || 0) + 1;
+  });
+  return stats;
+}
+
+export default GradleParser;
+
+// Test the parser when run directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const projectPath = process.argv[2] || process.cwd();
+
+  logger.header('Gradle Parser Test');
+  logger.info(`Parsing project: ${projectPath}`);
+
+  const parser = new GradleParser(projectPath);
+
+  try {
+    const parsedData = await parser.parse();
+    [].concat(parsedData).forEach(project => parser.printSummary(project));
+  } catch (error) {
+    logger.error(`Parse failed: ${error.message}`);
+    process.exit(1);
+  }
+}
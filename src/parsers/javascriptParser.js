@@ -7,9 +7,35 @@
 import { readFile } from 'fs/promises';
 import { resolve, basename } from 'path';
 import { existsSync } from 'fs';
+import PackageLockParser from './lockfiles/packageLockParser.js';
+import YarnLockParser from './lockfiles/yarnLockParser.js';
+import PnpmLockParser from './lockfiles/pnpmLockParser.js';
+import { countEdges } from './lockfiles/resolvedTree.js';
+import { resolveLockfile, applyResolvedRoots } from './lockfiles/lockfileResolver.js';
 import logger from '../utils/logger.js';
 
+// Lockfiles in lookup order, with the reader for each
+const LOCKFILES = [
+  ['package-lock.json', PackageLockParser],
+  ['npm-shrinkwrap.json', PackageLockParser],
+  ['yarn.lock', YarnLockParser],
+  ['pnpm-lock.yaml', PnpmLockParser]
+];
+
 class JavaScriptParser {
+  static language = 'javascript';
+  static manifests = ['package.json'];
+  static priority = 10;
+
+  /**
+   * Check whether a directory holds a project this parser reads
+   * @param {string} dir - Directory to check
+   * @returns {boolean} True if package.json exists
+   */
+  static detect(dir) {
+    return existsSync(resolve(dir, 'package.json'));
+  }
+
   constructor(projectPath) {
     this.projectPath = resolve(projectPath);
     this.projectName = basename(this.projectPath);
@@ -61,6 +87,12 @@ class JavaScriptParser {
         ...peerDependencies
       ];
 
+      // Resolved versions and transitive edges, when a lockfile is present
+      const resolved = await resolveLockfile(this.projectPath, LOCKFILES, allDependencies);
+      if (resolved) {
+        applyResolvedRoots(allDependencies, resolved);
+      }
+
       return {
         projectName: packageJson.name || this.projectName,
         projectPath: this.projectPath,
@@ -70,6 +102,7 @@ class JavaScriptParser {
         dependencyFile: filePath,
         dependencies: allDependencies,
         totalDependencies: allDependencies.length,
+        resolved,
         stats: {
           production: dependencies.length,
           development: devDependencies.length,
@@ -95,6 +128,7 @@ class JavaScriptParser {
         version: parsed.version,
         versionRange: version,
         operator: parsed.operator,
+        language: 'javascript',
         type,
         raw: `${name}@${version}`
       };
@@ -122,6 +156,14 @@ class JavaScriptParser {
       return { version: versionStr, operator: 'file' };
     }
 
+    // Workspace protocol and local links (internal packages)
+    if (versionStr.startsWith('workspace:')) {
+      return { version: versionStr.slice('workspace:'.length), operator: 'workspace' };
+    }
+    if (versionStr.startsWith('link:')) {
+      return { version: versionStr, operator: 'link' };
+    }
+
     // Standard semver patterns
     const patterns = [
       { regex: /^\^(.+)$/, operator: '^' },      // ^1.0.0
@@ -160,6 +202,12 @@ class JavaScriptParser {
     console.log(`  - Development: ${parsedData.stats.development}`);
     console.log(`  - Peer: ${parsedData.stats.peer}`);
 
+    if (parsedData.resolved) {
+      console.log(`\nLockfile: ${parsedData.resolved.file} (${parsedData.resolved.format})`);
+      console.log(`  - Resolved packages: ${parsedData.resolved.packages.length}`);
+      console.log(`  - Transitive edges: ${countEdges(parsedData.resolved)}`);
+    }
+
     logger.section('\nDependencies:');
     
     // Group by type
@@ -177,7 +225,7 @@ class JavaScriptParser {
     if (byType.production.length > 0) {
       console.log('\n  Production:');
       byType.production.forEach(dep => {
-        console.log(`    - ${dep.name} ${dep.versionRange}`);
+        console.log(`    - ${dep.name} ${dep.versionRange}${formatResolved(dep)}`);
       });
     }
 
@@ -185,7 +233,7 @@ class JavaScriptParser {
     if (byType.development.length > 0) {
       console.log('\n  Development:');
       byType.development.forEach(dep => {
-        console.log(`    - ${dep.name} ${dep.versionRange}`);
+        console.log(`    - ${dep.name} ${dep.versionRange}${formatResolved(dep)}`);
       });
     }
 
@@ -193,13 +241,25 @@ class JavaScriptParser {
     if (byType.peer.length > 0) {
       console.log('\n  Peer:');
       byType.peer.forEach(dep => {
-        console.log(`    - ${dep.name} ${dep.versionRange}`);
+        console.log(`    - ${dep.name} ${dep.versionRange}${formatResolved(dep)}`);
       });
     }
     console.log();
   }
 }
 
+/**
+ * Format the installed version of a dependency for display
+ * @param {object} dep - Dependency object
+ * @returns {string} " (installed x.y.z)", " (workspace name)" or empty string
+ */
+function formatResolved(dep) {
+  if (dep.linkedProject) {
+    return ` (workspace ${dep.linkedProject})`;
+  }
+  return dep.resolvedVersion ? ` (installed ${dep.resolvedVersion}${dep.peerSuffix || ''})` : '';
+}
+
 export default JavaScriptParser;
 
 // Test the parser when run directly
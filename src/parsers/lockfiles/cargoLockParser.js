@@ -0,0 +1,107 @@
+// src/parsers/lockfiles/cargoLockParser.js
+/**
+ * Cargo.lock Parser
+ * Reads Cargo lockfiles (v1 to v4) into a resolved dependency tree
+ *
+ *   [[package]]
+ *   name = "app"                      # workspace member: no source
+ *   version = "0.1.0"
+ *   dependencies = ["serde", "syn 2.0.38"]
+ *
+ *   [[package]]
+ *   name = "serde"
+ *   version = "1.0.188"
+ *   source = "registry+https://github.com/rust-lang/crates.io-index"
+ *
+ * A dependency entry only carries the version (and source) when several
+ * versions of that crate are locked.
+ */
+
+import { readFile } from 'fs/promises';
+import { resolve, dirname } from 'path';
+import { existsSync } from 'fs';
+import { parse as parseToml } from 'smol-toml';
+import { buildResolvedTree } from './resolvedTree.js';
+
+class CargoLockParser {
+  constructor(lockfilePath) {
+    this.lockfilePath = lockfilePath;
+  }
+
+  /**
+   * Resolve a crate's declared dependencies against Cargo.lock
+   * @param {Array<object>} declared - Declared dependencies from Cargo.toml
+   * @param {string} importerPath - Crate directory relative to the lockfile ('' for root)
+   * @returns {Promise<object|null>} Resolved tree, or null if the crate is not in the lockfile
+   */
+  async parse(declared, importerPath = '') {
+    // Cargo.lock does not record member paths, so identify the crate by its manifest name
+    const crateName = await readCrateName(resolve(dirname(this.lockfilePath), importerPath, 'Cargo.toml'));
+    if (!crateName) {
+      return null;
+    }
+
+    const content = await readFile(this.lockfilePath, 'utf-8');
+    const lockfile = parseToml(content);
+
+    const byName = new Map();
+    for (const pkg of lockfile.package || []) {
+      if (!byName.has(pkg.name)) byName.set(pkg.name, []);
+      byName.get(pkg.name).push(pkg);
+    }
+
+    // "name", "name version" or "name version (source)"
+    const nodeFor = (reference) => {
+      const [name, version] = reference.split(' ');
+      const candidates = byName.get(name) || [];
+      const pkg = candidates.find(c => !version || c.version === version) || candidates[0];
+      if (!pkg) return null;
+
+      return {
+        key: `${pkg.name}@${pkg.version}`,
+        name: pkg.name,
+        version: pkg.version,
+        // Workspace members and path dependencies have no source
+        internal: !pkg.source,
+        pkg
+      };
+    };
+
+    const importer = (byName.get(crateName) || []).find(pkg => !pkg.source);
+    if (!importer) {
+      return null;
+    }
+
+    const importerReferences = new Map(
+      (importer.dependencies || []).map(reference => [reference.split(' ')[0], reference])
+    );
+
+    return buildResolvedTree({
+      file: this.lockfilePath,
+      format: `cargo-lock@${lockfile.version || 1}`,
+      declared,
+      resolveRoot: dep => {
+        const reference = importerReferences.get(dep.name);
+        return reference ? nodeFor(reference) : null;
+      },
+      getDependencies: node => (node.pkg.dependencies || [])
+        .map(reference => ({ node: nodeFor(reference), range: '', type: 'production' }))
+        .filter(child => child.node)
+    });
+  }
+}
+
+/**
+ * [package].name of a Cargo.toml, or null
+ * @param {string} manifestPath - Path to Cargo.toml
+ * @returns {Promise<string|null>} Crate name
+ */
+async function readCrateName(manifestPath) {
+  if (!existsSync(manifestPath)) {
+    return null;
+  }
+  const manifest = parseToml(await readFile(manifestPath, 'utf-8'));
+  return manifest.package?.name || null;
+}
+
+export default CargoLockParser;
@@ -0,0 +1,67 @@
+// src/parsers/lockfiles/lockfileResolver.js
+/**
+ * Lockfile Resolver
+ * Finds the lockfile that covers a project and merges its resolution into the declared dependencies
+ */
+
+import { resolve, dirname, relative, sep } from 'path';
+import { existsSync } from 'fs';
+import logger from '../../utils/logger.js';
+
+/**
+ * Find the nearest lockfile covering a project and resolve declared dependencies against it
+ * Workspace members share the lockfile at the repository root, so parent
+ * directories are searched too; readers return null for projects they do not cover.
+ *
+ * @param {string} projectPath - Absolute project directory
+ * @param {Array<Array>} lockfiles - [fileName, LockParser] pairs in lookup order
+ * @param {Array<object>} declared - Declared dependencies
+ * @returns {Promise<object|null>} Resolved tree or null
+ */
+export async function resolveLockfile(projectPath, lockfiles, declared) {
+  let dir = projectPath;
+
+  for (;;) {
+    for (const [fileName, LockParser] of lockfiles) {
+      const lockfilePath = resolve(dir, fileName);
+      if (!existsSync(lockfilePath)) continue;
+
+      const importerPath = relative(dir, projectPath).split(sep).join('/');
+      try {
+        const resolved = await new LockParser(lockfilePath).parse(declared, importerPath);
+        if (resolved) return resolved;
+      } catch (error) {
+        logger.warning(`Could not read ${lockfilePath}: ${error.message}`);
+      }
+    }
+
+    const parent = dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * Copy installed versions from a resolved tree onto the declared dependencies
+ * @param {Array<object>} dependencies - Declared dependencies (modified in place)
+ * @param {object} resolved - Resolved tree
+ */
+export function applyResolvedRoots(dependencies, resolved) {
+  const roots = new Map(resolved.roots.map(root => [root.name, root]));
+
+  dependencies.forEach(dep => {
+    const root = roots.get(dep.name);
+    if (!root) return;
+
+    // Workspace links point at another project rather than an installed version
+    if (root.internal) {
+      dep.linkedProject = root.linkedProject;
+    } else {
+      dep.resolvedVersion = root.version;
+      dep.peerSuffix = root.peerSuffix;
+      dep.peers = root.peers;
+    }
+  });
+}
+
+export default { resolveLockfile, applyResolvedRoots };
@@ -0,0 +1,170 @@
+// src/parsers/lockfiles/packageLockParser.js
+/**
+ * package-lock.json Parser
+ * Reads npm lockfiles (lockfileVersion 1, 2 and 3) into a resolved dependency tree
+ */
+
+import { readFile } from 'fs/promises';
+import { buildResolvedTree } from './resolvedTree.js';
+
+// package.json sections installed for a dependency, and the edge type they map to
+const DEPENDENCY_SECTIONS = [
+  ['dependencies', 'production'],
+  ['optionalDependencies', 'optional'],
+  ['peerDependencies', 'peer']
+];
+
+class PackageLockParser {
+  constructor(lockfilePath) {
+    this.lockfilePath = lockfilePath;
+  }
+
+  /**
+   * Resolve a project's declared dependencies against the lockfile
+   * @param {Array<object>} declared - Declared dependencies from package.json
+   * @param {string} importerPath - Project directory relative to the lockfile ('' for root)
+   * @returns {Promise<object|null>} Resolved tree, or null if the project is not in the lockfile
+   */
+  async parse(declared, importerPath = '') {
+    const content = await readFile(this.lockfilePath, 'utf-8');
+    const lockfile = JSON.parse(content);
+    const version = lockfile.lockfileVersion || 1;
+
+    // v2 keeps the v1 "dependencies" tree for old npm, but "packages" is authoritative
+    if (lockfile.packages) {
+      return this._parsePackages(lockfile.packages, declared, importerPath, version);
+    }
+
+    // v1 has no workspace support, so only the root project can be resolved
+    if (importerPath !== '') {
+      return null;
+    }
+    return this._parseDependencyTree(lockfile.dependencies || {}, declared);
+  }
+
+  /**
+   * lockfileVersion 2/3: flat map of install locations
+   * ("", "node_modules/a", "node_modules/a/node_modules/b", "packages/foo")
+   */
+  _parsePackages(packages, declared, importerPath, version) {
+    if (!packages[importerPath]) {
+      return null;
+    }
+
+    const nodeAt = (location) => {
+      let entry = packages[location];
+      let key = location;
+
+      // Workspace symlinks point at the package source folder
+      if (entry?.link) {
+        key = entry.resolved;
+        entry = packages[key] || {};
+        return {
+          key,
+          name: entry.name || nameFromLocation(location),
+          version: entry.version || '0.0.0',
+          internal: true
+        };
+      }
+
+      return {
+        key,
+        location,
+        name: entry.name || nameFromLocation(location),
+        version: entry.version
+      };
+    };
+
+    // Node resolution: look in <dir>/node_modules, then walk up the directory tree
+    const resolveFrom = (dir, name) => {
+      let current = dir;
+      for (;;) {
+        const candidate = current ? `${current}/node_modules/${name}` : `node_modules/${name}`;
+        if (packages[candidate]) return nodeAt(candidate);
+        if (!current) return null;
+        current = parentDirectory(current);
+      }
+    };
+
+    return buildResolvedTree({
+      file: this.lockfilePath,
+      format: `package-lock@${version}`,
+      declared,
+      resolveRoot: dep => resolveFrom(importerPath, dep.name),
+      getDependencies: node => {
+        const entry = packages[node.location] || {};
+        const children = [];
+        for (const [section, type] of DEPENDENCY_SECTIONS) {
+          for (const [name, range] of Object.entries(entry[section] || {})) {
+            const child = resolveFrom(node.location, name);
+            if (child) children.push({ node: child, range, type });
+          }
+        }
+        return children;
+      }
+    });
+  }
+
+  /**
+   * lockfileVersion 1: nested "dependencies" tree with "requires" ranges
+   */
+  _parseDependencyTree(dependencies, declared) {
+    // Look up a name in the nested scope chain, innermost scope first
+    const resolveIn = (scopes, name) => {
+      for (let i = scopes.length - 1; i >= 0; i--) {
+        const entry = scopes[i].dependencies?.[name];
+        if (entry) {
+          const path = [...scopes.slice(1, i + 1).map(s => s.name), name];
+          return {
+            key: path.join('>'),
+            name,
+            version: entry.version,
+            entry,
+            scopes: [...scopes.slice(0, i + 1), { name, dependencies: entry.dependencies }]
+          };
+        }
+      }
+      return null;
+    };
+
+    const rootScope = [{ name: '', dependencies }];
+
+    return buildResolvedTree({
+      file: this.lockfilePath,
+      format: 'package-lock@1',
+      declared,
+      resolveRoot: dep => resolveIn(rootScope, dep.name),
+      getDependencies: node => {
+        const children = [];
+        for (const [name, range] of Object.entries(node.entry.requires || {})) {
+          const child = resolveIn(node.scopes, name);
+          if (child) {
+            children.push({ node: child, range, type: child.entry.optional ? 'optional' : 'production' });
+          }
+        }
+        return children;
+      }
+    });
+  }
+}
+
+/**
+ * Package name from an install location ("node_modules/@scope/pkg" → "@scope/pkg")
+ */
+function nameFromLocation(location) {
+  const index = location.lastIndexOf('node_modules/');
+  return index === -1 ? location.split('/').pop() : location.slice(index + 'node_modules/'.length);
+}
+
+/**
+ * Parent directory of an install location, skipping over node_modules folders
+ */
+function parentDirectory(location) {
+  let parent = location.includes('/') ? location.slice(0, location.lastIndexOf('/')) : '';
+  if (parent === 'node_modules' || parent.endsWith('/node_modules')) {
+    parent = parent.slice(0, -'node_modules'.length).replace(/\/$/, '');
+  }
+  return parent;
+}
+
+export default PackageLockParser;
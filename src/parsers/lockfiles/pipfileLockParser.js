@@ -0,0 +1,65 @@
+// src/parsers/lockfiles/pipfileLockParser.js
+/**
+ * Pipfile.lock Parser
+ * Reads Pipenv lockfiles into a resolved dependency tree
+ *
+ *   { "default": { "requests": { "version": "==2.31.0", "markers": "..." } },
+ *     "develop": { "pytest": { "version": "==7.4.0" } } }
+ *
+ * Pipfile.lock pins every installed package but does not record which package
+ * requires which, so pinned transitive packages are listed without edges.
+ */
+
+import { readFile } from 'fs/promises';
+import { buildResolvedTree } from './resolvedTree.js';
+import { normalizeName } from '../pep508.js';
+
+class PipfileLockParser {
+  constructor(lockfilePath) {
+    this.lockfilePath = lockfilePath;
+  }
+
+  /**
+   * Resolve a project's declared dependencies against Pipfile.lock
+   * @param {Array<object>} declared - Declared dependencies from the Pipfile
+   * @param {string} importerPath - Project directory relative to the lockfile ('' for root)
+   * @returns {Promise<object|null>} Resolved tree, or null if the project is not covered
+   */
+  async parse(declared, importerPath = '') {
+    if (importerPath !== '') {
+      return null;
+    }
+
+    const content = await readFile(this.lockfilePath, 'utf-8');
+    const lockfile = JSON.parse(content);
+
+    const pinned = new Map();
+    for (const section of ['default', 'develop']) {
+      for (const [name, entry] of Object.entries(lockfile[section] || {})) {
+        // VCS and path entries have no version pin
+        const version = entry.version ? entry.version.replace(/^===?/, '') : (entry.ref || entry.path || '');
+        pinned.set(normalizeName(name), { key: normalizeName(name), name, version });
+      }
+    }
+
+    const resolved = buildResolvedTree({
+      file: this.lockfilePath,
+      format: `pipfile-lock@${lockfile._meta?.['pipfile-spec'] || 6}`,
+      declared,
+      resolveRoot: dep => pinned.get(normalizeName(dep.name)) || null,
+      getDependencies: () => []
+    });
+
+    // Keep the pins of packages nothing declares directly
+    const listed = new Set(resolved.packages.map(pkg => normalizeName(pkg.name)));
+    for (const node of pinned.values()) {
+      if (!listed.has(node.key)) {
+        resolved.packages.push({ name: node.name, version: node.version, dependencies: [] });
+      }
+    }
+
+    return resolved;
+  }
+}
+
+export default PipfileLockParser;
@@ -0,0 +1,179 @@
+// src/parsers/lockfiles/pnpmLockParser.js
+/**
+ * pnpm-lock.yaml Parser
+ * Reads pnpm lockfiles (v5, v6 and v9 layouts) into a resolved dependency tree
+ *
+ * Each workspace package is an "importer" keyed by its folder ("." for the root).
+ * Resolved references look like:
+ *   v5: 18.2.0_react@18.2.0          packages key: /react-dom/18.2.0_react@18.2.0
+ *   v6: 18.2.0(react@18.2.0)         packages key: /react-dom@18.2.0(react@18.2.0)
+ *   v9: 18.2.0(react@18.2.0)         snapshots key: react-dom@18.2.0(react@18.2.0)
+ *   link:../lib                      another importer in the workspace
+ */
+
+import { readFile } from 'fs/promises';
+import { existsSync } from 'fs';
+import { dirname, resolve, posix } from 'path';
+import YAML from 'yaml';
+import { buildResolvedTree } from './resolvedTree.js';
+
+// Importer sections that hold resolved references
+const IMPORTER_SECTIONS = ['dependencies', 'devDependencies', 'optionalDependencies'];
+
+// Package sections installed for a dependency, and the edge type they map to
+const DEPENDENCY_SECTIONS = [
+  ['dependencies', 'production'],
+  ['optionalDependencies', 'optional']
+];
+
+class PnpmLockParser {
+  constructor(lockfilePath) {
+    this.lockfilePath = lockfilePath;
+  }
+
+  /**
+   * Resolve a project's declared dependencies against pnpm-lock.yaml
+   * @param {Array<object>} declared - Declared dependencies from package.json
+   * @param {string} importerPath - Project directory relative to the lockfile ('' for root)
+   * @returns {Promise<object|null>} Resolved tree, or null if the project is not an importer
+   */
+  async parse(declared, importerPath = '') {
+    const content = await readFile(this.lockfilePath, 'utf-8');
+    const lockfile = YAML.parse(content) || {};
+    const importerKey = importerPath || '.';
+
+    // Single-project lockfiles keep the importer fields at the top level
+    const importer = lockfile.importers
+      ? lockfile.importers[importerKey]
+      : (importerKey === '.' ? lockfile : null);
+
+    if (!importer) {
+      return null;
+    }
+
+    const graph = lockfile.snapshots || lockfile.packages || {};
+    const importerNames = await this._readImporterNames(Object.keys(lockfile.importers || {}));
+    const references = importerReferences(importer);
+
+    const nodeFor = (name, reference, fromDir) => {
+      if (reference.startsWith('link:')) {
+        const target = posix.normalize(posix.join(fromDir, reference.slice('link:'.length)));
+        return {
+          key: `link:${target}`,
+          name: importerNames.get(target) || name,
+          version: reference,
+          internal: true
+        };
+      }
+
+      const candidates = [
+        reference,
+        `${name}@${reference}`,
+        `/${name}@${reference}`,
+        `/${name}/${reference}`
+      ];
+      const key = candidates.find(candidate => graph[candidate]) || `${name}@${reference}`;
+
+      return { key, name, ...splitPeers(reference) };
+    };
+
+    return buildResolvedTree({
+      file: this.lockfilePath,
+      format: `pnpm-lock@${lockfile.lockfileVersion}`,
+      declared,
+      resolveRoot: dep => {
+        const reference = references.get(dep.name);
+        return reference ? nodeFor(dep.name, reference, importerKey) : null;
+      },
+      getDependencies: node => {
+        const entry = graph[node.key] || {};
+        const children = [];
+        for (const [section, type] of DEPENDENCY_SECTIONS) {
+          for (const [name, reference] of Object.entries(entry[section] || {})) {
+            children.push({ node: nodeFor(name, String(reference), '.'), range: null, type });
+          }
+        }
+        return children;
+      }
+    });
+  }
+
+  /**
+   * Map importer folders to the package names declared in their package.json
+   * @param {Array<string>} importerKeys - Importer folders relative to the lockfile
+   * @returns {Promise<Map<string, string>>} Folder → package name
+   */
+  async _readImporterNames(importerKeys) {
+    const names = new Map();
+    const lockDir = dirname(this.lockfilePath);
+
+    for (const key of importerKeys) {
+      const packageJsonPath = resolve(lockDir, key, 'package.json');
+      if (!existsSync(packageJsonPath)) continue;
+
+      const packageJson = JSON.parse(await readFile(packageJsonPath, 'utf-8'));
+      if (packageJson.name) {
+        names.set(posix.normalize(key), packageJson.name);
+      }
+    }
+
+    return names;
+  }
+}
+
+/**
+ * Collect name → resolved reference for an importer
+ * v5 stores plain references, v6+ stores { specifier, version }
+ */
+function importerReferences(importer) {
+  const references = new Map();
+  for (const section of IMPORTER_SECTIONS) {
+    for (const [name, value] of Object.entries(importer[section] || {})) {
+      references.set(name, String(typeof value === 'object' ? value.version : value));
+    }
+  }
+  return references;
+}
+
+/**
+ * Split a resolved reference into version and peer-dependency suffix
+ * @param {string} reference - e.g. "18.2.0(react@18.2.0)" or "18.2.0_react@18.2.0"
+ * @returns {object} { version, peerSuffix, peers }
+ */
+export function splitPeers(reference) {
+  let body = reference;
+
+  // References that carry the package name: "/name@1.0.0", "alias@1.0.0" (v6+), "/name/1.0.0" (v5)
+  const named = body.match(/^\/?((?:@[^/@]+\/)?[^/@(\d][^/@(]*)@(.+)$/);
+  if (named) {
+    body = named[2];
+  } else if (body.startsWith('/')) {
+    body = body.slice(body.lastIndexOf('/') + 1);
+  }
+
+  const paren = body.indexOf('(');
+  if (paren !== -1) {
+    const peerSuffix = body.slice(paren);
+    return {
+      version: body.slice(0, paren),
+      peerSuffix,
+      peers: [...peerSuffix.matchAll(/\(([^()]+)\)/g)].map(match => match[1])
+    };
+  }
+
+  // v5 joins peers with "+" and writes scoped names as "@scope+name"
+  const underscore = body.indexOf('_');
+  if (underscore !== -1) {
+    const peerSuffix = body.slice(underscore);
+    return {
+      version: body.slice(0, underscore),
+      peerSuffix,
+      peers: [...peerSuffix.matchAll(/(?:@[^+@_]+\+)?[^+@_]+@[^+]+/g)]
+        .map(match => match[0].replace(/^(@[^+]+)\+/, '$1/'))
+    };
+  }
+
+  return { version: body, peerSuffix: null, peers: [] };
+}
+
+export default PnpmLockParser;
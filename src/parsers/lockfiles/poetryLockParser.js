@@ -0,0 +1,76 @@
+// src/parsers/lockfiles/poetryLockParser.js
+/**
+ * poetry.lock Parser
+ * Reads Poetry lockfiles into a resolved dependency tree
+ *
+ *   [[package]]
+ *   name = "requests"
+ *   version = "2.31.0"
+ *
+ *   [package.dependencies]
+ *   certifi = ">=2017.4.17"
+ *   urllib3 = {version = ">=1.21.1,<3", markers = "..."}
+ */
+
+import { readFile } from 'fs/promises';
+import { parse as parseToml } from 'smol-toml';
+import { buildResolvedTree } from './resolvedTree.js';
+import { normalizeName } from '../pep508.js';
+
+class PoetryLockParser {
+  constructor(lockfilePath) {
+    this.lockfilePath = lockfilePath;
+  }
+
+  /**
+   * Resolve a project's declared dependencies against poetry.lock
+   * @param {Array<object>} declared - Declared dependencies from pyproject.toml
+   * @param {string} importerPath - Project directory relative to the lockfile ('' for root)
+   * @returns {Promise<object|null>} Resolved tree, or null if the project is not covered
+   */
+  async parse(declared, importerPath = '') {
+    // Poetry has no workspaces: a lockfile only covers the project next to it
+    if (importerPath !== '') {
+      return null;
+    }
+
+    const content = await readFile(this.lockfilePath, 'utf-8');
+    const lockfile = parseToml(content);
+
+    // Poetry resolves a single version per package
+    const byName = new Map();
+    for (const pkg of lockfile.package || []) {
+      byName.set(normalizeName(pkg.name), pkg);
+    }
+
+    const nodeFor = (name) => {
+      const pkg = byName.get(normalizeName(name));
+      return pkg ? { key: normalizeName(pkg.name), name: pkg.name, version: pkg.version, pkg } : null;
+    };
+
+    return buildResolvedTree({
+      file: this.lockfilePath,
+      format: `poetry-lock@${lockfile.metadata?.['lock-version'] || '1'}`,
+      declared,
+      resolveRoot: dep => nodeFor(dep.name),
+      getDependencies: node => {
+        const children = [];
+        for (const [name, spec] of Object.entries(node.pkg.dependencies || {})) {
+          const value = Array.isArray(spec) ? spec[0] : spec;
+
+          // Optional dependencies are only installed for extras
+          if (typeof value === 'object' && value.optional) continue;
+
+          const child = nodeFor(name);
+          if (child) {
+            const range = typeof value === 'object' ? value.version : value;
+            children.push({ node: child, range: range === '*' ? '' : range, type: 'production' });
+          }
+        }
+        return children;
+      }
+    });
+  }
+}
+
+export default PoetryLockParser;
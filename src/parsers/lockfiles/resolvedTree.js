@@ -0,0 +1,93 @@
+// src/parsers/lockfiles/resolvedTree.js
+/**
+ * Resolved Dependency Tree
+ * Common output shape for every lockfile reader:
+ *
+ *   {
+ *     file: '/repo/package-lock.json',
+ *     format: 'package-lock@3',
+ *     roots: [{ name, version, range, type, ... }],     // project's direct deps as installed
+ *     packages: [{ name, version, dependencies: [...] }] // every reachable resolved package
+ *   }
+ */
+
+/**
+ * Walk a lockfile graph from the project's direct dependencies
+ * Lockfile readers describe their graph through two callbacks so this walk
+ * does not need to know about any lockfile format.
+ *
+ * @param {object} options
+ * @param {string} options.file - Lockfile path
+ * @param {string} options.format - Lockfile format identifier
+ * @param {Array<object>} options.declared - Declared dependencies ({ name, versionRange, type })
+ * @param {Function} options.resolveRoot - (declaredDep) => node or null
+ * @param {Function} options.getDependencies - (node) => [{ node, range, type }]
+ * @returns {object} Resolved tree
+ *
+ * A node is { key, name, version, peerSuffix?, peers?, internal? }. Internal nodes (workspace links)
+ * are recorded as roots but not expanded, since they are loaded as projects of their own.
+ */
+export function buildResolvedTree({ file, format, declared, resolveRoot, getDependencies }) {
+  const roots = [];
+  const packages = new Map();
+  const queue = [];
+  const visited = new Set();
+
+  for (const dep of declared) {
+    const node = resolveRoot(dep);
+    if (!node) continue;
+
+    roots.push({
+      name: dep.name,
+      version: node.version,
+      range: dep.versionRange || dep.version,
+      type: dep.type,
+      peerSuffix: node.peerSuffix || null,
+      peers: node.peers || [],
+      internal: Boolean(node.internal),
+      linkedProject: node.internal ? node.name : null
+    });
+    queue.push(node);
+  }
+
+  for (let i = 0; i < queue.length; i++) {
+    const node = queue[i];
+    if (visited.has(node.key) || node.internal) continue;
+    visited.add(node.key);
+
+    const id = `${node.name}@${node.version}`;
+    if (!packages.has(id)) {
+      packages.set(id, { name: node.name, version: node.version, dependencies: [] });
+    }
+    const pkg = packages.get(id);
+
+    for (const child of getDependencies(node)) {
+      if (child.node.internal) continue;
+
+      if (!pkg.dependencies.some(d => d.name === child.node.name && d.version === child.node.version)) {
+        pkg.dependencies.push({
+          name: child.node.name,
+          version: child.node.version,
+          range: child.range,
+          type: child.type,
+          peerSuffix: child.node.peerSuffix || null,
+          peers: child.node.peers || []
+        });
+      }
+      if (!visited.has(child.node.key)) queue.push(child.node);
+    }
+  }
+
+  return { file, format, roots, packages: [...packages.values()] };
+}
+
+/**
+ * Count parent→child edges in a resolved tree
+ * @param {object} resolved - Resolved tree
+ * @returns {number} Number of transitive edges
+ */
+export function countEdges(resolved) {
+  return resolved.packages.reduce((sum, pkg) => sum + pkg.dependencies.length, 0);
+}
+
+export default { buildResolvedTree, countEdges };
@@ -0,0 +1,97 @@
+// src/parsers/lockfiles/uvLockParser.js
+/**
+ * uv.lock Parser
+ * Reads uv lockfiles (including uv workspaces) into a resolved dependency tree
+ *
+ *   [[package]]
+ *   name = "app"
+ *   version = "0.1.0"
+ *   source = { editable = "." }          # workspace member
+ *   dependencies = [{ name = "requests" }, { name = "lib" }]
+ *
+ *   [[package]]
+ *   name = "requests"
+ *   version = "2.31.0"
+ *   source = { registry = "https://pypi.org/simple" }
+ *   dependencies = [{ name = "certifi" }, { name = "urllib3", marker = "..." }]
+ */
+
+import { readFile } from 'fs/promises';
+import { posix } from 'path';
+import { parse as parseToml } from 'smol-toml';
+import { buildResolvedTree } from './resolvedTree.js';
+import { normalizeName } from '../pep508.js';
+
+class UvLockParser {
+  constructor(lockfilePath) {
+    this.lockfilePath = lockfilePath;
+  }
+
+  /**
+   * Resolve a project's declared dependencies against uv.lock
+   * @param {Array<object>} declared - Declared dependencies from pyproject.toml
+   * @param {string} importerPath - Project directory relative to the lockfile ('' for root)
+   * @returns {Promise<object|null>} Resolved tree, or null if the project is not a member
+   */
+  async parse(declared, importerPath = '') {
+    const content = await readFile(this.lockfilePath, 'utf-8');
+    const lockfile = parseToml(content);
+    const packages = lockfile.package || [];
+
+    // Workspace members are locked as editable or virtual sources pointing at their folder
+    const memberPath = pkg => {
+      const path = pkg.source?.editable ?? pkg.source?.virtual;
+      return path === undefined ? null : posix.normalize(path);
+    };
+
+    const importer = packages.find(pkg => memberPath(pkg) === posix.normalize(importerPath || '.'));
+    if (!importer) {
+      return null;
+    }
+
+    // uv may lock several versions of a package for different environments
+    const byName = new Map();
+    for (const pkg of packages) {
+      const key = normalizeName(pkg.name);
+      if (!byName.has(key)) byName.set(key, []);
+      byName.get(key).push(pkg);
+    }
+
+    const nodeFor = (reference) => {
+      const candidates = byName.get(normalizeName(reference.name)) || [];
+      const pkg = candidates.find(c => !reference.version || c.version === reference.version) || candidates[0];
+      if (!pkg) return null;
+
+      return {
+        key: `${normalizeName(pkg.name)}@${pkg.version}`,
+        name: pkg.name,
+        version: pkg.version,
+        internal: memberPath(pkg) !== null,
+        pkg
+      };
+    };
+
+    // The importer's own entries pin which version of each declared dependency is used
+    const importerReferences = new Map();
+    const importerGroups = [
+      importer.dependencies || [],
+      ...Object.values(importer['optional-dependencies'] || {}),
+      ...Object.values(importer['dev-dependencies'] || {})
+    ];
+    importerGroups.flat().forEach(reference => {
+      importerReferences.set(normalizeName(reference.name), reference);
+    });
+
+    return buildResolvedTree({
+      file: this.lockfilePath,
+      format: `uv-lock@${lockfile.version || 1}`,
+      declared,
+      resolveRoot: dep => nodeFor(importerReferences.get(normalizeName(dep.name)) || { name: dep.name }),
+      getDependencies: node => (node.pkg.dependencies || [])
+        .map(reference => ({ node: nodeFor(reference), range: '', type: 'production' }))
+        .filter(child => child.node)
+    });
+  }
+}
+
+export default UvLockParser;
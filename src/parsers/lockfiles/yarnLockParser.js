@@ -0,0 +1,178 @@
+// src/parsers/lockfiles/yarnLockParser.js
+/**
+ * yarn.lock Parser
+ * Reads Yarn classic (v1) and Yarn Berry (v2+) lockfiles into a resolved dependency tree
+ */
+
+import { readFile } from 'fs/promises';
+import { dirname, resolve } from 'path';
+import YAML from 'yaml';
+import { buildResolvedTree } from './resolvedTree.js';
+import { findWorkspacePackages } from '../../utils/workspace.js';
+
+// Lockfile entry sections installed for a dependency, and the edge type they map to
+const DEPENDENCY_SECTIONS = [
+  ['dependencies', 'production'],
+  ['optionalDependencies', 'optional'],
+  ['peerDependencies', 'peer']
+];
+
+class YarnLockParser {
+  constructor(lockfilePath) {
+    this.lockfilePath = lockfilePath;
+  }
+
+  /**
+   * Resolve a project's declared dependencies against yarn.lock
+   * @param {Array<object>} declared - Declared dependencies from package.json
+   * @param {string} importerPath - Project directory relative to the lockfile ('' for root)
+   * @returns {Promise<object|null>} Resolved tree, or null if the project is not covered
+   */
+  async parse(declared, importerPath = '') {
+    const content = await readFile(this.lockfilePath, 'utf-8');
+    const berry = /^__metadata:/m.test(content);
+
+    const entries = berry ? this._parseBerry(content) : this._parseClassic(content);
+
+    if (!(await this._coversImporter(entries, importerPath, berry))) {
+      return null;
+    }
+
+    // Index every "name@range" descriptor to its entry
+    const descriptors = new Map();
+    for (const entry of entries) {
+      for (const descriptor of entry.descriptors) {
+        descriptors.set(descriptor, entry);
+      }
+    }
+
+    const lookup = (name, range) => {
+      const entry = descriptors.get(`${name}@${range}`) || descriptors.get(`${name}@npm:${range}`);
+      if (!entry) return null;
+      return {
+        key: entry.descriptors[0],
+        name,
+        version: entry.version,
+        internal: entry.internal,
+        entry
+      };
+    };
+
+    return buildResolvedTree({
+      file: this.lockfilePath,
+      format: berry ? 'yarn@berry' : 'yarn@1',
+      declared,
+      resolveRoot: dep => lookup(dep.name, dep.versionRange || dep.version),
+      getDependencies: node => {
+        const children = [];
+        for (const [section, type] of DEPENDENCY_SECTIONS) {
+          for (const [name, range] of Object.entries(node.entry[section] || {})) {
+            const child = lookup(name, range);
+            if (child) children.push({ node: child, range, type });
+          }
+        }
+        return children;
+      }
+    });
+  }
+
+  /**
+   * Yarn classic format: indentation-based blocks with space-separated values
+   *
+   *   "@babel/code-frame@^7.0.0", "@babel/code-frame@^7.10.4":
+   *     version "7.12.13"
+   *     dependencies:
+   *       "@babel/highlight" "^7.12.13"
+   *
+   * @param {string} content - yarn.lock content
+   * @returns {Array<object>} Lockfile entries
+   */
+  _parseClassic(content) {
+    const entries = [];
+    let entry = null;
+    let section = null;
+
+    for (const line of content.split('\n')) {
+      if (!line.trim() || line.trimStart().startsWith('#')) continue;
+
+      const indent = line.length - line.trimStart().length;
+      const text = line.trim();
+
+      if (indent === 0) {
+        const descriptors = text.replace(/:$/, '').split(/,\s*/).map(unquote);
+        entry = { descriptors, version: null, internal: false };
+        entries.push(entry);
+        section = null;
+      } else if (entry && indent === 2) {
+        if (text.endsWith(':')) {
+          section = text.slice(0, -1);
+          entry[section] = {};
+        } else {
+          section = null;
+          const [key, value] = splitPair(text);
+          if (key === 'version') entry.version = value;
+        }
+      } else if (entry && section && indent >= 4) {
+        const [name, range] = splitPair(text);
+        entry[section][name] = range;
+      }
+    }
+
+    return entries;
+  }
+
+  /**
+   * Yarn Berry format: YAML with comma-separated descriptor keys
+   * Workspace entries use the "workspace:" protocol and link to local folders.
+   * @param {string} content - yarn.lock content
+   * @returns {Array<object>} Lockfile entries
+   */
+  _parseBerry(content) {
+    const document = YAML.parse(content) || {};
+
+    return Object.entries(document)
+      .filter(([key]) => key !== '__metadata')
+      .map(([key, value]) => ({
+        ...value,
+        descriptors: key.split(/,\s*/),
+        version: String(value.version),
+        internal: value.linkType === 'soft' || key.includes('@workspace:'),
+        workspacePath: value.resolution?.match(/@workspace:(.+)$/)?.[1] ?? null
+      }));
+  }
+
+  /**
+   * Make sure a project in a subdirectory really belongs to this lockfile
+   * @returns {Promise<boolean>} True if the importer is part of the lockfile
+   */
+  async _coversImporter(entries, importerPath, berry) {
+    if (importerPath === '') {
+      return true;
+    }
+
+    // Berry lists every workspace, keyed by its folder relative to the root
+    if (berry) {
+      return entries.some(entry => entry.workspacePath === importerPath);
+    }
+
+    // Classic lockfiles do not list workspaces, so check the root's configuration
+    const lockDir = dirname(this.lockfilePath);
+    const workspace = await findWorkspacePackages(lockDir);
+    return workspace.packages.includes(resolve(lockDir, importerPath));
+  }
+}
+
+/**
+ * Split a classic "key value" line, handling quoted keys and values
+ */
+function splitPair(text) {
+  const match = text.match(/^("(?:[^"\\]|\\.)*"|\S+)\s+(.*)$/);
+  if (!match) return [unquote(text), ''];
+  return [unquote(match[1]), unquote(match[2])];
+}
+
+function unquote(value) {
+  return value.trim().replace(/^"(.*)"$/, '$1');
+}
+
+export default YarnLockParser;
@@ -0,0 +1,174 @@
+// src/parsers/manifestScanner.js
+/**
+ * Manifest Scanner
+ * Walks a directory tree and finds every dependency manifest the parsers understand
+ */
+
+import { readdir } from 'fs/promises';
+import { resolve, relative, sep } from 'path';
+import { existsSync } from 'fs';
+import ParserRegistry from './parserRegistry.js';
+import { matchesAny } from '../utils/glob.js';
+import logger from '../utils/logger.js';
+
+// Directories skipped in every scan
+export const DEFAULT_IGNORES = ['node_modules', '.venv', 'dist', '.git'];
+
+class ManifestScanner {
+  /**
+   * @param {string} rootPath - Directory to scan
+   * @param {object} options - Scan options
+   * @param {Array<string>} options.ignore - Extra glob patterns to skip
+   * @param {ParserRegistry} options.registry - Parsers to use (defaults to the built-in ones)
+   */
+  constructor(rootPath, options = {}) {
+    this.rootPath = resolve(rootPath);
+    this.ignore = [...DEFAULT_IGNORES, ...(options.ignore || [])];
+    this.registry = options.registry || ParserRegistry.withBuiltins();
+  }
+
+  /**
+   * Find all manifests below the root directory
+   * @returns {Promise<Array<object>>} Manifests with their directory and parser
+   */
+  async scan() {
+    const directories = new Set();
+    await this._walk(this.rootPath, this.registry.manifests(), directories);
+
+    // The registry picks one parser per language in each directory
+    // (e.g. pyproject.toml wins over requirements.txt, which PyprojectParser falls back to)
+    const manifests = [];
+    for (const dir of directories) {
+      for (const Parser of this.registry.detect(dir)) {
+        const manifest = Parser.manifests.find(file => existsSync(resolve(dir, file))) || Parser.manifests[0];
+        manifests.push({
+          projectPath: dir,
+          manifestPath: resolve(dir, manifest),
+          manifest,
+          Parser
+        });
+      }
+    }
+
+    return manifests.sort((a, b) => a.manifestPath.localeCompare(b.manifestPath));
+  }
+
+  /**
+   * Parse every manifest found by scan()
+   * Manifests that fail to parse are reported instead of aborting the scan
+   * @param {Array<object>} manifests - Result of scan()
+   * @returns {Promise<object>} Parsed projects and failures
+   */
+  async parseAll(manifests) {
+    const projects = [];
+    const failures = [];
+    const seen = new Set();
+
+    for (const manifest of manifests) {
+      try {
+        const parser = new manifest.Parser(manifest.projectPath);
+
+        // Workspace and multi-module manifests yield their members too, which the scan also finds on their own
+        for (const parsedData of [].concat(await parser.parse())) {
+          if (seen.has(parsedData.dependencyFile)) continue;
+          seen.add(parsedData.dependencyFile);
+
+          projects.push({
+            ...manifest,
+            projectPath: parsedData.projectPath,
+            manifestPath: parsedData.dependencyFile,
+            parser,
+            parsedData
+          });
+        }
+      } catch (error) {
+        failures.push({ ...manifest, error: error.message });
+      }
+    }
+
+    return { projects, failures };
+  }
+
+  /**
+   * Print what the scan found, grouped by language
+   * @param {object} results - Result of parseAll()
+   */
+  printSummary({ projects, failures }) {
+    logger.header('Scan Summary');
+    console.log(`Root: ${this.rootPath}`);
+    console.log(`Ignored: ${this.ignore.join(', ')}`);
+    console.log(`\nManifests found: ${projects.length + failures.length}`);
+
+    const byLanguage = {};
+    projects.forEach(project => {
+      const language = project.parsedData.language;
+      if (!byLanguage[language]) byLanguage[language] = [];
+      byLanguage[language].push(project);
+    });
+
+    Object.entries(byLanguage).forEach(([language, languageProjects]) => {
+      console.log(`\n  ${language.toUpperCase()} (${languageProjects.length}):`);
+      languageProjects.forEach(({ parsedData, manifestPath }) => {
+        console.log(
+          `    - ${parsedData.projectName} ` +
+          `(${this._relative(manifestPath)}, ${parsedData.totalDependencies} dependencies)`
+        );
+      });
+    });
+
+    if (failures.length > 0) {
+      console.log(`\n  SKIPPED (${failures.length}):`);
+      failures.forEach(({ manifestPath, error }) => {
+        console.log(`    - ${this._relative(manifestPath)}: ${error}`);
+      });
+    }
+
+    const totalDeps = projects.reduce((sum, p) => sum + p.parsedData.totalDependencies, 0);
+    console.log(`\nTotal Projects: ${projects.length}`);
+    console.log(`Total Dependencies: ${totalDeps}`);
+    console.log();
+  }
+
+  /**
+   * Recursively collect directories holding a manifest, skipping ignored directories
+   * @param {string} dir - Directory being walked
+   * @param {Set<string>} manifestNames - File names any parser reads
+   * @param {Set<string>} directories - Accumulator
+   */
+  async _walk(dir, manifestNames, directories) {
+    const entries = await readdir(dir, { withFileTypes: true });
+
+    for (const entry of entries) {
+      const fullPath = resolve(dir, entry.name);
+
+      if (this._isIgnored(entry.name, fullPath)) {
+        continue;
+      }
+
+      if (entry.isDirectory()) {
+        await this._walk(fullPath, manifestNames, directories);
+      } else if (entry.isFile() && manifestNames.has(entry.name)) {
+        directories.add(dir);
+      }
+    }
+  }
+
+  /**
+   * Patterns without a slash match an entry name anywhere in the tree,
+   * patterns with a slash match the path relative to the root
+   * @param {string} name - Entry name
+   * @param {string} fullPath - Absolute entry path
+   * @returns {boolean} True if the entry should be skipped
+   */
+  _isIgnored(name, fullPath) {
+    const relPath = this._relative(fullPath);
+    return matchesAny(name, this.ignore.filter(p => !p.includes('/'))) ||
+      matchesAny(relPath, this.ignore);
+  }
+
+  _relative(fullPath) {
+    return relative(this.rootPath, fullPath).split(sep).join('/');
+  }
+}
+
+export default ManifestScanner;
@@ -0,0 +1,478 @@
+// src/parsers/mavenParser.js
+/**
+ * Maven Parser
+ * Parses pom.xml files (single modules and multi-module builds) to extract dependencies
+ *
+ * Versions are taken from the dependency itself or from <dependencyManagement>,
+ * both after ${property} interpolation, with the local <parent> chain merged in
+ * the way Maven builds the effective POM.
+ */
+
+import { readFile } from 'fs/promises';
+import { resolve, basename, dirname } from 'path';
+import { existsSync, statSync } from 'fs';
+import { XMLParser } from 'fast-xml-parser';
+import logger from '../utils/logger.js';
+
+// <scope> → dependency type
+const SCOPE_TYPES = {
+  compile: 'production',
+  runtime: 'production',
+  provided: 'provided',
+  system: 'provided',
+  test: 'development',
+  import: 'platform',
+  parent: 'platform'
+};
+
+const xmlParser = new XMLParser({
+  ignoreAttributes: true,
+  parseTagValue: false,
+  trimValues: true,
+  isArray: (name, jpath) => [
+    'project.modules.module',
+    'project.dependencies.dependency',
+    'project.dependencyManagement.dependencies.dependency'
+  ].includes(jpath)
+});
+
+class MavenParser {
+  static language = 'java';
+  static manifests = ['pom.xml'];
+  static priority = 20;
+
+  /**
+   * Check whether a directory holds a project this parser reads
+   * @param {string} dir - Directory to check
+   * @returns {boolean} True if pom.xml exists
+   */
+  static detect(dir) {
+    return existsSync(resolve(dir, 'pom.xml'));
+  }
+
+  constructor(projectPath) {
+    this.projectPath = resolve(projectPath);
+    this.projectName = basename(this.projectPath);
+    this.poms = new Map();
+    this.models = new Map();
+  }
+
+  /**
+   * Parse Maven dependencies
+   * A POM with <modules> yields one project per module (the aggregator included)
+   * @returns {Promise<object|Array<object>>} Parsed project, or projects for a multi-module build
+   */
+  async parse() {
+    const pomPath = resolve(this.projectPath, 'pom.xml');
+
+    if (!existsSync(pomPath)) {
+      throw new Error(`No pom.xml found in ${this.projectPath}`);
+    }
+
+    // Load the whole build so sibling modules and BOMs are known when parsing one module
+    const rootPomPath = await this._findBuildRoot(pomPath);
+    const pomPaths = await this._collectModules(rootPomPath, new Set());
+    if (!pomPaths.includes(pomPath)) {
+      pomPaths.push(pomPath);
+    }
+
+    // Modules of the same build depend on each other by coordinates
+    const reactor = new Set();
+    for (const modulePath of pomPaths) {
+      const model = await this._effectiveModel(modulePath);
+      reactor.add(`${model.groupId}:${model.artifactId}`);
+    }
+
+    if (pomPath !== rootPomPath || pomPaths.length === 1) {
+      return await this._parseModule(pomPath, reactor);
+    }
+
+    const projects = [];
+    for (const modulePath of pomPaths) {
+      projects.push(await this._parseModule(modulePath, reactor));
+    }
+
+    logger.info(`Maven build with ${projects.length} modules`);
+    return projects;
+  }
+
+  /**
+   * Follow local <parent> references up to the top POM of the build
+   * @param {string} pomPath - Path to pom.xml
+   * @returns {Promise<string>} Path to the topmost local parent POM
+   */
+  async _findBuildRoot(pomPath) {
+    let current = pomPath;
+    const seen = new Set([current]);
+
+    for (;;) {
+      const { project } = await this._loadPom(current);
+      const parentPath = project.parent ? await this._localParentPath(current, project.parent) : null;
+      if (!parentPath || seen.has(parentPath)) return current;
+
+      seen.add(parentPath);
+      current = parentPath;
+    }
+  }
+
+  /**
+   * List a POM and, recursively, the POMs of its <modules>
+   * @param {string} pomPath - Path to pom.xml
+   * @param {Set<string>} seen - POMs already listed
+   * @returns {Promise<Array<string>>} POM paths, aggregator first
+   */
+  async _collectModules(pomPath, seen) {
+    if (seen.has(pomPath)) return [];
+    seen.add(pomPath);
+
+    const { project } = await this._loadPom(pomPath);
+    const pomPaths = [pomPath];
+
+    for (const module of project.modules?.module || []) {
+      const modulePath = pomFile(resolve(dirname(pomPath), module));
+      if (existsSync(modulePath)) {
+        pomPaths.push(...await this._collectModules(modulePath, seen));
+      } else {
+        logger.warning(`Module ${module} has no pom.xml at ${modulePath}`);
+      }
+    }
+
+    return pomPaths;
+  }
+
+  /**
+   * Parse one module into a project
+   * @param {string} pomPath - Path to pom.xml
+   * @param {Set<string>} reactor - groupId:artifactId of every module in the build
+   * @returns {Promise<object>} Parsed project information
+   */
+  async _parseModule(pomPath, reactor) {
+    try {
+      const model = await this._effectiveModel(pomPath);
+      const { lines } = await this._loadPom(pomPath);
+
+      const dependencies = [...model.dependencies.values()].map(raw => {
+        const dep = this._toDependency(raw, model, lines);
+        if (reactor.has(dep.name)) {
+          dep.linkedProject = dep.name;
+        }
+        return dep;
+      });
+
+      // BOMs imported into <dependencyManagement> are platform dependencies of the module
+      for (const bom of model.boms) {
+        const dep = this._toDependency(bom, model, lines);
+        if (reactor.has(dep.name)) {
+          dep.linkedProject = dep.name;
+        }
+        dependencies.push(dep);
+      }
+
+      return {
+        projectName: `${model.groupId}:${model.artifactId}`,
+        projectPath: dirname(pomPath),
+        language: 'java',
+        version: model.version || '0.0.0',
+        description: model.description || '',
+        dependencyFile: pomPath,
+        dependencies,
+        totalDependencies: dependencies.length,
+        parent: model.parent,
+        stats: countByType(dependencies)
+      };
+    } catch (error) {
+      throw new Error(`Failed to parse pom.xml: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build the effective model of a POM: coordinates, properties, managed
+   * versions and dependencies, with the local parent chain merged in
+   * @param {string} pomPath - Path to pom.xml
+   * @returns {Promise<object>} Effective model
+   */
+  async _effectiveModel(pomPath) {
+    if (this.models.has(pomPath)) {
+      return this.models.get(pomPath);
+    }
+
+    const { project } = await this._loadPom(pomPath);
+    const parentRef = project.parent || null;
+    const parent = parentRef ? await this._loadParent(pomPath, parentRef) : null;
+
+    const groupId = project.groupId || parentRef?.groupId;
+    const version = project.version || parentRef?.version;
+
+    const properties = {
+      ...(parent?.properties || {}),
+      ...(project.properties || {}),
+      'project.groupId': groupId,
+      'project.artifactId': project.artifactId,
+      'project.version': version,
+      'project.parent.groupId': parentRef?.groupId,
+      'project.parent.version': parentRef?.version,
+      'pom.groupId': groupId,
+      'pom.version': version
+    };
+
+    const interpolateAll = entry => Object.fromEntries(
+      Object.entries(entry).map(([key, value]) => [key, typeof value === 'string' ? interpolate(value, properties) : value])
+    );
+
+    // Managed versions: parent entries first, then this POM's own
+    const managed = new Map(parent?.managed || []);
+    const boms = [];
+    for (const entry of project.dependencyManagement?.dependencies?.dependency || []) {
+      const dep = interpolateAll(entry);
+      if (dep.scope === 'import') {
+        // Imported BOMs are platform dependencies; one from this build also contributes its managed versions
+        const local = this._findLocalPom(dep);
+        if (local) {
+          (await this._effectiveModel(local)).managed.forEach((value, key) => managed.set(key, value));
+        }
+        boms.push(dep);
+        continue;
+      }
+      managed.set(`${dep.groupId}:${dep.artifactId}`, dep);
+    }
+
+    // A parent from a repository manages versions too, like an imported BOM
+    if (parentRef && !parent) {
+      boms.push({ ...parentRef, scope: 'parent' });
+    }
+
+    // Dependencies declared in a parent POM are inherited by its children
+    const dependencies = new Map(parent?.dependencies || []);
+    for (const entry of project.dependencies?.dependency || []) {
+      const dep = interpolateAll(entry);
+      dependencies.set(`${dep.groupId}:${dep.artifactId}`, dep);
+    }
+
+    const model = {
+      groupId,
+      artifactId: project.artifactId,
+      version,
+      description: project.description || project.name || '',
+      parent: parentRef ? `${parentRef.groupId}:${parentRef.artifactId}` : null,
+      properties,
+      managed,
+      boms: [...(parent?.boms || []), ...boms],
+      dependencies
+    };
+
+    this.models.set(pomPath, model);
+    return model;
+  }
+
+  /**
+   * Load the effective model of a parent POM when it is part of this checkout
+   * Parents resolved from a repository (e.g. spring-boot-starter-parent) are not
+   * available, so versions they manage are reported as "managed".
+   * @param {string} pomPath - Child pom.xml
+   * @param {object} parentRef - <parent> element
+   * @returns {Promise<object|null>} Parent model or null
+   */
+  async _loadParent(pomPath, parentRef) {
+    const parentPath = await this._localParentPath(pomPath, parentRef);
+    return parentPath ? await this._effectiveModel(parentPath) : null;
+  }
+
+  /**
+   * Path of a parent POM in this checkout, found through <relativePath>
+   * @param {string} pomPath - Child pom.xml
+   * @param {object} parentRef - <parent> element
+   * @returns {Promise<string|null>} Parent pom.xml path, or null if it is not local
+   */
+  async _localParentPath(pomPath, parentRef) {
+    const relativePath = parentRef.relativePath ?? '../pom.xml';
+    if (!relativePath) return null;
+
+    const parentPath = pomFile(resolve(dirname(pomPath), relativePath));
+    if (!existsSync(parentPath) || parentPath === pomPath) return null;
+
+    const { project } = await this._loadPom(parentPath);
+    const parentGroupId = project.groupId || project.parent?.groupId;
+    if (project.artifactId !== parentRef.artifactId || parentGroupId !== parentRef.groupId) {
+      return null;
+    }
+
+    return parentPath;
+  }
+
+  /**
+   * Find a POM of this build with the coordinates of a dependency
+   * @param {object} dep - Dependency element
+   * @returns {string|null} Path to the matching pom.xml
+   */
+  _findLocalPom(dep) {
+    for (const [pomPath, { project }] of this.poms) {
+      const groupId = project.groupId || project.parent?.groupId;
+      if (groupId === dep.groupId && project.artifactId === dep.artifactId) {
+        return pomPath;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Convert a <dependency> element into a dependency object
+   * @param {object} raw - Interpolated dependency element
+   * @param {object} model - Effective model of the declaring POM
+   * @param {Array<string>} lines - POM lines, for line numbers
+   * @returns {object} Dependency object
+   */
+  _toDependency(raw, model, lines) {
+    const name = `${raw.groupId}:${raw.artifactId}`;
+    const managed = model.managed.get(name);
+    const version = raw.version || managed?.version || 'managed';
+    const scope = raw.scope || managed?.scope || 'compile';
+
+    let type = SCOPE_TYPES[scope] || 'production';
+    if (raw.optional === 'true' && type === 'production') type = 'optional';
+
+    const { operator, version: parsedVersion } = parseVersion(version);
+
+    return {
+      name,
+      version: parsedVersion,
+      versionRange: version,
+      operator,
+      language: 'java',
+      type,
+      scope,
+      managedVersion: !raw.version && managed ? managed.version : null,
+      lineNumber: findDependencyLine(lines, raw.artifactId),
+      raw: `${name}:${version}`
+    };
+  }
+
+  /**
+   * Read and parse a POM (cached)
+   * @param {string} pomPath - Path to pom.xml
+   * @returns {Promise<object>} { project, lines }
+   */
+  async _loadPom(pomPath) {
+    if (!this.poms.has(pomPath)) {
+      const content = await readFile(pomPath, 'utf-8');
+      const { project } = xmlParser.parse(content);
+      if (!project) {
+        throw new Error(`${pomPath} has no <project> element`);
+      }
+      this.poms.set(pomPath, { project, lines: content.split('\n') });
+    }
+    return this.poms.get(pomPath);
+  }
+
+  /**
+   * Print a summary of parsed dependencies
+   * @param {object} parsedData - Parsed project data
+   */
+  printSummary(parsedData) {
+    logger.header('Project Summary');
+    console.log(`Project: ${parsedData.projectName}`);
+    console.log(`Version: ${parsedData.version}`);
+    if (parsedData.parent) {
+      console.log(`Parent: ${parsedData.parent}`);
+    }
+    console.log(`Language: ${parsedData.language}`);
+    console.log(`Path: ${parsedData.projectPath}`);
+    console.log(`Dependency File: ${parsedData.dependencyFile}`);
+    console.log(`\nTotal Dependencies: ${parsedData.totalDependencies}`);
+    Object.entries(parsedData.stats).forEach(([type, count]) => {
+      console.log(`  - ${type.charAt(0).toUpperCase()}${type.slice(1)}: ${count}`);
+    });
+
+    logger.section('\nDependencies:');
+    parsedData.dependencies.forEach(dep => {
+      const scopeStr = dep.scope !== 'compile' ? ` (${dep.scope})` : '';
+      const linkStr = dep.linkedProject ? ' (module)' : '';
+      console.log(`  - ${dep.name} ${dep.versionRange}${scopeStr}${linkStr}`);
+    });
+    console.log();
+  }
+}
+
+/**
+ * Replace ${name} references with property values
+ * Properties may refer to other properties, so substitution repeats until stable.
+ * @param {string} value - Text to interpolate
+ * @param {object} properties - Property values
+ * @returns {string} Interpolated text (unknown properties are left as-is)
+ */
+function interpolate(value, properties) {
+  let result = value;
+  for (let pass = 0; pass < 10 && result.includes('${'); pass++) {
+    const next = result.replace(/\$\{([^}]+)\}/g, (match, key) => {
+      const replacement = properties[key];
+      return replacement === undefined || replacement === null ? match : String(replacement);
+    });
+    if (next === result) break;
+    result = next;
+  }
+  return result;
+}
+
+/**
+ * Operator of a Maven version: ranges such as [1.0,2.0) are kept whole
+ * @param {string} version - Version or range
+ * @returns {object} { version, operator }
+ */
+function parseVersion(version) {
+  if (/^[[(]/.test(version)) {
+    return { version, operator: 'range' };
+  }
+  return { version, operator: '' };
+}
+
+/**
+ * pom.xml inside a directory, or the path itself when it names a file
+ */
+function pomFile(path) {
+  return existsSync(path) && statSync(path).isDirectory() ? resolve(path, 'pom.xml') : path;
+}
+
+/**
+ * Line declaring a dependency
+ * <dependencies> normally follows <dependencyManagement>, so the last mention wins.
+ * @param {Array<string>} lines - POM lines
+ * @param {string} artifactId - Dependency artifactId
+ * @returns {number} 1-based line number, or 0
+ */
+function findDependencyLine(lines, artifactId) {
+  const tag = `<artifactId>${artifactId}</artifactId>`;
+  for (let i = lines.length - 1; i >= 0; i--) {
+    if (lines[i].includes(tag)) return i + 1;
+  }
+  return 0;
+}
+
+/**
+ * Count dependencies per type
+ */
+function countByType(dependencies) {
+  const stats = { production: 0, development: 0, provided: 0, optional: 0 };
+  dependencies.forEach(dep => {
+    stats[dep.type] = (stats[dep.type] || 0) + 1;
+  });
+  return stats;
+}
+
+export default MavenParser;
+
+// Test the parser when run directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const projectPath = process.argv[2] || process.cwd();
+
+  logger.header('Maven Parser Test');
+  logger.info(`Parsing project: ${projectPath}`);
+
+  const parser = new MavenParser(projectPath);
+
+  try {
+    const parsedData = await parser.parse();
+    [].concat(parsedData).forEach(project => parser.printSummary(project));
+  } catch (error) {
+    logger.error(`Parse failed: ${error.message}`);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,148 @@
+// src/parsers/parserRegistry.js
+/**
+ * Parser Registry
+ * Knows every parser, which manifests it reads and which one wins for a directory
+ *
+ * A parser is a class with:
+ *   static language   - ecosystem it parses ('javascript', 'python', ...)
+ *   static manifests  - manifest file names it reads
+ *   static priority   - higher wins when several parsers of one language match
+ *   static detect(dir) - true if the directory holds a project it can read
+ *   new Parser(dir).parse() - parsed project, or an array of projects
+ *   parser.printSummary(parsedData)
+ */
+
+import { resolve, dirname } from 'path';
+import { pathToFileURL } from 'url';
+import JavaScriptParser from './javascriptParser.js';
+import PythonParser from './pythonParser.js';
+import PyprojectParser from './pyprojectParser.js';
+import PipfileParser from './pipfileParser.js';
+import GoParser from './goParser.js';
+import CargoParser from './cargoParser.js';
+import MavenParser from './mavenParser.js';
+import GradleParser from './gradleParser.js';
+import { loadConfig } from '../utils/config.js';
+import logger from '../utils/logger.js';
+
+export const BUILTIN_PARSERS = [
+  JavaScriptParser,
+  PyprojectParser,
+  PipfileParser,
+  PythonParser,
+  GoParser,
+  CargoParser,
+  MavenParser,
+  GradleParser
+];
+
+class ParserRegistry {
+  constructor() {
+    this.parsers = [];
+  }
+
+  /**
+   * Create a registry with only the built-in parsers
+   * @returns {ParserRegistry} Registry
+   */
+  static withBuiltins() {
+    const registry = new ParserRegistry();
+    BUILTIN_PARSERS.forEach(Parser => registry.register(Parser));
+    return registry;
+  }
+
+  /**
+   * Create a registry with the built-in parsers and any plugins from the config file
+   * @param {string} startPath - Directory the config file search starts from
+   * @param {string} configPath - Explicit config file (optional)
+   * @returns {Promise<ParserRegistry>} Registry
+   */
+  static async create(startPath = process.cwd(), configPath = null) {
+    const registry = ParserRegistry.withBuiltins();
+
+    const loaded = await loadConfig(startPath, configPath);
+    if (loaded.config.parsers?.length) {
+      await registry.loadPlugins(loaded.config.parsers, dirname(loaded.configPath));
+    }
+
+    return registry;
+  }
+
+  /**
+   * Add a parser
+   * @param {Function} Parser - Parser class
+   * @returns {ParserRegistry} This registry, for chaining
+   */
+  register(Parser) {
+    validateParser(Parser);
+    this.parsers.push(Parser);
+    return this;
+  }
+
+  /**
+   * Import third-party parser modules
+   * A module's default export is a parser class or an array of parser classes.
+   * @param {Array<string>} specifiers - Relative paths or package names
+   * @param {string} baseDir - Directory relative paths are resolved against
+   */
+  async loadPlugins(specifiers, baseDir) {
+    for (const specifier of specifiers) {
+      const url = /^\.{0,2}\//.test(specifier) ? pathToFileURL(resolve(baseDir, specifier)).href : specifier;
+
+      try {
+        const module = await import(url);
+        const exported = [].concat(module.default);
+        exported.forEach(Parser => this.register(Parser));
+        logger.info(`Loaded parser plugin ${specifier} (${exported.map(P => P.name).join(', ')})`);
+      } catch (error) {
+        throw new Error(`Failed to load parser plugin ${specifier}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Every manifest file name any parser reads
+   * @returns {Set<string>} Manifest file names
+   */
+  manifests() {
+    return new Set(this.parsers.flatMap(Parser => Parser.manifests));
+  }
+
+  /**
+   * Parsers that apply to a directory: the highest-priority match per language
+   * A directory with both package.json and pyproject.toml yields two parsers.
+   * @param {string} dir - Directory to inspect
+   * @returns {Array<Function>} Parser classes
+   */
+  detect(dir) {
+    const best = new Map();
+
+    for (const Parser of this.parsers) {
+      if (!Parser.detect(dir)) continue;
+
+      const current = best.get(Parser.language);
+      if (!current || (Parser.priority || 0) > (current.priority || 0)) {
+        best.set(Parser.language, Parser);
+      }
+    }
+
+    return [...best.values()];
+  }
+}
+
+/**
+ * Check that a class implements the parser contract
+ * @param {Function} Parser - Candidate parser class
+ */
+function validateParser(Parser) {
+  const name = Parser?.name || String(Parser);
+
+  if (typeof Parser !== 'function' || typeof Parser.prototype?.parse !== 'function') {
+    throw new Error(`${name} is not a parser class with a parse() method`);
+  }
+  if (!Parser.language || !Array.isArray(Parser.manifests) || typeof Parser.detect !== 'function') {
+    throw new Error(`${name} must declare static language, manifests and detect(dir)`);
+  }
+}
+
+export default ParserRegistry;
@@ -0,0 +1,120 @@
+// src/parsers/pep508.js
+/**
+ * PEP 508 Requirement Parser
+ * Parses Python dependency specifiers:
+ *
+ *   name[extra1,extra2] (>=1.0,<2.0) ; python_version < "3.10"
+ *   name[extra] @ https://example.com/pkg.whl ; sys_platform == "linux"
+ */
+
+// Longest operators first so "===" is not read as "=="
+const OPERATORS = ['===', '==', '!=', '~=', '>=', '<=', '>', '<'];
+
+const NAME_PATTERN = /^([A-Za-z0-9](?:[A-Za-z0-9._-]*[A-Za-z0-9])?)\s*/;
+
+/**
+ * Parse a PEP 508 requirement string
+ * @param {string} text - Requirement string
+ * @returns {object|null} { name, extras, specifiers, url, markers } or null if invalid
+ */
+export function parseRequirement(text) {
+  let rest = text.trim();
+
+  // Environment markers come after the first ";" (URLs may not contain " ;")
+  let markers = null;
+  const markerIndex = findMarkerSeparator(rest);
+  if (markerIndex !== -1) {
+    markers = rest.slice(markerIndex + 1).trim() || null;
+    rest = rest.slice(0, markerIndex).trim();
+  }
+
+  const nameMatch = rest.match(NAME_PATTERN);
+  if (!nameMatch) {
+    return null;
+  }
+  const name = nameMatch[1];
+  rest = rest.slice(nameMatch[0].length);
+
+  let extras = [];
+  if (rest.startsWith('[')) {
+    const end = rest.indexOf(']');
+    if (end === -1) return null;
+    extras = rest.slice(1, end).split(',').map(e => e.trim()).filter(Boolean);
+    rest = rest.slice(end + 1).trim();
+  }
+
+  // Direct reference: name @ url
+  if (rest.startsWith('@')) {
+    const url = rest.slice(1).trim();
+    return url ? { name, extras, specifiers: [], url, markers } : null;
+  }
+
+  // Specifiers may be wrapped in parentheses
+  if (rest.startsWith('(') && rest.endsWith(')')) {
+    rest = rest.slice(1, -1).trim();
+  }
+
+  const specifiers = parseSpecifierSet(rest);
+  if (specifiers === null) {
+    return null;
+  }
+
+  return { name, extras, specifiers, url: null, markers };
+}
+
+/**
+ * Parse a comma-separated specifier set such as ">=1.0, <2.0, !=1.5.*"
+ * @param {string} text - Specifier set
+ * @returns {Array<object>|null} [{ operator, version }] or null if invalid
+ */
+export function parseSpecifierSet(text) {
+  if (!text.trim()) {
+    return [];
+  }
+
+  const specifiers = [];
+  for (const part of text.split(',')) {
+    const clause = part.trim();
+    const operator = OPERATORS.find(op => clause.startsWith(op));
+    if (!operator) return null;
+
+    const version = clause.slice(operator.length).trim();
+    if (!version) return null;
+
+    specifiers.push({ operator, version });
+  }
+
+  return specifiers;
+}
+
+/**
+ * Format a specifier list back into a specifier set string
+ * @param {Array<object>} specifiers - [{ operator, version }]
+ * @returns {string} e.g. ">=1.0,<2.0"
+ */
+export function formatSpecifiers(specifiers) {
+  return specifiers.map(spec => `${spec.operator}${spec.version}`).join(',');
+}
+
+/**
+ * Normalize a distribution name (PEP 503): "Foo.Bar_baz" → "foo-bar-baz"
+ * @param {string} name - Distribution name
+ * @returns {string} Normalized name
+ */
+export function normalizeName(name) {
+  return name.toLowerCase().replace(/[-_.]+/g, '-');
+}
+
+/**
+ * Find the ";" that starts environment markers
+ * In a URL requirement the separator must be preceded by whitespace.
+ */
+function findMarkerSeparator(text) {
+  if (!text.includes('@')) {
+    return text.indexOf(';');
+  }
+  const match = text.match(/\s;/);
+  return match ? match.index + 1 : -1;
+}
+
+export default { parseRequirement, parseSpecifierSet, formatSpecifiers, normalizeName };
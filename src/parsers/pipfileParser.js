@@ -0,0 +1,105 @@
+// src/parsers/pipfileParser.js
+/**
+ * Pipfile Parser
+ * Parses Pipenv [packages] and [dev-packages] tables
+ */
+
+import { readFile } from 'fs/promises';
+import { resolve } from 'path';
+import { existsSync } from 'fs';
+import { parse as parseToml } from 'smol-toml';
+import PythonParser, { countByType } from './pythonParser.js';
+import PipfileLockParser from './lockfiles/pipfileLockParser.js';
+import { resolveLockfile, applyResolvedRoots } from './lockfiles/lockfileResolver.js';
+import logger from '../utils/logger.js';
+
+const LOCKFILES = [
+  ['Pipfile.lock', PipfileLockParser]
+];
+
+class PipfileParser extends PythonParser {
+  static language = 'python';
+  static manifests = ['Pipfile'];
+  static priority = 20;
+
+  /**
+   * Check whether a directory holds a project this parser reads
+   * @param {string} dir - Directory to check
+   * @returns {boolean} True if Pipfile exists
+   */
+  static detect(dir) {
+    return existsSync(resolve(dir, 'Pipfile'));
+  }
+
+  /**
+   * Parse Pipfile dependencies
+   * @returns {Promise<object>} Parsed project information with dependencies
+   */
+  async parse() {
+    const pipfilePath = resolve(this.projectPath, 'Pipfile');
+
+    if (!existsSync(pipfilePath)) {
+      throw new Error(`No Pipfile found in ${this.projectPath}`);
+    }
+
+    return await this._parsePipfile(pipfilePath);
+  }
+
+  /**
+   * Parse Pipfile
+   * @param {string} filePath - Path to Pipfile
+   * @returns {Promise<object>} Parsed project information
+   */
+  async _parsePipfile(filePath) {
+    try {
+      const content = await readFile(filePath, 'utf-8');
+      const pipfile = parseToml(content);
+      const lines = content.split('\n');
+
+      const dependencies = [
+        ...Object.entries(pipfile.packages || {}).map(([name, spec]) =>
+          this._parseTableSpec(name, spec, 'production', lines)),
+        ...Object.entries(pipfile['dev-packages'] || {}).map(([name, spec]) =>
+          this._parseTableSpec(name, spec, 'development', lines))
+      ];
+
+      const resolved = await resolveLockfile(this.projectPath, LOCKFILES, dependencies);
+      if (resolved) {
+        applyResolvedRoots(dependencies, resolved);
+      }
+
+      return {
+        projectName: this.projectName,
+        projectPath: this.projectPath,
+        language: 'python',
+        dependencyFile: filePath,
+        dependencies,
+        totalDependencies: dependencies.length,
+        resolved,
+        stats: countByType(dependencies)
+      };
+    } catch (error) {
+      throw new Error(`Failed to parse Pipfile: ${error.message}`);
+    }
+  }
+}
+
+export default PipfileParser;
+
+// Test the parser when run directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const projectPath = process.argv[2] || process.cwd();
+
+  logger.header('Pipfile Parser Test');
+  logger.info(`Parsing project: ${projectPath}`);
+
+  const parser = new PipfileParser(projectPath);
+
+  try {
+    const parsedData = await parser.parse();
+    parser.printSummary(parsedData);
+  } catch (error) {
+    logger.error(`Parse failed: ${error.message}`);
+    process.exit(1);
+  }
+}
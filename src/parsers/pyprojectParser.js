@@ -0,0 +1,225 @@
+// src/parsers/pyprojectParser.js
+/**
+ * pyproject.toml Parser
+ * Parses PEP 621 ([project]) and Poetry ([tool.poetry]) dependency tables
+ */
+
+import { readFile } from 'fs/promises';
+import { resolve } from 'path';
+import { existsSync } from 'fs';
+import { parse as parseToml } from 'smol-toml';
+import PythonParser, { countByType, findLine } from './pythonParser.js';
+import PoetryLockParser from './lockfiles/poetryLockParser.js';
+import UvLockParser from './lockfiles/uvLockParser.js';
+import { resolveLockfile, applyResolvedRoots } from './lockfiles/lockfileResolver.js';
+import logger from '../utils/logger.js';
+
+// Lockfiles in lookup order, with the reader for each
+const LOCKFILES = [
+  ['poetry.lock', PoetryLockParser],
+  ['uv.lock', UvLockParser]
+];
+
+// Poetry groups that hold runtime dependencies
+const MAIN_GROUPS = new Set(['main', 'default']);
+
+class PyprojectParser extends PythonParser {
+  static language = 'python';
+  static manifests = ['pyproject.toml'];
+  static priority = 30;
+
+  /**
+   * Check whether a directory holds a project this parser reads
+   * @param {string} dir - Directory to check
+   * @returns {boolean} True if pyproject.toml exists
+   */
+  static detect(dir) {
+    return existsSync(resolve(dir, 'pyproject.toml'));
+  }
+
+  /**
+   * Parse pyproject.toml dependencies
+   * Falls back to requirements.txt when pyproject.toml only configures tooling
+   * @returns {Promise<object>} Parsed project information with dependencies
+   */
+  async parse() {
+    const pyprojectPath = resolve(this.projectPath, 'pyproject.toml');
+
+    if (!existsSync(pyprojectPath)) {
+      throw new Error(`No pyproject.toml found in ${this.projectPath}`);
+    }
+
+    const parsedData = await this._parsePyproject(pyprojectPath);
+
+    if (!parsedData.declaresDependencies &&
+        existsSync(resolve(this.projectPath, 'requirements.txt'))) {
+      logger.info('pyproject.toml declares no dependencies, using requirements.txt');
+      return await super.parse();
+    }
+
+    return parsedData;
+  }
+
+  /**
+   * Parse pyproject.toml file
+   * @param {string} filePath - Path to pyproject.toml
+   * @returns {Promise<object>} Parsed project information
+   */
+  async _parsePyproject(filePath) {
+    try {
+      const content = await readFile(filePath, 'utf-8');
+      const pyproject = parseToml(content);
+      const lines = content.split('\n');
+
+      const project = pyproject.project || {};
+      const poetry = pyproject.tool?.poetry || {};
+
+      const dependencies = [
+        ...this._extractPep621(project, lines),
+        ...this._extractPoetry(poetry, lines),
+        ...this._extractDependencyGroups(pyproject['dependency-groups'] || {}, lines)
+      ];
+
+      // Pinned versions and transitive edges, when a lockfile is present
+      const resolved = await resolveLockfile(this.projectPath, LOCKFILES, dependencies);
+      if (resolved) {
+        applyResolvedRoots(dependencies, resolved);
+      }
+
+      const declaresDependencies = Boolean(
+        project.dependencies || project['optional-dependencies'] ||
+        poetry.dependencies || poetry['dev-dependencies'] || poetry.group ||
+        pyproject['dependency-groups']
+      );
+
+      return {
+        projectName: project.name || poetry.name || this.projectName,
+        projectPath: this.projectPath,
+        language: 'python',
+        version: project.version || poetry.version || '1.0.0',
+        description: project.description || poetry.description || '',
+        dependencyFile: filePath,
+        dependencies,
+        totalDependencies: dependencies.length,
+        declaresDependencies,
+        resolved,
+        stats: countByType(dependencies)
+      };
+    } catch (error) {
+      throw new Error(`Failed to parse pyproject.toml: ${error.message}`);
+    }
+  }
+
+  /**
+   * PEP 621: [project].dependencies and [project.optional-dependencies]
+   * @param {object} project - [project] table
+   * @param {Array<string>} lines - File lines, for line numbers
+   * @returns {Array<object>} Dependency objects
+   */
+  _extractPep621(project, lines) {
+    const dependencies = [];
+
+    for (const requirement of project.dependencies || []) {
+      const dep = this._parseRequirementString(requirement, lines, 'production');
+      if (dep) dependencies.push(dep);
+    }
+
+    for (const [extra, requirements] of Object.entries(project['optional-dependencies'] || {})) {
+      for (const requirement of requirements) {
+        const dep = this._parseRequirementString(requirement, lines, 'optional');
+        if (dep) dependencies.push({ ...dep, group: extra });
+      }
+    }
+
+    return dependencies;
+  }
+
+  /**
+   * Poetry: [tool.poetry.dependencies], [tool.poetry.dev-dependencies]
+   * and [tool.poetry.group.<name>.dependencies]
+   * @param {object} poetry - [tool.poetry] table
+   * @param {Array<string>} lines - File lines, for line numbers
+   * @returns {Array<object>} Dependency objects
+   */
+  _extractPoetry(poetry, lines) {
+    const dependencies = [];
+
+    const addTable = (table, type, group) => {
+      for (const [name, spec] of Object.entries(table || {})) {
+        // The Python interpreter constraint is not a package
+        if (name.toLowerCase() === 'python') continue;
+
+        const dep = this._parseTableSpec(name, spec, type, lines);
+        dependencies.push({ ...dep, group });
+      }
+    };
+
+    addTable(poetry.dependencies, 'production', 'main');
+    addTable(poetry['dev-dependencies'], 'development', 'dev');
+
+    for (const [group, config] of Object.entries(poetry.group || {})) {
+      let type = 'development';
+      if (MAIN_GROUPS.has(group)) type = 'production';
+      else if (config.optional) type = 'optional';
+
+      addTable(config.dependencies, type, group);
+    }
+
+    return dependencies;
+  }
+
+  /**
+   * PEP 735: [dependency-groups], used for development tooling
+   * @param {object} groups - [dependency-groups] table
+   * @param {Array<string>} lines - File lines, for line numbers
+   * @returns {Array<object>} Dependency objects
+   */
+  _extractDependencyGroups(groups, lines) {
+    const dependencies = [];
+
+    for (const [group, requirements] of Object.entries(groups)) {
+      for (const requirement of requirements) {
+        // Entries can also be { include-group = "..." }
+        if (typeof requirement !== 'string') continue;
+
+        const dep = this._parseRequirementString(requirement, lines, 'development');
+        if (dep) dependencies.push({ ...dep, group });
+      }
+    }
+
+    return dependencies;
+  }
+
+  /**
+   * Parse a PEP 508 requirement string such as "requests>=2.28; python_version<'3.11'"
+   * @param {string} requirement - Requirement string
+   * @param {Array<string>} lines - File lines, for line numbers
+   * @param {string} type - Dependency type
+   * @returns {object|null} Dependency object
+   */
+  _parseRequirementString(requirement, lines, type) {
+    const lineNumber = findLine(lines, line => line.includes(requirement));
+    const dep = this._parseRequirementLine(requirement, lineNumber);
+    return dep ? { ...dep, type } : null;
+  }
+}
+
+export default PyprojectParser;
+
+// Test the parser when run directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const projectPath = process.argv[2] || process.cwd();
+
+  logger.header('pyproject.toml Parser Test');
+  logger.info(`Parsing project: ${projectPath}`);
+
+  const parser = new PyprojectParser(projectPath);
+
+  try {
+    const parsedData = await parser.parse();
+    parser.printSummary(parsedData);
+  } catch (error) {
+    logger.error(`Parse failed: ${error.message}`);
+    process.exit(1);
+  }
+}
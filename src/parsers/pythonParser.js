@@ -5,11 +5,27 @@
  */
 
 import { readFile } from 'fs/promises';
-import { resolve, basename } from 'path';
+import { resolve, basename, dirname } from 'path';
 import { existsSync } from 'fs';
+import { parse as parseToml } from 'smol-toml';
+import { parseRequirement, formatSpecifiers, normalizeName } from './pep508.js';
+import { countEdges } from './lockfiles/resolvedTree.js';
 import logger from '../utils/logger.js';
 
 class PythonParser {
+  static language = 'python';
+  static manifests = ['requirements.txt'];
+  static priority = 10;
+
+  /**
+   * Check whether a directory holds a project this parser reads
+   * @param {string} dir - Directory to check
+   * @returns {boolean} True if requirements.txt exists
+   */
+  static detect(dir) {
+    return existsSync(resolve(dir, 'requirements.txt'));
+  }
+
   constructor(projectPath) {
     this.projectPath = resolve(projectPath);
     this.projectName = basename(this.projectPath);
@@ -31,34 +47,20 @@ class PythonParser {
 
   /**
    * Parse requirements.txt file
+   * Follows -r includes, applies -c constraint files and resolves -e local paths
    * @param {string} filePath - Path to requirements.txt
    * @returns {Promise<object>} Parsed project information
    */
   async _parseRequirementsTxt(filePath) {
     try {
-      const content = await readFile(filePath, 'utf-8');
-      const lines = content.split('\n');
-
-      const dependencies = [];
-      let lineNumber = 0;
-
-      for (const line of lines) {
-        lineNumber++;
-        
-        // Remove comments and whitespace
-        const cleanLine = line.split('#')[0].trim();
-        
-        // Skip empty lines and pip options
-        if (!cleanLine || cleanLine.startsWith('-')) {
-          continue;
-        }
+      const state = {
+        visited: new Set(),
+        includedFiles: [],
+        constraints: new Map()
+      };
 
-        // Parse requirement line
-        const depInfo = this._parseRequirementLine(cleanLine, lineNumber);
-        if (depInfo) {
-          dependencies.push(depInfo);
-        }
-      }
+      const dependencies = await this._readRequirementsFile(filePath, state, false);
+      this._applyConstraints(dependencies, state.constraints);
 
       return {
         projectName: this.projectName,
@@ -66,7 +68,8 @@ class PythonParser {
         language: 'python',
         dependencyFile: filePath,
         dependencies,
-        totalDependencies: dependencies.length
+        totalDependencies: dependencies.length,
+        includedFiles: state.includedFiles
       };
     } catch (error) {
       throw new Error(`Failed to parse requirements.txt: ${error.message}`);
@@ -74,38 +77,250 @@ class PythonParser {
   }
 
   /**
-   * Parse a single requirement line
-   * Pattern: package_name[extras]operator version
-   * Examples: requests==2.28.0, numpy>=1.20.0, flask[async]>=2.0
-   * 
+   * Read one requirements or constraints file, recursing into -r / -c references
+   * @param {string} filePath - File to read
+   * @param {object} state - Visited files, included files and collected constraints
+   * @param {boolean} isConstraints - True when reading a constraints file
+   * @param {string|null} fileType - File node type for included files, null for the manifest
+   * @returns {Promise<Array<object>>} Dependencies declared in this file and its includes
+   */
+  async _readRequirementsFile(filePath, state, isConstraints, fileType = null) {
+    // Include cycles (a.txt → b.txt → a.txt) are read once
+    const visitKey = `${isConstraints ? 'c' : 'r'}:${filePath}`;
+    if (state.visited.has(visitKey)) {
+      return [];
+    }
+    state.visited.add(visitKey);
+
+    if (fileType) {
+      state.includedFiles.push({ path: filePath, type: fileType });
+    }
+
+    const content = await readFile(filePath, 'utf-8');
+    const baseDir = dirname(filePath);
+    const dependencies = [];
+
+    for (const { text, lineNumber } of logicalLines(content)) {
+      const option = text.match(/^(-r|--requirement|-c|--constraint|-e|--editable)(?:\s*=\s*|\s+)(.+)$/);
+      let dep = null;
+
+      if (option) {
+        const [, flag, value] = option;
+
+        if (flag === '-r' || flag === '--requirement' || flag === '-c' || flag === '--constraint') {
+          const constraintFile = isConstraints || flag === '-c' || flag === '--constraint';
+          const includedPath = resolve(baseDir, value.trim());
+
+          if (!existsSync(includedPath)) {
+            logger.warning(`Line ${lineNumber}: included file not found: ${includedPath}`);
+            continue;
+          }
+
+          const included = await this._readRequirementsFile(
+            includedPath,
+            state,
+            constraintFile,
+            constraintFile ? 'constraints' : 'requirements_include'
+          );
+
+          if (constraintFile && !isConstraints) {
+            included.forEach(constraint => {
+              state.constraints.set(normalizeName(constraint.name), constraint);
+            });
+          } else {
+            dependencies.push(...included);
+          }
+          continue;
+        }
+
+        dep = await this._parseLocalRequirement(value.trim(), lineNumber, baseDir, true);
+      } else if (text.startsWith('-')) {
+        // Other pip options (--index-url, --pre, -f, ...) do not declare packages
+        continue;
+      } else if (/^(\.|\/|file:|(git|hg|svn|bzr)\+|https?:\/\/)/i.test(text)) {
+        // Local paths and bare VCS / archive URLs, read like their -e counterparts
+        dep = await this._parseLocalRequirement(text, lineNumber, baseDir, false);
+      } else {
+        dep = this._parseRequirementLine(stripRequirementOptions(text), lineNumber);
+      }
+
+      if (dep) {
+        dependencies.push({ ...dep, sourceFile: filePath });
+      }
+    }
+
+    return dependencies;
+  }
+
+  /**
+   * Parse a single requirement line (PEP 508)
+   * Examples: requests==2.28.0, numpy>=1.20,<2, flask[async]>=2.0; python_version < "3.10",
+   *           pkg @ https://example.com/pkg.whl
+   *
    * @param {string} line - Requirement line
    * @param {number} lineNumber - Line number for error reporting
    * @returns {object|null} Parsed dependency information
    */
   _parseRequirementLine(line, lineNumber) {
-    // Pattern: package_name[extras]operator version
-    const pattern = /^([a-zA-Z0-9_\-\.]+)(\[[\w,]+\])?(==|>=|<=|>|<|~=)?(.+)?$/;
-    const match = line.match(pattern);
+    const requirement = parseRequirement(line);
 
-    if (!match) {
+    if (!requirement) {
       logger.warning(`Could not parse line ${lineNumber}: ${line}`);
       return null;
     }
 
-    const [, name, extras = '', operator = '', version = ''] = match;
+    const { name, extras, specifiers, url, markers } = requirement;
+    const [first] = specifiers;
 
     return {
       name,
-      version: version.trim() || 'latest',
-      versionRange: operator + version.trim(),
-      operator,
-      extras,
+      version: url || first?.version || 'latest',
+      versionRange: url || formatSpecifiers(specifiers),
+      operator: url ? 'url' : (first?.operator || ''),
+      language: 'python',
+      extras: extras.length > 0 ? `[${extras.join(',')}]` : '',
+      markers,
+      url,
       type: 'production',
       lineNumber,
       raw: line
     };
   }
 
+  /**
+   * Parse an editable or local requirement (-e ./libs/common, ./wheels/pkg, -e git+https://...#egg=pkg)
+   * Local paths are linked to the internal project that lives there.
+   * @param {string} value - Path or URL
+   * @param {number} lineNumber - Line number for error reporting
+   * @param {string} baseDir - Directory of the requirements file
+   * @param {boolean} editable - True for -e / --editable
+   * @returns {Promise<object|null>} Parsed dependency information, or null for an unnamed URL or the project itself
+   */
+  async _parseLocalRequirement(value, lineNumber, baseDir, editable) {
+    const raw = editable ? `-e ${value}` : value;
+
+    // VCS or archive URLs need an #egg= fragment to name the package
+    if (/^[a-z]+(\+[a-z]+)?:\/\//i.test(value) && !value.startsWith('file:')) {
+      const egg = value.match(/#egg=([^&]+)/)?.[1];
+      if (!egg) {
+        logger.warning(`Line ${lineNumber}: URL requirement without #egg= name: ${value}`);
+        return null;
+      }
+      const vcs = value.match(/^(git|hg|svn|bzr)\+/)?.[1];
+      return {
+        name: egg,
+        version: value,
+        versionRange: value,
+        operator: vcs || 'url',
+        language: 'python',
+        extras: '',
+        markers: null,
+        url: value,
+        editable,
+        type: 'production',
+        lineNumber,
+        raw
+      };
+    }
+
+    const [, pathPart, extras = ''] = value.replace(/^file:(\/\/)?/, '').match(/^(.*?)(\[[^\]]*\])?$/);
+    const localPath = resolve(baseDir, pathPart);
+
+    // The project installing itself (-e . for development) is not a dependency of it
+    if (localPath === this.projectPath) return null;
+
+    const name = await localProjectName(localPath);
+
+    return {
+      name,
+      version: pathPart,
+      versionRange: raw,
+      operator: editable ? 'editable' : 'path',
+      language: 'python',
+      extras,
+      markers: null,
+      url: null,
+      editable,
+      path: localPath,
+      linkedProject: name,
+      type: 'production',
+      lineNumber,
+      raw
+    };
+  }
+
+  /**
+   * Parse a TOML dependency value, as used by Poetry and Pipfile
+   * Values are either a constraint string ("^2.28", "==2.31") or a table
+   * ({ version = "^1.0", optional = true, extras = [...] }, { path = "../lib", editable = true }, { git = "..." })
+   * @param {string} name - Package name
+   * @param {string|object|Array} spec - Dependency value
+   * @param {string} type - Dependency type
+   * @param {Array<string>} lines - File lines, for line numbers
+   * @returns {object} Dependency object
+   */
+  _parseTableSpec(name, spec, type, lines) {
+    // Multiple-constraint dependencies list one table per environment; use the first
+    const value = Array.isArray(spec) ? spec[0] : spec;
+    const table = typeof value === 'object' ? value : { version: value };
+
+    let operator = '';
+    let version = table.version || '*';
+
+    if (table.path) {
+      operator = 'path';
+      version = table.path;
+    } else if (table.git) {
+      operator = 'git';
+      version = table.git;
+    } else if (table.url) {
+      operator = 'url';
+      version = table.url;
+    } else {
+      const match = version.match(/^(\^|~=|~|==|>=|<=|!=|>|<|=)?\s*(.+)$/);
+      operator = match?.[1] || '';
+      version = match?.[2] || version;
+    }
+
+    const lineNumber = findLine(lines, line => new RegExp(`^\\s*"?${escapeRegExp(name)}"?\\s*=`).test(line));
+
+    return {
+      name,
+      version: version === '*' ? 'latest' : version,
+      versionRange: table.path || table.git || table.url || table.version || '*',
+      operator,
+      language: 'python',
+      extras: table.extras ? `[${table.extras.join(',')}]` : '',
+      markers: table.markers || null,
+      editable: Boolean(table.editable),
+      type: table.optional && type === 'production' ? 'optional' : type,
+      lineNumber,
+      raw: `${name} = ${JSON.stringify(value)}`
+    };
+  }
+
+  /**
+   * Apply -c constraint files: a constraint narrows the requirement with the same name
+   * @param {Array<object>} dependencies - Requirements (modified in place)
+   * @param {Map<string, object>} constraints - Normalized name → constraint
+   */
+  _applyConstraints(dependencies, constraints) {
+    for (const dep of dependencies) {
+      const constraint = constraints.get(normalizeName(dep.name));
+      if (!constraint || dep.url || dep.path) continue;
+
+      dep.constraint = constraint.versionRange;
+
+      if (!dep.versionRange) {
+        dep.version = constraint.version;
+        dep.operator = constraint.operator;
+        dep.versionRange = constraint.versionRange;
+      } else if (constraint.versionRange && constraint.versionRange !== dep.versionRange) {
+        dep.versionRange = `${dep.versionRange},${constraint.versionRange}`;
+      }
+    }
+  }
+
   /**
    * Print a summary of parsed dependencies
    * @param {object} parsedData - Parsed project data
@@ -118,17 +333,126 @@ class PythonParser {
     console.log(`Dependency File: ${parsedData.dependencyFile}`);
     console.log(`Total Dependencies: ${parsedData.totalDependencies}`);
 
+    if (parsedData.stats) {
+      Object.entries(parsedData.stats).forEach(([type, count]) => {
+        console.log(`  - ${type.charAt(0).toUpperCase()}${type.slice(1)}: ${count}`);
+      });
+    }
+
+    if (parsedData.resolved) {
+      console.log(`\nLockfile: ${parsedData.resolved.file} (${parsedData.resolved.format})`);
+      console.log(`  - Resolved packages: ${parsedData.resolved.packages.length}`);
+      console.log(`  - Transitive edges: ${countEdges(parsedData.resolved)}`);
+    }
+
     logger.section('\nDependencies:');
     parsedData.dependencies.forEach(dep => {
       const versionStr = dep.operator ? 
         `${dep.operator}${dep.version}` : 
         dep.version;
-      console.log(`  - ${dep.name} ${versionStr}${dep.extras}`);
+      const typeStr = dep.type && dep.type !== 'production' ? ` (${dep.type})` : '';
+      let installedStr = dep.resolvedVersion ? ` (installed ${dep.resolvedVersion})` : '';
+      if (dep.linkedProject) installedStr = ` (project ${dep.linkedProject})`;
+      console.log(`  - ${dep.name} ${dep.versionRange || versionStr}${dep.extras}${typeStr}${installedStr}`);
     });
     console.log();
   }
 }
 
+/**
+ * Split requirements content into logical lines
+ * Joins "\" continuations and strips comments ("#" at line start or after whitespace,
+ * so URL fragments like #egg= survive)
+ * @param {string} content - File content
+ * @returns {Array<object>} [{ text, lineNumber }] with the starting line number
+ */
+function logicalLines(content) {
+  const result = [];
+  const lines = content.split('\n');
+  let buffer = '';
+  let startLine = 0;
+
+  lines.forEach((line, index) => {
+    if (!buffer) startLine = index + 1;
+
+    const withoutComment = line.replace(/(^|\s)#.*$/, '').replace(/\r$/, '');
+    if (withoutComment.trimEnd().endsWith('\\')) {
+      buffer += withoutComment.trimEnd().slice(0, -1) + ' ';
+      return;
+    }
+
+    const text = (buffer + withoutComment).trim();
+    buffer = '';
+    if (text) {
+      result.push({ text, lineNumber: startLine });
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Remove per-requirement pip options such as --hash=sha256:...
+ * @param {string} text - Requirement line
+ * @returns {string} Requirement without options
+ */
+function stripRequirementOptions(text) {
+  return text
+    .replace(/\s+--(hash|config-settings|global-option|install-option)(?:=|\s+)\S+/g, '')
+    .trim();
+}
+
+/**
+ * Name of the Python project in a local directory
+ * Matches the name the parsers give that directory when it is loaded as a project.
+ * @param {string} dir - Project directory
+ * @returns {Promise<string>} Project name
+ */
+async function localProjectName(dir) {
+  const pyprojectPath = resolve(dir, 'pyproject.toml');
+  if (existsSync(pyprojectPath)) {
+    try {
+      const pyproject = parseToml(await readFile(pyprojectPath, 'utf-8'));
+      const name = pyproject.project?.name || pyproject.tool?.poetry?.name;
+      if (name) return name;
+    } catch (error) {
+      logger.warning(`Could not read ${pyprojectPath}: ${error.message}`);
+    }
+  }
+  return basename(dir);
+}
+
+/**
+ * Count dependencies per type
+ * @param {Array<object>} dependencies - Dependency objects
+ * @returns {object} Type → count
+ */
+export function countByType(dependencies) {
+  const stats = { production: 0, development: 0, optional: 0 };
+  dependencies.forEach(dep => {
+    stats[dep.type] = (stats[dep.type] || 0) + 1;
+  });
+  return stats;
+}
+
+/**
+ * 1-based number of the first line matching a predicate, or 0
+ * @param {Array<string>} lines - File lines
+ * @param {Function} predicate - (line) => boolean
+ * @returns {number} Line number
+ */
+export function findLine(lines, predicate) {
+  const index = lines.findIndex(predicate);
+  return index === -1 ? 0 : index + 1;
+}
+
+/**
+ * Escape a string for use inside a regular expression
+ */
+export function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
 export default PythonParser;
 
 // Test the parser when run directly
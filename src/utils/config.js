@@ -0,0 +1,66 @@
+// src/utils/config.js
+/**
+ * Configuration
+ * Loads .depanalyzerrc.json from the analyzed directory, one of its parents,
+ * or the current working directory
+ *
+ *   {
+ *     "parsers": ["./tools/bazelParser.js", "@acme/depanalyzer-parser-nix"],
+ *     "align": { "policy": "highest", "pins": { "lodash": "^4.17.21" } },
+ *     "pythonModules": { "acme_internal": "acme-internal-sdk" }
+ *   }
+ */
+
+import { readFile } from 'fs/promises';
+import { resolve, dirname } from 'path';
+import { existsSync } from 'fs';
+
+export const CONFIG_FILE = '.depanalyzerrc.json';
+
+/**
+ * Find and read the configuration file
+ * @param {string} startPath - Directory the search starts from
+ * @param {string} explicitPath - Config file given on the command line (optional)
+ * @returns {Promise<object>} { config, configPath } (configPath is null when no file was found)
+ */
+export async function loadConfig(startPath = process.cwd(), explicitPath = null) {
+  const configPath = explicitPath ? resolve(explicitPath) : findConfig(resolve(startPath));
+
+  if (!configPath) {
+    return { config: {}, configPath: null };
+  }
+
+  if (!existsSync(configPath)) {
+    throw new Error(`Config file not found: ${configPath}`);
+  }
+
+  try {
+    const config = JSON.parse(await readFile(configPath, 'utf-8'));
+    return { config, configPath };
+  } catch (error) {
+    throw new Error(`Invalid config file ${configPath}: ${error.message}`);
+  }
+}
+
+/**
+ * Look for the config file in a directory and its parents, then in the working directory
+ * @param {string} dir - Directory to start from
+ * @returns {string|null} Config file path
+ */
+function findConfig(dir) {
+  let current = dir;
+
+  for (;;) {
+    const candidate = resolve(current, CONFIG_FILE);
+    if (existsSync(candidate)) return candidate;
+
+    const parent = dirname(current);
+    if (parent === current) break;
+    current = parent;
+  }
+
+  const cwdConfig = resolve(process.cwd(), CONFIG_FILE);
+  return existsSync(cwdConfig) ? cwdConfig : null;
+}
+
+export default { loadConfig, CONFIG_FILE };
@@ -0,0 +1,127 @@
+// src/utils/diff.js
+/**
+ * Unified Diff
+ * Line diff of two texts in the format `git apply` and `patch -p1` read
+ */
+
+/**
+ * Create a unified diff of two versions of a file
+ * @param {string} oldText - Original content
+ * @param {string} newText - New content
+ * @param {object} options - { fromFile, toFile, context }
+ * @returns {string} Diff text, or an empty string when the contents are equal
+ */
+export function unifiedDiff(oldText, newText, { fromFile = 'a', toFile = 'b', context = 3 } = {}) {
+  if (oldText === newText) return '';
+
+  const oldLines = splitLines(oldText);
+  const newLines = splitLines(newText);
+  const hunks = groupHunks(diffLines(oldLines, newLines), context);
+
+  const output = [`--- ${fromFile}`, `+++ ${toFile}`];
+  for (const hunk of hunks) {
+    output.push(`@@ -${range(hunk.oldStart, hunk.oldCount)} +${range(hunk.newStart, hunk.newCount)} @@`);
+    output.push(...hunk.lines);
+  }
+  return output.join('\n') + '\n';
+}
+
+/**
+ * Split text into lines, keeping line endings out of the content
+ */
+function splitLines(text) {
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+/**
+ * Edit script of two line arrays: [{ op: ' ' | '-' | '+', line, oldIndex, newIndex }]
+ * The common prefix and suffix are matched directly; the rest by longest common subsequence.
+ */
+function diffLines(a, b) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+
+  // lcs[i][j] = length of the longest common subsequence of midA[i..] and midB[j..]
+  const lcs = Array.from({ length: midA.length + 1 }, () => new Array(midB.length + 1).fill(0));
+  for (let i = midA.length - 1; i >= 0; i--) {
+    for (let j = midB.length - 1; j >= 0; j--) {
+      lcs[i][j] = midA[i] === midB[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  for (let k = 0; k < start; k++) ops.push({ op: ' ', line: a[k], oldIndex: k, newIndex: k });
+
+  let i = 0;
+  let j = 0;
+  while (i < midA.length || j < midB.length) {
+    if (i < midA.length && j < midB.length && midA[i] === midB[j]) {
+      ops.push({ op: ' ', line: midA[i], oldIndex: start + i++, newIndex: start + j++ });
+    } else if (i < midA.length && (j === midB.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      ops.push({ op: '-', line: midA[i], oldIndex: start + i++, newIndex: start + j });
+    } else {
+      ops.push({ op: '+', line: midB[j], oldIndex: start + i, newIndex: start + j++ });
+    }
+  }
+
+  for (let k = 0; k < a.length - endA; k++) {
+    ops.push({ op: ' ', line: a[endA + k], oldIndex: endA + k, newIndex: endB + k });
+  }
+  return ops;
+}
+
+/**
+ * Group changes into hunks with `context` unchanged lines around them
+ */
+function groupHunks(ops, context) {
+  const hunks = [];
+  let current = null;
+  let lastChange = -Infinity;
+
+  ops.forEach((entry, index) => {
+    if (entry.op === ' ') return;
+
+    if (!current || index - lastChange - 1 > context * 2) {
+      if (current) closeHunk(current, ops, lastChange, context, hunks);
+      const from = Math.max(0, index - context);
+      current = { from, oldStart: ops[from].oldIndex + 1, newStart: ops[from].newIndex + 1 };
+    }
+    lastChange = index;
+  });
+
+  if (current) closeHunk(current, ops, lastChange, context, hunks);
+  return hunks;
+}
+
+function closeHunk(hunk, ops, lastChange, context, hunks) {
+  const slice = ops.slice(hunk.from, Math.min(ops.length, lastChange + context + 1));
+  const oldCount = slice.filter(entry => entry.op !== '+').length;
+  const newCount = slice.filter(entry => entry.op !== '-').length;
+
+  hunks.push({
+    // An empty side starts at the line before it (git's convention)
+    oldStart: oldCount === 0 ? hunk.oldStart - 1 : hunk.oldStart,
+    oldCount,
+    newStart: newCount === 0 ? hunk.newStart - 1 : hunk.newStart,
+    newCount,
+    lines: slice.map(entry => `${entry.op}${entry.line}`)
+  });
+}
+
+function range(start, count) {
+  return count === 1 ? `${start}` : `${start},${count}`;
+}
+
+export default { unifiedDiff };
@@ -0,0 +1,40 @@
+// src/utils/ecosystem.js
+/**
+ * Package Ecosystems
+ * A package is identified by (ecosystem, name): npm `requests` and PyPI `requests`
+ * are different packages, and PyPI spells one package many ways (Flask_SQLAlchemy, flask-sqlalchemy)
+ */
+
+import { normalizeName } from '../parsers/pep508.js';
+
+// Parser language → package registry it resolves against
+export const ECOSYSTEMS = {
+  javascript: 'npm',
+  python: 'pypi',
+  go: 'go',
+  rust: 'cargo',
+  java: 'maven'
+};
+
+/**
+ * Ecosystem a language's dependencies belong to
+ * Plugin languages without an entry are their own ecosystem.
+ * @param {string} language - Parser language ('javascript', 'python', ...)
+ * @returns {string} Ecosystem ('npm', 'pypi', ...)
+ */
+export function ecosystemFor(language) {
+  return ECOSYSTEMS[language] || language || 'unknown';
+}
+
+/**
+ * Canonical package name within an ecosystem
+ * Only PyPI names are case- and separator-insensitive (PEP 503); other registries compare names exactly.
+ * @param {string} ecosystem - Ecosystem
+ * @param {string} name - Package name as written in a manifest or lockfile
+ * @returns {string} Canonical name
+ */
+export function normalizePackageName(ecosystem, name) {
+  return ecosystem === 'pypi' ? normalizeName(name) : name;
+}
+
+export default { ECOSYSTEMS, ecosystemFor, normalizePackageName };
@@ -0,0 +1,95 @@
+// src/utils/glob.js
+/**
+ * Minimal glob matching for workspace and ignore patterns
+ * Supports *, **, ?, [...] and {a,b} on forward-slash separated paths
+ */
+
+/**
+ * Convert a glob pattern to a regular expression
+ * @param {string} pattern - Glob pattern (e.g., "packages/*", "apps/**")
+ * @returns {RegExp} Anchored regular expression
+ */
+export function globToRegExp(pattern) {
+  const glob = normalizePattern(pattern);
+  let regex = '';
+  let inGroup = false;
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+
+    if (char === '*') {
+      if (glob[i + 1] === '*') {
+        // "**/" matches zero or more directories, a trailing "**" matches anything
+        if (glob[i + 2] === '/') {
+          regex += '(?:.*/)?';
+          i += 2;
+        } else {
+          regex += '.*';
+          i += 1;
+        }
+      } else {
+        regex += '[^/]*';
+      }
+    } else if (char === '?') {
+      regex += '[^/]';
+    } else if (char === '[') {
+      const end = glob.indexOf(']', i);
+      if (end === -1) {
+        regex += '\\[';
+      } else {
+        const body = glob.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\');
+        regex += `[${body}]`;
+        i = end;
+      }
+    } else if (char === '{') {
+      inGroup = true;
+      regex += '(?:';
+    } else if (char === '}' && inGroup) {
+      inGroup = false;
+      regex += ')';
+    } else if (char === ',' && inGroup) {
+      regex += '|';
+    } else {
+      regex += char.replace(/[.+^$()|\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${regex}$`);
+}
+
+/**
+ * Check whether a relative path matches any of the given glob patterns
+ * @param {string} path - Forward-slash separated relative path
+ * @param {Array<string>} patterns - Glob patterns
+ * @returns {boolean} True if at least one pattern matches
+ */
+export function matchesAny(path, patterns) {
+  return patterns.some(pattern => globToRegExp(pattern).test(path));
+}
+
+/**
+ * Number of directory levels a pattern can reach (Infinity for "**")
+ * @param {string} pattern - Glob pattern
+ * @returns {number} Maximum depth
+ */
+export function patternDepth(pattern) {
+  const glob = normalizePattern(pattern);
+  if (glob.includes('**')) {
+    return Infinity;
+  }
+  return glob.split('/').length;
+}
+
+/**
+ * Strip leading "./" and trailing "/" so patterns compare against relative paths
+ * @param {string} pattern - Glob pattern
+ * @returns {string} Normalized pattern
+ */
+function normalizePattern(pattern) {
+  return pattern
+    .replace(/\\/g, '/')
+    .replace(/^\.\//, '')
+    .replace(/\/+$/, '');
+}
+
+export default { globToRegExp, matchesAny, patternDepth };
@@ -13,36 +13,46 @@ const colors = {
   blue: '\x1b[34m'
 };
 
+// Where messages go; console.error keeps stdout free for machine-readable output (--json)
+let print = console.log;
+
 export const logger = {
+  /**
+   * Send all further messages to stderr
+   */
+  useStderr() {
+    print = console.error;
+  },
+
   success(message) {
-    console.log(`${colors.green}✓${colors.reset} ${message}`);
+    print(`${colors.green}✓${colors.reset} ${message}`);
   },
 
   error(message) {
-    console.log(`${colors.red}✗${colors.reset} ${message}`);
+    print(`${colors.red}✗${colors.reset} ${message}`);
   },
 
   warning(message) {
-    console.log(`${colors.yellow}⚠${colors.reset} ${message}`);
+    print(`${colors.yellow}⚠${colors.reset} ${message}`);
   },
 
   info(message) {
-    console.log(`${colors.cyan}ℹ${colors.reset} ${message}`);
+    print(`${colors.cyan}ℹ${colors.reset} ${message}`);
   },
 
   header(message) {
     const line = '='.repeat(60);
-    console.log(`\n${colors.bright}${line}${colors.reset}`);
-    console.log(`${colors.bright}${message}${colors.reset}`);
-    console.log(`${colors.bright}${line}${colors.reset}\n`);
+    print(`\n${colors.bright}${line}${colors.reset}`);
+    print(`${colors.bright}${message}${colors.reset}`);
+    print(`${colors.bright}${line}${colors.reset}\n`);
   },
 
   section(message) {
-    console.log(`\n${colors.cyan}${message}${colors.reset}`);
+    print(`\n${colors.cyan}${message}${colors.reset}`);
   },
 
   log(message) {
-    console.log(message);
+    print(message);
   }
 };
 
@@ -0,0 +1,112 @@
+// src/utils/manifestEdits.js
+/**
+ * Manifest Edits
+ * Change one dependency's version constraint in place, touching nothing but the constraint:
+ * key order, indentation, comments, markers and line endings stay as they were.
+ */
+
+import { normalizeName } from '../parsers/pep508.js';
+
+// Dependency type → package.json section
+const PACKAGE_JSON_SECTIONS = {
+  production: 'dependencies',
+  development: 'devDependencies',
+  peer: 'peerDependencies',
+  optional: 'optionalDependencies'
+};
+
+/**
+ * Set a dependency's range in package.json text
+ * @param {string} text - package.json content
+ * @param {object} edit - { name, from, to, type }
+ * @returns {string|null} New content, or null if the entry was not found with the expected range
+ */
+export function setPackageJsonRange(text, { name, from, to, type = 'production' }) {
+  const preferred = PACKAGE_JSON_SECTIONS[type];
+  const sections = [preferred, ...Object.values(PACKAGE_JSON_SECTIONS).filter(section => section !== preferred)];
+
+  for (const section of sections) {
+    const body = findObjectBody(text, section);
+    if (!body) continue;
+
+    const entry = new RegExp(`(${escapeRegExp(JSON.stringify(name))}\\s*:\\s*)${escapeRegExp(JSON.stringify(from))}`);
+    const inner = text.slice(body.start, body.end);
+    const match = inner.match(entry);
+    if (!match) continue;
+
+    const at = body.start + match.index;
+    return text.slice(0, at) + match[1] + JSON.stringify(to) + text.slice(at + match[0].length);
+  }
+
+  return null;
+}
+
+/**
+ * Set a requirement's specifiers on one line of a requirements file
+ * Extras, environment markers, pip options and trailing comments are kept.
+ * @param {string} text - requirements.txt content
+ * @param {object} edit - { name, lineNumber, to }
+ * @returns {string|null} New content, or null if the line is not a plain requirement for the package
+ */
+export function setRequirementSpecifier(text, { name, lineNumber, to }) {
+  const lines = text.split('\n');
+  const line = lines[lineNumber - 1];
+  if (line === undefined) return null;
+
+  const carriageReturn = line.endsWith('\r') ? '\r' : '';
+  const content = carriageReturn ? line.slice(0, -1) : line;
+
+  // Requirements continued with "\" span several lines; their line number points at the first one
+  if (/\\\s*$/.test(content.replace(/(^|\s)#.*$/, ''))) return null;
+
+  // The specifiers end where markers, options or a comment begin
+  const tailMatch = content.match(/\s*(;|\s--|\s#).*$/);
+  const head = tailMatch ? content.slice(0, tailMatch.index) : content;
+  const tail = tailMatch ? tailMatch[0] : '';
+
+  const requirement = head.match(/^(\s*)([A-Za-z0-9][A-Za-z0-9._-]*)(\s*\[[^\]]*\])?(\s*)(.*)$/);
+  if (!requirement || normalizeName(requirement[2]) !== normalizeName(name)) return null;
+
+  const [, indent, written, extras = '', space, specifiers] = requirement;
+  if (specifiers.startsWith('@')) return null;
+
+  lines[lineNumber - 1] = `${indent}${written}${extras}${specifiers ? space : ''}${to}${tail}${carriageReturn}`;
+  return lines.join('\n');
+}
+
+/**
+ * Locate the body of a top-level JSON object member ("dependencies": { ... })
+ * @param {string} text - JSON text
+ * @param {string} key - Member name
+ * @returns {object|null} { start, end } offsets between the braces
+ */
+function findObjectBody(text, key) {
+  const opening = new RegExp(`${escapeRegExp(JSON.stringify(key))}\\s*:\\s*\\{`).exec(text);
+  if (!opening) return null;
+
+  const start = opening.index + opening[0].length;
+  let depth = 1;
+  let inString = false;
+
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (char === '\\') i++;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}' && --depth === 0) {
+      return { start, end: i };
+    }
+  }
+
+  return null;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+export default { setPackageJsonRange, setRequirementSpecifier };
@@ -0,0 +1,180 @@
+// src/utils/workspace.js
+/**
+ * Workspace Discovery
+ * Finds member packages of npm/yarn, pnpm and lerna monorepos
+ */
+
+import { readFile, readdir } from 'fs/promises';
+import { resolve, relative, sep } from 'path';
+import { existsSync } from 'fs';
+import YAML from 'yaml';
+import { globToRegExp, patternDepth } from './glob.js';
+
+// Directories that never contain workspace members
+const SKIPPED_DIRECTORIES = new Set(['node_modules', '.git']);
+
+/**
+ * Find all member packages of a workspace root
+ * @param {string} rootPath - Path to the monorepo root
+ * @returns {Promise<object>} Root path, pattern sources and member package paths
+ */
+export async function findWorkspacePackages(rootPath) {
+  const root = resolve(rootPath);
+  const { patterns, sources } = await readWorkspacePatterns(root);
+
+  const include = patterns.filter(p => !p.startsWith('!'));
+  const exclude = patterns.filter(p => p.startsWith('!')).map(p => p.slice(1));
+  const packages = new Set();
+
+  const members = await matchDirectories(root, include, exclude, 'package.json');
+  members.forEach(dir => packages.add(dir));
+
+  // pnpm records the exact member list (root included) as lockfile importers
+  const importers = await readPnpmImporters(root);
+  if (importers.length > 0) {
+    importers.forEach(dir => packages.add(dir));
+    sources.push('pnpm-lock.yaml');
+  }
+
+  return { root, sources, patterns, packages: [...packages].sort() };
+}
+
+/**
+ * Collect workspace globs from package.json, pnpm-workspace.yaml and lerna.json
+ * @param {string} root - Absolute path to the monorepo root
+ * @returns {Promise<object>} Unique patterns and the files they came from
+ */
+export async function readWorkspacePatterns(root) {
+  const patterns = [];
+  const sources = [];
+
+  // npm and yarn: "workspaces": [...] or "workspaces": { "packages": [...] }
+  const packageJson = await readJson(resolve(root, 'package.json'));
+  if (packageJson?.workspaces) {
+    const workspaces = Array.isArray(packageJson.workspaces)
+      ? packageJson.workspaces
+      : packageJson.workspaces.packages || [];
+    patterns.push(...workspaces);
+    sources.push('package.json');
+  }
+
+  // pnpm: packages list in pnpm-workspace.yaml
+  const pnpmWorkspacePath = resolve(root, 'pnpm-workspace.yaml');
+  if (existsSync(pnpmWorkspacePath)) {
+    const content = await readFile(pnpmWorkspacePath, 'utf-8');
+    const pnpmWorkspace = YAML.parse(content) || {};
+    patterns.push(...(pnpmWorkspace.packages || []));
+    sources.push('pnpm-workspace.yaml');
+  }
+
+  // lerna: "packages" defaults to packages/* when omitted
+  const lernaJson = await readJson(resolve(root, 'lerna.json'));
+  if (lernaJson) {
+    patterns.push(...(lernaJson.packages || ['packages/*']));
+    sources.push('lerna.json');
+  }
+
+  return { patterns: [...new Set(patterns)], sources };
+}
+
+/**
+ * List importer folders recorded in pnpm-lock.yaml
+ * Every importer is a workspace package, including the root (".")
+ * @param {string} root - Absolute path to the monorepo root
+ * @returns {Promise<Array<string>>} Absolute importer paths
+ */
+export async function readPnpmImporters(root) {
+  const lockfilePath = resolve(root, 'pnpm-lock.yaml');
+  if (!existsSync(lockfilePath)) {
+    return [];
+  }
+
+  const content = await readFile(lockfilePath, 'utf-8');
+  const lockfile = YAML.parse(content) || {};
+  return Object.keys(lockfile.importers || {})
+    .map(importer => resolve(root, importer))
+    .filter(dir => existsSync(resolve(dir, 'package.json')));
+}
+
+/**
+ * Find the member crates of a Cargo workspace
+ * @param {string} root - Absolute path to the directory holding the workspace Cargo.toml
+ * @param {object} workspace - [workspace] table ({ members, exclude })
+ * @returns {Promise<Array<string>>} Absolute member crate paths
+ */
+export async function findCargoMembers(root, workspace) {
+  return await matchDirectories(root, workspace.members || [], workspace.exclude || [], 'Cargo.toml');
+}
+
+/**
+ * Directories below root that match the include globs, miss the exclude globs
+ * and contain a manifest
+ * @param {string} root - Directory to search
+ * @param {Array<string>} include - Glob patterns relative to root
+ * @param {Array<string>} exclude - Glob patterns relative to root
+ * @param {string} manifest - File a member directory must contain
+ * @returns {Promise<Array<string>>} Absolute directory paths
+ */
+async function matchDirectories(root, include, exclude, manifest) {
+  if (include.length === 0) {
+    return [];
+  }
+
+  const includeRegexes = include.map(globToRegExp);
+  const excludeRegexes = exclude.map(globToRegExp);
+  const maxDepth = Math.max(...include.map(patternDepth));
+
+  const directories = await listDirectories(root, maxDepth);
+  return directories.filter(dir => {
+    const relPath = toPosix(relative(root, dir));
+    return includeRegexes.some(regex => regex.test(relPath)) &&
+      !excludeRegexes.some(regex => regex.test(relPath)) &&
+      existsSync(resolve(dir, manifest));
+  });
+}
+
+/**
+ * List all directories below root up to a maximum depth
+ * @param {string} root - Directory to start from
+ * @param {number} maxDepth - Maximum number of levels to descend
+ * @returns {Promise<Array<string>>} Absolute directory paths
+ */
+async function listDirectories(root, maxDepth) {
+  const directories = [];
+
+  async function walk(dir, depth) {
+    if (depth > maxDepth) return;
+
+    const entries = await readdir(dir, { withFileTypes: true });
+    for (const entry of entries) {
+      if (!entry.isDirectory() || SKIPPED_DIRECTORIES.has(entry.name)) {
+        continue;
+      }
+      const fullPath = resolve(dir, entry.name);
+      directories.push(fullPath);
+      await walk(fullPath, depth + 1);
+    }
+  }
+
+  await walk(root, 1);
+  return directories;
+}
+
+/**
+ * Read a JSON file if it exists
+ * @param {string} filePath - Path to JSON file
+ * @returns {Promise<object|null>} Parsed content or null
+ */
+async function readJson(filePath) {
+  if (!existsSync(filePath)) {
+    return null;
+  }
+  const content = await readFile(filePath, 'utf-8');
+  return JSON.parse(content);
+}
+
+function toPosix(path) {
+  return path.split(sep).join('/');
+}
+
+export default { findWorkspacePackages, readWorkspacePatterns, readPnpmImporters, findCargoMembers };
@@ -0,0 +1,184 @@
+// src/versioning/engines.js
+/**
+ * Version Engines
+ * Picks the version semantics of an ecosystem and answers the question conflict
+ * analysis asks: is there one version that satisfies every constraint?
+ */
+
+import * as semver from './semver.js';
+import * as pep440 from './pep440.js';
+import { intersectAll, isPoint, floorOf, boundVersions, describe } from './ranges.js';
+
+// Size of a version change, smallest first
+export const CHANGE_LEVELS = ['none', 'patch', 'minor', 'major'];
+
+/**
+ * Wrap a version module as an engine
+ */
+function createEngine(module, rangeOptions = {}) {
+  return {
+    parseVersion: module.parseVersion,
+    formatVersion: module.formatVersion,
+    releaseParts: module.releaseParts,
+    compareVersions: module.compareVersions,
+    // Ordering without labels that do not take part in matching (PEP 440 local versions)
+    comparePublic: module.comparePublic || module.compareVersions,
+    parseRange: text => module.parseRange(text, rangeOptions),
+    satisfies: module.satisfies
+  };
+}
+
+// Ecosystem → engine; ecosystems without one (go, maven, ...) are compared as plain strings
+const ENGINES = {
+  npm: createEngine(semver),
+  cargo: createEngine(semver, { cargo: true }),
+  pypi: createEngine(pep440)
+};
+
+/**
+ * Version engine of an ecosystem
+ * @param {string} ecosystem - Ecosystem ('npm', 'pypi', 'cargo', ...)
+ * @returns {object|null} Engine, or null if the ecosystem has no range semantics here
+ */
+export function engineFor(ecosystem) {
+  return ENGINES[ecosystem] || null;
+}
+
+/**
+ * Check whether two constraints have a version in common
+ * @param {string} ecosystem - Ecosystem
+ * @param {string} a - Constraint
+ * @param {string} b - Constraint
+ * @returns {boolean|null} True/false, or null when either constraint cannot be parsed
+ */
+export function constraintsIntersect(ecosystem, a, b) {
+  const engine = engineFor(ecosystem);
+  if (!engine) return a === b;
+
+  const left = engine.parseRange(a);
+  const right = engine.parseRange(b);
+  if (!left || !right) return null;
+
+  return overlap([{ range: left }, { range: right }], engine).length > 0;
+}
+
+/**
+ * Find whether one version satisfies every constraint
+ * @param {string} ecosystem - Ecosystem
+ * @param {Array<string>} constraints - Version constraints
+ * @param {Array<string>} knownVersions - Versions known to exist (e.g. installed anywhere), tried as candidates
+ * @returns {object|null} Analysis, or null when the ecosystem has no engine:
+ *   {
+ *     satisfiable,   // false when no single version satisfies all parseable constraints
+ *     bestVersion,   // highest known version satisfying all of them, or null
+ *     common,        // the overlapping range, e.g. ">=4.17.0 <5.0.0-0"
+ *     clash,         // [a, b], two constraints that cannot both hold, when unsatisfiable
+ *     unparsed       // constraints that are not ranges (tags, URLs, paths) and were skipped
+ *   }
+ */
+export function analyzeConstraints(ecosystem, constraints, knownVersions = []) {
+  const engine = engineFor(ecosystem);
+  if (!engine) return null;
+
+  const parsed = [];
+  const unparsed = [];
+  for (const constraint of new Set(constraints)) {
+    const range = engine.parseRange(constraint ?? '');
+    if (range) parsed.push({ constraint, range });
+    else unparsed.push(constraint);
+  }
+
+  const compare = engine.compareVersions;
+  const common = overlap(parsed, engine);
+
+  // Candidates: versions that exist somewhere, plus the versions the overlap itself names
+  // (round-tripped, since a bound such as "1.0 with any local label" is not a version by itself)
+  const candidates = [
+    ...knownVersions.map(engine.parseVersion).filter(Boolean),
+    ...boundVersions(common).map(version => engine.parseVersion(engine.formatVersion(version)))
+  ];
+  const best = candidates
+    .filter(candidate => parsed.every(({ range }) => engine.satisfies(candidate, range)))
+    .sort(compare)
+    .pop();
+
+  return {
+    satisfiable: common.length > 0,
+    bestVersion: best ? engine.formatVersion(best) : null,
+    common: describe(common, engine.formatVersion),
+    clash: common.length > 0 ? null : findClash(parsed, engine),
+    unparsed
+  };
+}
+
+/**
+ * Order constraints from the lowest to the highest version they admit
+ * Constraints without a lower bound (*, <2) come first; constraints that are not ranges are dropped.
+ * @param {string} ecosystem - Ecosystem
+ * @param {Array<string>} constraints - Version constraints
+ * @returns {Array<string>} Sorted constraints (empty for ecosystems without an engine)
+ */
+export function sortConstraints(ecosystem, constraints) {
+  const engine = engineFor(ecosystem);
+  if (!engine) return [];
+
+  return constraints
+    .map(constraint => ({ constraint, range: engine.parseRange(constraint ?? '') }))
+    .filter(({ range }) => range)
+    .map(({ constraint, range }) => ({ constraint, floor: floorOf(range, engine.compareVersions) }))
+    .sort((a, b) => {
+      if (!a.floor || !b.floor) return (a.floor ? 1 : 0) - (b.floor ? 1 : 0);
+      return engine.compareVersions(a.floor, b.floor);
+    })
+    .map(({ constraint }) => constraint);
+}
+
+/**
+ * How far a constraint moves: the first release segment in which the lowest admitted versions differ
+ * @param {string} ecosystem - Ecosystem
+ * @param {string} from - Current constraint
+ * @param {string} to - New constraint
+ * @returns {string} 'none', 'patch', 'minor', 'major', or 'unknown' when either side has no floor
+ */
+export function classifyChange(ecosystem, from, to) {
+  const engine = engineFor(ecosystem);
+  if (!engine) return 'unknown';
+
+  const before = engine.parseRange(from ?? '');
+  const after = engine.parseRange(to ?? '');
+  const floors = [before, after].map(range => range && floorOf(range, engine.compareVersions));
+  if (!floors[0] || !floors[1]) return 'unknown';
+
+  const [a, b] = floors.map(engine.releaseParts);
+  if (a[0] !== b[0]) return 'major';
+  if (a[1] !== b[1]) return 'minor';
+  if (a[2] !== b[2]) return 'patch';
+  return 'none';
+}
+
+/**
+ * Intersection of parsed constraints, without single versions some constraint rejects
+ * (a pre-release pin such as 1.3.0-beta.1 lies inside ^1.2.0 but does not satisfy it)
+ */
+function overlap(parsed, engine) {
+  const common = intersectAll(parsed.map(({ range }) => range), engine.compareVersions);
+  return common.filter(iv =>
+    !isPoint(iv, engine.comparePublic) ||
+    parsed.every(({ range }) => engine.satisfies(iv.lower.version, range)));
+}
+
+/**
+ * First pair of constraints that do not overlap
+ */
+function findClash(parsed, engine) {
+  for (let i = 0; i < parsed.length; i++) {
+    for (let j = i + 1; j < parsed.length; j++) {
+      if (overlap([parsed[i], parsed[j]], engine).length === 0) {
+        return [parsed[i].constraint, parsed[j].constraint];
+      }
+    }
+  }
+  return null;
+}
+
+export default { CHANGE_LEVELS, engineFor, constraintsIntersect, analyzeConstraints, sortConstraints, classifyChange };
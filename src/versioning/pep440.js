@@ -0,0 +1,289 @@
+// src/versioning/pep440.js
+/**
+ * PEP 440 Versions and Specifiers
+ * Python version ordering (epochs, pre/post/dev releases, local versions) and specifier sets:
+ *
+ *   >=1.4,<2  ~=2.2  ==1.5.*  !=1.5.2  ===1.0  1.2.3
+ *
+ * Poetry constraints (^1.2, ~1.2, *, ||) are accepted too, since Poetry and
+ * Pipfile dependencies store them as their version constraint.
+ */
+
+import { interval, ANY, intersect, findInterval } from './ranges.js';
+
+const VERSION_PATTERN = new RegExp(
+  '^v?(?:(\\d+)!)?(\\d+(?:\\.\\d+)*)' +
+  '(?:[-_.]?(alpha|a|beta|b|preview|pre|c|rc)[-_.]?(\\d+)?)?' +
+  '(?:-(\\d+)|[-_.]?(post|rev|r)[-_.]?(\\d+)?)?' +
+  '(?:[-_.]?(dev)[-_.]?(\\d+)?)?' +
+  '(?:\\+([a-z0-9]+(?:[-_.][a-z0-9]+)*))?$'
+);
+
+// Spellings PEP 440 normalizes to a, b and rc
+const PRE_RELEASE_LETTERS = { alpha: 'a', a: 'a', beta: 'b', b: 'b', preview: 'rc', pre: 'rc', c: 'rc', rc: 'rc' };
+const PRE_RELEASE_ORDER = { a: 0, b: 1, rc: 2 };
+
+const SPECIFIER_PATTERN = /^(===|==|!=|~=|>=|<=|>|<|\^|~|=)?\s*(.+)$/;
+
+// Marks a specifier set that names a pre-release, which lets pre-releases satisfy it
+const ALLOW_PRE_RELEASES = '*';
+
+// Local label sorting after every other one: a specifier without a local segment ignores the
+// candidate's local label, so ==1.0 ends at 1.0+<any local> and admits 1.0+cpu
+const ANY_LOCAL = Symbol('any local label');
+
+/**
+ * Parse a version
+ * @param {string} text - Version such as "1.4.2", "2.0rc1", "1!3.0.post2.dev1"
+ * @returns {object|null} { epoch, release, pre, post, dev, local } or null if invalid
+ */
+export function parseVersion(text) {
+  const match = String(text).trim().toLowerCase().match(VERSION_PATTERN);
+  if (!match) return null;
+
+  let post = null;
+  if (match[5] !== undefined) post = Number(match[5]);
+  else if (match[6]) post = Number(match[7] || 0);
+
+  return {
+    epoch: Number(match[1] || 0),
+    release: match[2].split('.').map(Number),
+    pre: match[3] ? [PRE_RELEASE_LETTERS[match[3]], Number(match[4] || 0)] : null,
+    post,
+    dev: match[8] ? Number(match[9] || 0) : null,
+    local: match[10] || null
+  };
+}
+
+/**
+ * Format a parsed version in normalized form
+ * @param {object} v - Parsed version
+ * @returns {string} e.g. "1.0rc1.post2"
+ */
+export function formatVersion(v) {
+  let text = `${v.epoch ? `${v.epoch}!` : ''}${v.release.join('.')}`;
+  if (v.pre) text += `${v.pre[0]}${v.pre[1]}`;
+  if (v.post !== null) text += `.post${v.post}`;
+  if (v.dev !== null) text += `.dev${v.dev}`;
+  if (v.local && v.local !== ANY_LOCAL) text += `+${v.local}`;
+  return text;
+}
+
+/**
+ * First three release segments of a parsed version (missing ones are 0)
+ * @param {object} v - Parsed version
+ * @returns {Array<number>} [major, minor, micro]
+ */
+export function releaseParts(v) {
+  return [0, 1, 2].map(i => v.release[i] || 0);
+}
+
+/**
+ * Compare two parsed versions in PEP 440 order
+ * 1.0.dev0 < 1.0a1 < 1.0rc1 < 1.0 < 1.0+local < 1.0.post1
+ * @param {object} a - Parsed version
+ * @param {object} b - Parsed version
+ * @returns {number} Negative, zero or positive
+ */
+export function compareVersions(a, b) {
+  if (a.epoch !== b.epoch) return a.epoch - b.epoch;
+
+  // Trailing zeros do not count: 1.0 == 1.0.0
+  const length = Math.max(a.release.length, b.release.length);
+  for (let i = 0; i < length; i++) {
+    const diff = (a.release[i] || 0) - (b.release[i] || 0);
+    if (diff !== 0) return diff;
+  }
+
+  return compareKeys(preReleaseKey(a), preReleaseKey(b)) ||
+    compareKeys([a.post ?? -Infinity], [b.post ?? -Infinity]) ||
+    compareKeys([a.dev ?? Infinity], [b.dev ?? Infinity]) ||
+    compareLocal(a.local, b.local);
+}
+
+/**
+ * Compare two parsed versions ignoring their local labels (1.0 and 1.0+cpu are one public version)
+ * @param {object} a - Parsed version
+ * @param {object} b - Parsed version
+ * @returns {number} Negative, zero or positive
+ */
+export function comparePublic(a, b) {
+  return compareVersions({ ...a, local: null }, { ...b, local: null });
+}
+
+/**
+ * Parse a specifier set (or Poetry constraint)
+ * @param {string} text - e.g. ">=1.4,<2", "~=2.2", "^1.2 || ^2.0", "*"
+ * @returns {Array<object>|null} Range, or null if the text is not a version constraint (URLs, paths)
+ */
+export function parseRange(text) {
+  if (typeof text !== 'string') return null;
+
+  let range = [];
+  for (const alternative of text.split('||')) {
+    const set = parseSpecifierSet(alternative.trim());
+    if (set === null) return null;
+    range = range.concat(set);
+  }
+  return range;
+}
+
+/**
+ * Check whether a version satisfies a range
+ * Pre-releases only satisfy a specifier set that names a pre-release itself.
+ * @param {object} v - Parsed version
+ * @param {Array<object>} range - Parsed range
+ * @returns {boolean} True if satisfied
+ */
+export function satisfies(v, range) {
+  const iv = findInterval(range, v, compareVersions);
+  if (!iv) return false;
+  return !isPreRelease(v) || iv.prereleases.includes(ALLOW_PRE_RELEASES);
+}
+
+/**
+ * Parse comma-separated specifiers (Poetry also allows spaces)
+ */
+function parseSpecifierSet(text) {
+  const clauses = text
+    .replace(/(===|==|!=|~=|>=|<=|>|<|\^|~|=)\s+/g, '$1')
+    .split(/[\s,]+/)
+    .filter(Boolean);
+
+  let range = ANY;
+  for (const clause of clauses) {
+    if (clause === '*') continue;
+
+    const match = clause.match(SPECIFIER_PATTERN);
+    const clauseRange = match ? specifierRange(match[1] || '==', match[2]) : null;
+    if (!clauseRange) return null;
+    range = intersect(range, clauseRange, compareVersions);
+  }
+  return range;
+}
+
+/**
+ * Range of one specifier
+ * @param {string} operator - PEP 440 operator, or Poetry's ^ / ~
+ * @param {string} text - Version, possibly ending in .* for == and !=
+ * @returns {Array<object>|null} Range, or null if invalid
+ */
+function specifierRange(operator, text) {
+  const wildcard = text.endsWith('.*');
+  if (wildcard && !['==', '=', '!='].includes(operator)) return null;
+
+  const v = parseVersion(wildcard ? text.slice(0, -2) : text);
+  if (!v) return null;
+
+  const prereleases = isPreRelease(v) ? [ALLOW_PRE_RELEASES] : [];
+  const bound = (version, inclusive) => ({ version, inclusive });
+  const between = (lower, upper) => [interval(bound(lower, true), bound(upper, false), prereleases)];
+  // The highest version ==v admits: v itself, or any local version of it when v has no local label
+  const last = v.local ? v : { ...v, local: ANY_LOCAL };
+
+  switch (operator) {
+    case '==':
+    case '=':
+      return wildcard
+        ? between(firstOf(v.release, v.epoch), firstOf(bump(v.release, v.release.length - 1), v.epoch))
+        : [interval(bound(v, true), bound(last, true), prereleases)];
+    case '===':
+      return [interval(bound(v, true), bound(v, true), prereleases)];
+    case '!=':
+      if (wildcard) {
+        return [
+          interval(null, bound(firstOf(v.release, v.epoch), false)),
+          interval(bound(firstOf(bump(v.release, v.release.length - 1), v.epoch), true), null)
+        ];
+      }
+      return [interval(null, bound(v, false)), interval(bound(last, false), null)];
+    case '~=': {
+      // ~=2.2.1 means >=2.2.1, ==2.2.*
+      if (v.release.length < 2) return null;
+      const prefix = v.release.slice(0, -1);
+      return [interval(bound(v, true), bound(firstOf(bump(prefix, prefix.length - 1), v.epoch), false), prereleases)];
+    }
+    case '>=':
+      return [interval(bound(v, true), null, prereleases)];
+    case '>':
+      return [interval(bound(last, false), null, prereleases)];
+    case '<=':
+      return [interval(null, bound(last, true), prereleases)];
+    case '<':
+      // <2.0 excludes 2.0's own pre-releases unless it names one
+      return [interval(null, bound(isPreRelease(v) ? v : firstOf(v.release, v.epoch), false), prereleases)];
+    case '^': {
+      // Poetry caret: ^1.2.3 → >=1.2.3,<2.0.0; ^0.2.3 → <0.3.0; ^0.0 → <0.1
+      const nonZero = v.release.findIndex(part => part !== 0);
+      const index = nonZero === -1 ? v.release.length - 1 : nonZero;
+      return between(v, firstOf(bump(v.release, index), v.epoch));
+    }
+    case '~':
+      // Poetry tilde: ~1.2.3 → >=1.2.3,<1.3.0; ~1 → >=1,<2
+      return between(v, firstOf(bump(v.release, Math.min(1, v.release.length - 1)), v.epoch));
+    default:
+      return null;
+  }
+}
+
+/**
+ * Increment one release segment and drop the ones after it: ([1, 4, 2], 1) → [1, 5]
+ */
+function bump(release, index) {
+  return [...release.slice(0, index), release[index] + 1];
+}
+
+/**
+ * Lowest version of a release (its first dev release): [2, 0] → 2.0.dev0
+ */
+function firstOf(release, epoch) {
+  return { epoch, release, pre: null, post: null, dev: 0, local: null };
+}
+
+function isPreRelease(v) {
+  return v.pre !== null || v.dev !== null;
+}
+
+/**
+ * Sort key of the pre-release segment: dev-only releases first, final releases last
+ */
+function preReleaseKey(v) {
+  if (!v.pre && v.post === null && v.dev !== null) return [-Infinity];
+  if (!v.pre) return [Infinity];
+  return [PRE_RELEASE_ORDER[v.pre[0]], v.pre[1]];
+}
+
+function compareKeys(a, b) {
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    const x = a[i] ?? -Infinity;
+    const y = b[i] ?? -Infinity;
+    if (x !== y) return x < y ? -1 : 1;
+  }
+  return 0;
+}
+
+/**
+ * Local versions sort after the public version; numeric segments rank above alphanumeric ones
+ */
+function compareLocal(a, b) {
+  if (a === b) return 0;
+  if (a === ANY_LOCAL) return 1;
+  if (b === ANY_LOCAL) return -1;
+  if (a === null) return -1;
+  if (b === null) return 1;
+
+  const left = a.split(/[-_.]/);
+  const right = b.split(/[-_.]/);
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    if (left[i] === undefined) return -1;
+    if (right[i] === undefined) return 1;
+    const leftNumeric = /^\d+$/.test(left[i]);
+    const rightNumeric = /^\d+$/.test(right[i]);
+    if (leftNumeric && rightNumeric && Number(left[i]) !== Number(right[i])) return Number(left[i]) - Number(right[i]);
+    if (leftNumeric !== rightNumeric) return leftNumeric ? 1 : -1;
+    if (left[i] !== right[i]) return left[i] < right[i] ? -1 : 1;
+  }
+  return 0;
+}
+
+export default { parseVersion, formatVersion, releaseParts, compareVersions, comparePublic, parseRange, satisfies };
@@ -0,0 +1,185 @@
+// src/versioning/ranges.js
+/**
+ * Version Ranges
+ * Ecosystem-neutral interval algebra shared by the semver and PEP 440 engines.
+ *
+ * A range is a union of intervals: [{ lower, upper, prereleases }]
+ *   lower / upper  - { version, inclusive }, or null when unbounded
+ *   prereleases    - markers of the comparators that opt into pre-releases
+ *                    (each engine decides what a marker means)
+ *
+ * An empty array is the empty range (nothing satisfies it).
+ * Versions are whatever the engine parsed; every function takes the engine's compare.
+ */
+
+/**
+ * Create an interval
+ * @param {object|null} lower - { version, inclusive } or null for unbounded
+ * @param {object|null} upper - { version, inclusive } or null for unbounded
+ * @param {Array<string>} prereleases - Pre-release markers
+ * @returns {object} Interval
+ */
+export function interval(lower = null, upper = null, prereleases = []) {
+  return { lower, upper, prereleases };
+}
+
+// Every version
+export const ANY = [interval()];
+
+/**
+ * Check whether an interval contains no version
+ * @param {object} iv - Interval
+ * @param {Function} compare - Version comparator
+ * @returns {boolean} True if empty
+ */
+export function isEmptyInterval(iv, compare) {
+  if (!iv.lower || !iv.upper) return false;
+  const order = compare(iv.lower.version, iv.upper.version);
+  return order > 0 || (order === 0 && !(iv.lower.inclusive && iv.upper.inclusive));
+}
+
+/**
+ * Check whether an interval holds exactly one version (==1.2.3)
+ * @param {object} iv - Interval
+ * @param {Function} compare - Version comparator
+ * @returns {boolean} True for a single version
+ */
+export function isPoint(iv, compare) {
+  return Boolean(iv.lower && iv.upper) && compare(iv.lower.version, iv.upper.version) === 0;
+}
+
+/**
+ * Intersect two ranges
+ * @param {Array<object>} a - Range
+ * @param {Array<object>} b - Range
+ * @param {Function} compare - Version comparator
+ * @returns {Array<object>} Intersection (empty array if the ranges do not overlap)
+ */
+export function intersect(a, b, compare) {
+  const result = [];
+
+  for (const left of a) {
+    for (const right of b) {
+      const iv = interval(
+        tighterLower(left.lower, right.lower, compare),
+        tighterUpper(left.upper, right.upper, compare),
+        [...new Set([...left.prereleases, ...right.prereleases])]
+      );
+      if (!isEmptyInterval(iv, compare)) {
+        result.push(iv);
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Intersect any number of ranges
+ * @param {Array<Array<object>>} ranges - Ranges
+ * @param {Function} compare - Version comparator
+ * @returns {Array<object>} Intersection (ANY for no ranges)
+ */
+export function intersectAll(ranges, compare) {
+  return ranges.reduce((common, range) => intersect(common, range, compare), ANY);
+}
+
+/**
+ * Find the interval of a range that contains a version
+ * @param {Array<object>} range - Range
+ * @param {object} version - Parsed version
+ * @param {Function} compare - Version comparator
+ * @returns {object|null} Containing interval, or null
+ */
+export function findInterval(range, version, compare) {
+  return range.find(iv => {
+    if (iv.lower) {
+      const order = compare(version, iv.lower.version);
+      if (order < 0 || (order === 0 && !iv.lower.inclusive)) return false;
+    }
+    if (iv.upper) {
+      const order = compare(version, iv.upper.version);
+      if (order > 0 || (order === 0 && !iv.upper.inclusive)) return false;
+    }
+    return true;
+  }) || null;
+}
+
+/**
+ * Lowest version a range admits, as its lower bound
+ * @param {Array<object>} range - Range
+ * @param {Function} compare - Version comparator
+ * @returns {object|null} Parsed version, or null if the range is empty or unbounded below
+ */
+export function floorOf(range, compare) {
+  if (range.length === 0 || range.some(iv => !iv.lower)) return null;
+  return range.map(iv => iv.lower.version).sort(compare)[0];
+}
+
+/**
+ * Versions that bound a range inclusively, e.g. 4.17.0 for >=4.17.0 <5.0.0-0
+ * These are the only concrete versions a range names by itself.
+ * @param {Array<object>} range - Range
+ * @returns {Array<object>} Parsed versions
+ */
+export function boundVersions(range) {
+  return range.flatMap(iv => [iv.lower, iv.upper])
+    .filter(bound => bound?.inclusive)
+    .map(bound => bound.version);
+}
+
+/**
+ * Human-readable form of a range
+ * @param {Array<object>} range - Range
+ * @param {Function} format - Version formatter
+ * @returns {string} e.g. ">=4.17.0 <5.0.0-0 || >=6.0.0"
+ */
+export function describe(range, format) {
+  if (range.length === 0) return '<none>';
+
+  return range.map(iv => {
+    if (iv.lower?.inclusive && iv.upper?.inclusive && format(iv.lower.version) === format(iv.upper.version)) {
+      return format(iv.lower.version);
+    }
+
+    const parts = [];
+    if (iv.lower) parts.push(`${iv.lower.inclusive ? '>=' : '>'}${format(iv.lower.version)}`);
+    if (iv.upper) parts.push(`${iv.upper.inclusive ? '<=' : '<'}${format(iv.upper.version)}`);
+    return parts.join(' ') || '*';
+  }).join(' || ');
+}
+
+/**
+ * The higher of two lower bounds (exclusive wins a tie)
+ */
+function tighterLower(a, b, compare) {
+  if (!a) return b;
+  if (!b) return a;
+  const order = compare(a.version, b.version);
+  if (order !== 0) return order > 0 ? a : b;
+  return a.inclusive ? b : a;
+}
+
+/**
+ * The lower of two upper bounds (exclusive wins a tie)
+ */
+function tighterUpper(a, b, compare) {
+  if (!a) return b;
+  if (!b) return a;
+  const order = compare(a.version, b.version);
+  if (order !== 0) return order < 0 ? a : b;
+  return a.inclusive ? b : a;
+}
+
+export default {
+  interval,
+  ANY,
+  isEmptyInterval,
+  isPoint,
+  intersect,
+  intersectAll,
+  findInterval,
+  floorOf,
+  boundVersions,
+  describe
+};
@@ -0,0 +1,242 @@
+// src/versioning/semver.js
+/**
+ * Semantic Versioning
+ * Versions and ranges as npm (node-semver) reads them, with a Cargo mode:
+ *
+ *   ^1.2.3  ~1.2  1.x  1.2.*  >=1 <3  1.2.3 - 2.0  ^1 || ^2  >=2.0.0-beta.1
+ *
+ * In Cargo mode a bare version is a caret requirement ("1.2" means "^1.2")
+ * and comparators are separated by commas.
+ */
+
+import { interval, ANY, intersect, findInterval } from './ranges.js';
+
+const PARTIAL_PATTERN = /^v?(\d+)(?:\.(\d+|[xX*]))?(?:\.(\d+|[xX*]))?(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+
+const OPERATOR_PATTERN = /^(~>|>=|<=|>|<|=|~|\^)?(.*)$/;
+
+/**
+ * Parse a concrete version; missing minor/patch count as 0
+ * @param {string} text - Version such as "1.2.3", "v2.0.0-rc.1" or "1.4"
+ * @returns {object|null} { major, minor, patch, prerelease } or null if invalid
+ */
+export function parseVersion(text) {
+  const partial = parsePartial(String(text));
+  if (!partial || partial.major === null) return null;
+  return version(partial.major, partial.minor ?? 0, partial.patch ?? 0, partial.prerelease);
+}
+
+/**
+ * Format a parsed version
+ * @param {object} v - Parsed version
+ * @returns {string} e.g. "1.2.3-beta.1"
+ */
+export function formatVersion(v) {
+  const prerelease = v.prerelease.length > 0 ? `-${v.prerelease.join('.')}` : '';
+  return `${v.major}.${v.minor}.${v.patch}${prerelease}`;
+}
+
+/**
+ * Major, minor and patch of a parsed version
+ * @param {object} v - Parsed version
+ * @returns {Array<number>} [major, minor, patch]
+ */
+export function releaseParts(v) {
+  return [v.major, v.minor, v.patch];
+}
+
+/**
+ * Compare two parsed versions by semver precedence
+ * @param {object} a - Parsed version
+ * @param {object} b - Parsed version
+ * @returns {number} Negative, zero or positive
+ */
+export function compareVersions(a, b) {
+  for (const part of ['major', 'minor', 'patch']) {
+    if (a[part] !== b[part]) return a[part] - b[part];
+  }
+
+  // A release ranks above its pre-releases
+  if (a.prerelease.length === 0 || b.prerelease.length === 0) {
+    return b.prerelease.length - a.prerelease.length;
+  }
+
+  const length = Math.max(a.prerelease.length, b.prerelease.length);
+  for (let i = 0; i < length; i++) {
+    if (a.prerelease[i] === undefined) return -1;
+    if (b.prerelease[i] === undefined) return 1;
+    const order = compareIdentifiers(a.prerelease[i], b.prerelease[i]);
+    if (order !== 0) return order;
+  }
+  return 0;
+}
+
+/**
+ * Parse a range
+ * @param {string} text - Range such as "^1.2.0 || >=3 <4"
+ * @param {object} options - { cargo: true } for Cargo requirement syntax
+ * @returns {Array<object>|null} Range, or null if the text is not a semver range (tags, URLs, paths)
+ */
+export function parseRange(text, options = {}) {
+  if (typeof text !== 'string') return null;
+
+  let range = [];
+  for (const alternative of text.split('||')) {
+    const set = parseComparatorSet(alternative.trim(), options);
+    if (set === null) return null;
+    range = range.concat(set);
+  }
+  return range;
+}
+
+/**
+ * Check whether a version satisfies a range
+ * A pre-release only satisfies a comparator set that names a pre-release
+ * of the same major.minor.patch (so ^1.0.0 does not match 1.1.0-beta).
+ * @param {object} v - Parsed version
+ * @param {Array<object>} range - Parsed range
+ * @returns {boolean} True if satisfied
+ */
+export function satisfies(v, range) {
+  const iv = findInterval(range, v, compareVersions);
+  if (!iv) return false;
+  return v.prerelease.length === 0 || iv.prereleases.includes(releaseKey(v));
+}
+
+/**
+ * Parse one comparator set: whitespace-separated comparators (commas in Cargo), or a hyphen range
+ */
+function parseComparatorSet(text, options) {
+  const hyphen = text.match(/^(\S+)\s+-\s+(\S+)$/);
+  if (hyphen) {
+    const from = parsePartial(hyphen[1]);
+    const to = parsePartial(hyphen[2]);
+    if (!from || !to) return null;
+    return intersect(comparatorRange('>=', from, options), comparatorRange('<=', to, options), compareVersions);
+  }
+
+  const separator = options.cargo ? /[\s,]+/ : /\s+/;
+  const comparators = text.replace(/(~>|>=|<=|>|<|=|~|\^)\s+/g, '$1').split(separator).filter(Boolean);
+
+  let range = ANY;
+  for (const comparator of comparators) {
+    const [, operator = '', rest] = comparator.match(OPERATOR_PATTERN);
+    const partial = parsePartial(rest);
+    if (!partial) return null;
+    range = intersect(range, comparatorRange(operator === '~>' ? '~' : operator, partial, options), compareVersions);
+  }
+  return range;
+}
+
+/**
+ * Range of one comparator, with partial versions (1, 1.2, 1.x) expanded the way node-semver does
+ * @param {string} operator - '', '=', '^', '~', '>', '>=', '<', '<='
+ * @param {object} p - Partial version ({ major, minor, patch } may be null)
+ * @param {object} options - { cargo }
+ * @returns {Array<object>} Range
+ */
+function comparatorRange(operator, p, options) {
+  // *, x and an empty comparator match everything (and nothing is below or above "anything")
+  if (p.major === null) {
+    return operator === '<' || operator === '>' ? [] : ANY;
+  }
+
+  const filled = version(p.major, p.minor ?? 0, p.patch ?? 0, p.prerelease);
+  const full = p.patch !== null;
+  const prereleases = p.prerelease.length > 0 ? [releaseKey(filled)] : [];
+  const bound = (v, inclusive) => ({ version: v, inclusive });
+
+  switch (operator) {
+    case '^':
+      return [interval(bound(filled, true), bound(lowest(caretCeiling(p)), false), prereleases)];
+    case '~':
+      return [interval(bound(filled, true), bound(lowest(nextPartial(p)), false), prereleases)];
+    case '>=':
+      return [interval(bound(filled, true), null, prereleases)];
+    case '>':
+      return full
+        ? [interval(bound(filled, false), null, prereleases)]
+        : [interval(bound(nextPartial(p), true), null)];
+    case '<':
+      return [interval(null, bound(full ? filled : lowest(filled), false), prereleases)];
+    case '<=':
+      return full
+        ? [interval(null, bound(filled, true), prereleases)]
+        : [interval(null, bound(lowest(nextPartial(p)), false))];
+    default:
+      // Bare versions are exact in npm and caret requirements in Cargo
+      if (operator === '' && options.cargo) {
+        return comparatorRange('^', p, options);
+      }
+      return full
+        ? [interval(bound(filled, true), bound(filled, true), prereleases)]
+        : [interval(bound(filled, true), bound(lowest(nextPartial(p)), false))];
+  }
+}
+
+/**
+ * Exclusive ceiling of a caret range: the next version that changes the left-most non-zero part
+ */
+function caretCeiling(p) {
+  if (p.major > 0 || p.minor === null) return version(p.major + 1, 0, 0);
+  if (p.minor > 0 || p.patch === null) return version(0, p.minor + 1, 0);
+  return version(0, 0, p.patch + 1);
+}
+
+/**
+ * Next version past a partial: 1 → 2.0.0, 1.2 → 1.3.0, 1.2.3 → 1.3.0
+ */
+function nextPartial(p) {
+  return p.minor === null ? version(p.major + 1, 0, 0) : version(p.major, p.minor + 1, 0);
+}
+
+/**
+ * Lowest pre-release of a version (2.0.0 → 2.0.0-0), so an exclusive ceiling also excludes its pre-releases
+ */
+function lowest(v) {
+  return version(v.major, v.minor, v.patch, ['0']);
+}
+
+function version(major, minor, patch, prerelease = []) {
+  return { major, minor, patch, prerelease };
+}
+
+function releaseKey(v) {
+  return `${v.major}.${v.minor}.${v.patch}`;
+}
+
+/**
+ * Parse a possibly partial version; x, X and * parts become null
+ */
+function parsePartial(text) {
+  const trimmed = text.trim();
+  if (trimmed === '' || /^[xX*]$/.test(trimmed)) {
+    return { major: null, minor: null, patch: null, prerelease: [] };
+  }
+
+  const match = trimmed.match(PARTIAL_PATTERN);
+  if (!match) return null;
+
+  const part = value => (value === undefined || /^[xX*]$/.test(value) ? null : Number(value));
+  const minor = part(match[2]);
+
+  return {
+    major: Number(match[1]),
+    minor,
+    patch: minor === null ? null : part(match[3]),
+    prerelease: match[4] ? match[4].split('.') : []
+  };
+}
+
+/**
+ * Numeric identifiers compare numerically and rank below alphanumeric ones
+ */
+function compareIdentifiers(a, b) {
+  const aNumeric = /^\d+$/.test(a);
+  const bNumeric = /^\d+$/.test(b);
+  if (aNumeric && bNumeric) return Number(a) - Number(b);
+  if (aNumeric !== bNumeric) return aNumeric ? -1 : 1;
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+export default { parseVersion, formatVersion, releaseParts, compareVersions, parseRange, satisfies };